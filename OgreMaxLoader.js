@@ -9,21 +9,24 @@
  *  • *.mesh*       →  `THREE.SkinnedMesh`  (BufferGeometry + skin indices/weights)
  *  • *.skeleton*   →  `{ skeleton: THREE.Skeleton, animations: THREE.AnimationClip[] }`
  *  • *.material*   →  `THREE.MeshPhongMaterial[]`  (delegated to DotMaterialLoader)
+ *  • binary *.mesh* (OgreSerializer v1.20 – v1.100)  →  same as *.mesh.xml*
+ *  • binary *.skeleton* (Serializer v1.10 / v1.80)  →  same as *.skeleton.xml*
  *
  * ────────────────────────────────────────────────────────────────────────────
  * What’s new since the legacy prototype version
  * ────────────────────────────────────────────────────────────────────────────
  *  ✓ **ES2023 class syntax** with private fields (#) & native Promise-based API.  
  *  ✓ Extends `THREE.Loader` → integrates with `LoadingManager` & abort-signals.  
- *  ✓ **Internal dependency manager** (`#internalManager`) fires *one* onLoad once
- *    scene → mesh → skeleton → material chain is fully resolved.  
+ *  ✓ **Internal dependency manager** (one per load context) fires *one* onLoad
+ *    once scene → mesh → skeleton → material chain is fully resolved.  
  *  ✓ **BufferGeometry pipeline** (no legacy THREE.Geometry) and UV2 fix.  
  *  ✓ Correct shadow flags (`castShadow` / `receiveShadow`) & up-axis mapping.  
  *  ✓ Proper quaternion parsing (axis-angle | quat-explicit | Euler degrees).  
  *  ✓ Mesh > 65535 vertices auto-switches to `Uint32Array` indices.  
  *  ✓ Strict validation & typed errors (`OgreMaxError`, `DotMaterialError`) with
- *    codes **E_IO / E_XML / E_FORMAT / E_RANGE / E_RUNTIME** for reliable catch.  
- *  ✓ Re-entrant-safe: internal flag `#busy` prevents concurrent loads.  
+ *    codes **E_IO / E_XML / E_FORMAT / E_SCHEMA / E_RANGE / E_RUNTIME / E_ABORT** for reliable catch.  
+ *  ✓ Re-entrant: per-request state lives in a load context, so one configured
+ *    loader can serve many overlapping `load()` calls.  
  *  ✓ **DotMaterialLoader** rewritten (ES2023) – honours blend modes, emissive map,
  *    credentials, texture path, and fires typed errors on malformed input.  
  *  ✓ Extensive JSDoc & type hints for IDE / TS support.
@@ -38,7 +41,7 @@
  *   loader.withCredentials = true;
  *
  *   loader.load('models/robot.mesh.xml',
- *       obj   => scene.add(obj),
+ *       res   => scene.add(res.scene),             // OgreMaxResult
  *       (l,t) => console.log(`${l}/${t}`),          // progress
  *       err   => console.error(err)                 // error
  *   );
@@ -47,6 +50,10 @@
  * Compatibility
  * ────────────────────────────────────────────────────────────────────────────
  *   • Tested on Three.js r160 +.  
+ *   • `three` is imported as a bare specifier: use an import map in the
+ *     browser, or a bundler / Node resolution elsewhere.  
+ *   • XML is read by the built-in streaming `OgreXMLParser` (no DOM needed);
+ *     headless (Node.js), textures become image-less placeholders.  
  *   • Requires browser / runtime with full ES2023 support (class fields, Promise,
  *     Optional Chaining, Nullish Coalescing, etc.).  
  *   • For older environments, transpile with Babel @preset-env 2023.
@@ -59,9 +66,81 @@
  */
 'use strict';
 
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
 THREE.Cache.enabled = true;
 
+/** @type {Map<string,{children:Set<string>, descendants:Set<string>}>} compiled selectors of OgreMaxLoader#query */
+const SELECTOR_CACHE = new Map();
+
+/** @type {Set<string>} elements whose descendants are decoded into typed arrays instead of DOM nodes (plus the mesh `<track type="morph">`, see OgreMaxLoader#isBulk) */
+const BULK_ELEMENTS = new Set(['vertexbuffer', 'faces', 'lodfacelist', 'boneassignments', 'pose']);
+
+/** @type {WeakMap<Element,*>} bulk element → decoded content (see OgreMaxLoader#bulkData) */
+const BULK_DATA = new WeakMap();
+
+/** @type {WeakMap<OgreVertexData,Object.<string,THREE.BufferAttribute>>} shared geometry → the attributes all its submeshes use (see OgreMaxLoader#sharedAttributes) */
+const SHARED_ATTRIBUTES = new WeakMap();
+
+/** @type {Readonly<Object.<string,number>>} chunk ids of binary `.mesh` files (OgreMeshFileFormat.h) */
+const MESH_CHUNK = Object.freeze({
+	HEADER: 0x1000,
+	MESH: 0x3000,
+	SUBMESH: 0x4000,
+	SUBMESH_OPERATION: 0x4010,
+	SUBMESH_BONE_ASSIGNMENT: 0x4100,
+	SUBMESH_TEXTURE_ALIAS: 0x4200,
+	GEOMETRY: 0x5000,
+	GEOMETRY_VERTEX_DECLARATION: 0x5100,
+	GEOMETRY_VERTEX_ELEMENT: 0x5110,
+	GEOMETRY_VERTEX_BUFFER: 0x5200,
+	GEOMETRY_VERTEX_BUFFER_DATA: 0x5210,
+	MESH_SKELETON_LINK: 0x6000,
+	MESH_BONE_ASSIGNMENT: 0x7000,
+	SUBMESH_NAME_TABLE: 0xA000,
+	SUBMESH_NAME_TABLE_ELEMENT: 0xA100,
+	POSES: 0xC000,
+	POSE: 0xC100,
+	POSE_VERTEX: 0xC111,
+	ANIMATIONS: 0xD000,
+	ANIMATION: 0xD100,
+	ANIMATION_BASEINFO: 0xD105,
+	ANIMATION_TRACK: 0xD110,
+	ANIMATION_MORPH_KEYFRAME: 0xD111,
+	ANIMATION_POSE_KEYFRAME: 0xD112,
+	ANIMATION_POSE_REF: 0xD113
+});
+
+/** @type {Readonly<Object.<string,number>>} chunk ids of binary `.skeleton` files (OgreSkeletonFileFormat.h) */
+const SKELETON_CHUNK = Object.freeze({
+	HEADER: 0x1000,
+	BLENDMODE: 0x1010,
+	BONE: 0x2000,
+	BONE_PARENT: 0x3000,
+	ANIMATION: 0x4000,
+	ANIMATION_BASEINFO: 0x4010,
+	ANIMATION_TRACK: 0x4100,
+	ANIMATION_TRACK_KEYFRAME: 0x4110,
+	ANIMATION_LINK: 0x5000
+});
+
+/** @type {Set<string>} binary `.skeleton` serializer versions read by OgreMaxLoader */
+const SKELETON_VERSIONS = new Set(['[Serializer_v1.80]', '[Serializer_v1.10]']);
+
+/** @type {Set<string>} binary `.mesh` serializer versions read by OgreMaxLoader */
+const MESH_VERSIONS = new Set([
+	'[MeshSerializer_v1.100]', '[MeshSerializer_v1.10]', '[MeshSerializer_v1.8]', '[MeshSerializer_v1.41]', '[MeshSerializer_v1.40]',
+	'[MeshSerializer_v1.30]', '[MeshSerializer_v1.20]', '[MeshSerializer_v2.1 R0 LEGACYV1]'
+]);
+
+/** @type {Set<string>} binary `.mesh` versions whose poses and morph keyframes start with an "includes normals" flag */
+const MESH_NORMALS_VERSIONS = new Set(['[MeshSerializer_v1.100]', '[MeshSerializer_v1.10]', '[MeshSerializer_v1.8]', '[MeshSerializer_v2.1 R0 LEGACYV1]']);
+
+/** @type {string[]} vertex attributes of a `<face>`, in index stream order */
+const FACE_VERTICES = ['v1', 'v2', 'v3'];
+
+/** @type {string[]} Ogre RenderOperation::OperationType → XML `operationtype` */
+const OPERATION_TYPES = [null, 'point_list', 'line_list', 'line_strip', 'triangle_list', 'triangle_strip', 'triangle_fan'];
+
 /**
  * Loads OgreMax XML files and converts them to Three.js objects.
  * @extends THREE.Loader
@@ -70,16 +149,34 @@ export class OgreMaxLoader extends THREE.Loader {
 	/* ====================================================================== */
 	/* Private internal state (not exposed to the end-user)                   */
 	/* ====================================================================== */
-	/** @type {THREE.LoadingManager} */
-	#internalManager = new THREE.LoadingManager();
+	#texturePath = '';
 
-	/** @type {Object.<string,*>} collects partial results during parsing */
-	#objectRoot = {};
+	/** @type {OgreFileProvider|null} provider used instead of plain URL fetching */
+	#fileProvider = null;
 
-	#url = '';
-	#texturePath = '';
-	#busy = false;
-	#logOpen = false;	// true when a group is active
+	/** @type {OgreResolver|null} maps dependency names to URLs */
+	#resolver = null;
+
+	/** @type {{parseFromString:(text:string, mimeType:string)=>Document}|null} injected XML parser */
+	#xmlParser = null;
+
+	/** true when textures must not be fetched (no DOM to decode images) */
+	#headless = typeof document === 'undefined';
+
+	/** @type {OgreLogger|null} receives the log records (`null` → silent) */
+	#logger = console;
+
+	/** @type {OgreLogLevel} records below this level are not logged (still collected) */
+	#logLevel = 'warn';
+
+	/** @type {OgreAssetCache|null} meshes, skeletons and materials shared between loads (`null` → within each load only) */
+	#cache = null;
+
+	/** @type {boolean|string|URL|Worker|null} worker mode setting (see setWorker) */
+	#workerSource = null;
+
+	/** @type {{worker:Worker|null, owned:boolean, pending:Map<number,{resolve:Function, reject:Function}>, lastId:number}|null} the connected worker */
+	#worker = null;
 
 
 	/* ====================================================================== */
@@ -107,1833 +204,6961 @@ export class OgreMaxLoader extends THREE.Loader {
 		this.#texturePath = value;
 	}
 
-
-	/* ====================================================================== */
-	/* Public API															  */
-	/* ====================================================================== */
 	/**
-	 * Load any Ogre XML document (.scene, .mesh, .skeleton).
-	 * @param {string}																										url				- the URL to the XML file (absolute or relative)
-	 * @param {(obj:THREE.Object3D|THREE.SkinnedMesh| {skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]})=>void}	[onLoad]		- callback fired when the file is loaded and parsed
-	 * @param {(loaded:number,total:number)=>void}																			[onProgress]	- callback fired during loading, receives (loaded, total) parameters
-	 * @param {(err:Error)=>void}																							[onError]		- callback fired on error, receives an Error object
-	 * @returns {Promise<THREE.Object3D|THREE.SkinnedMesh|{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}>}						- resolves with the loaded object(s) or rejects on error
-	 * @throws {OgreMaxError}																												- if the root node is not recognized or if an error occurs during parsing
+	 * Route every file request (root file, meshes, skeletons, materials and
+	 * textures) through a custom provider, e.g. a {@link MemoryFileProvider}.
+	 * Pass `null` to go back to plain URL fetching.
+	 * @param	{OgreFileProvider|null}	provider	- the file provider to use
+	 * @returns	{this}								- the loader, for chaining
 	 */
-	load(url, onLoad = () => { }, onProgress = () => { }, onError = () => { }) {
-		if (this.#busy) {
-			throw new OgreMaxError('E_RUNTIME', 'Loader already in progress');
+	setFileProvider(provider) {
+		if (provider !== null && typeof provider?.load !== 'function') {
+			throw new OgreMaxError('E_RUNTIME', 'fileProvider must implement load(url, responseType)');
 		}
 
-		this.#busy = true;
-		return new Promise((resolve, reject) => {
-
-			const fail = (err) => {
-				if (!(err instanceof OgreMaxError)) {
-					err = new OgreMaxError("E_RUNTIME", err.message ?? String(err));
-				}
-
-				this.manager.itemEnd(url);
-				this.#internalManager.itemEnd(url);
-				this.#busy = false;
+		this.#fileProvider = provider;
+		return this;
+	}
 
-				onError(err);
-				reject(err);
-			};
+	/**
+	 * Customise how dependency names become URLs. The resolver is called for
+	 * every mesh, skeleton, material and texture lookup; returning `null` or
+	 * `undefined` keeps the default URL (also given as `context.defaultURL`).
+	 * @example
+	 * loader.setResolver((kind, name, { path, defaultURL }) =>
+	 *     manifest[name] ? path + manifest[name] : defaultURL);
+	 * @param	{OgreResolver|null}	resolver	- the resolver (`null` → default naming)
+	 * @returns	{this}							- the loader, for chaining
+	 */
+	setResolver(resolver) {
+		if (resolver !== null && typeof resolver !== 'function') {
+			throw new OgreMaxError('E_RUNTIME', 'resolver must be a function (kind, name, context) => url');
+		}
 
-			this.#objectRoot = {};
-			this.path = THREE.LoaderUtils.extractUrlBase(url);
-			this.#url = url;
+		this.#resolver = resolver;
+		return this;
+	}
 
+	/**
+	 * Inject the XML parser used to read Ogre documents – anything with a
+	 * DOMParser-like `parseFromString(text, mimeType)` (e.g. `@xmldom/xmldom`).
+	 * Defaults to the built-in streaming {@link OgreXMLParser}, which decodes
+	 * vertex buffers, faces and bone assignments straight into typed arrays;
+	 * an injected parser builds a full DOM instead.
+	 * @param	{{parseFromString:(text:string, mimeType:string)=>Document}|null}	parser	- the parser (`null` → default)
+	 * @returns	{this}																		- the loader, for chaining
+	 */
+	setXMLParser(parser) {
+		if (parser !== null && typeof parser?.parseFromString !== 'function') {
+			throw new OgreMaxError('E_RUNTIME', 'xmlParser must implement parseFromString(text, mimeType)');
+		}
 
-			//Setup internal manager for eventual files like mesh, materials...
-			this.#internalManager.onStart = (file, loaded, total) => {
-				this.#logStart(file);
-				console.log(`Started   : ${file}`);
-				console.log(`Progress  : ${loaded}/${total}`);
-			};
+		this.#xmlParser = parser;
+		return this;
+	}
 
-			this.#internalManager.onProgress = (file, loaded, total) => {
-				console.log(`Loading   : ${file}  (${loaded}/${total})`);
+	/**
+	 * Headless mode: materials get placeholder textures (name + `userData.url`)
+	 * instead of fetching and decoding images. Enabled by default when there
+	 * is no `document`.
+	 * @param	{boolean}	headless	- true to skip image loading
+	 * @returns	{this}					- the loader, for chaining
+	 */
+	setHeadless(headless) {
+		this.#headless = !!headless;
+		return this;
+	}
 
-				// can be used to make progression bar
-				onProgress(loaded, total);
-			};
+	/** @returns {OgreAssetCache|null} the asset cache (call `release(result)` once a result is discarded) */
+	get cache() { return this.#cache; }
 
-			this.#internalManager.onError = file => {
-				console.error(`Error     : ${file}`);
-				this.#logEnd();                         // ensure the group is closed
-				fail(new OgreMaxError('E_RUNTIME', `dependency error on ${file}`, { file }));
-			};
+	/**
+	 * Share meshes, skeletons and materials between loads through *cache*,
+	 * e.g. one cache for several loaders. The cache keeps every asset until
+	 * the results using it are released. With `null` (the default) the
+	 * entities of one load still share their dependencies, nothing is kept
+	 * afterwards.
+	 * @param	{OgreAssetCache|null}	cache	- the cache to use
+	 * @returns	{this}							- the loader, for chaining
+	 */
+	setCache(cache) {
+		if (cache !== null && !(cache instanceof OgreAssetCache)) {
+			throw new OgreMaxError('E_RUNTIME', 'cache must be an OgreAssetCache');
+		}
 
-			this.#internalManager.onLoad = () => {
-				console.log('All done');
-				this.#logEnd();                         // close the final group
-				try {
-					this.#busy = false;          // ← libère l’instance
-					this.#finalize(url, onLoad, resolve);
-				}
-				catch (err) {
-					fail(err);
-				}
-			};
+		this.#cache = cache;
+		return this;
+	}
 
+	/**
+	 * Redirect the log records – anything with console-like `debug`, `info`,
+	 * `warn` and `error` methods. Pass `null` to silence the loader; warnings
+	 * are still collected in the load result.
+	 * @param	{OgreLogger|null}	logger	- the logger (defaults to `console`)
+	 * @returns	{this}						- the loader, for chaining
+	 */
+	setLogger(logger) {
+		if (logger !== null && !OgreDiagnostics.LEVELS.slice(0, -1).every(l => typeof logger?.[l] === 'function')) {
+			throw new OgreMaxError('E_RUNTIME', 'logger must implement debug, info, warn and error');
+		}
 
-			const fileLoader = new THREE.FileLoader(this.manager);
-			fileLoader.setWithCredentials(this.withCredentials);
+		this.#logger = logger;
+		return this;
+	}
 
-			this.manager.itemStart(url);
-			this.#internalManager.itemStart(url);
+	/**
+	 * Lowest level sent to the logger: `debug` (every loading step), `info`,
+	 * `warn` (default), `error` or `silent`.
+	 * @param	{OgreLogLevel}	level	- the minimum level
+	 * @returns	{this}					- the loader, for chaining
+	 */
+	setLogLevel(level) {
+		if (!OgreDiagnostics.LEVELS.includes(level)) {
+			throw new OgreMaxError('E_RUNTIME', `Unknown log level "${level}"`, { levels: OgreDiagnostics.LEVELS });
+		}
 
-			fileLoader.load(
-				url,
-				(response) => {														// success
-					try {
-						this.#handleFileLoaded(url, response);
-					} catch (err) {
-						fail(err);
-					}
-				},																	// prog. par fichier (optionnel)
-				progress => onProgress(progress.loaded, progress.total ?? 0),		// prog. par fichier (optionnel)
-				() => fail(new OgreMaxError("E_IO", `Cannot load ${url}`, { url }))	// erreur
-			);
-		});
+		this.#logLevel = level;
+		return this;
 	}
 
 	/**
-	 * Parse the XML string into Three.js objects.
-	 * Dispatches on root-node name.
-	 * @param	{XMLDocument} xml	- the Ogre XML document to parse
-	 * @returns {{scene?:THREE.Scene, mesh?:THREE.SkinnedMesh, skeleton?:{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}} - parsed data object
-	 * @throws {OgreMaxError}		- if the root node is not recognized
+	 * Worker mode: `.mesh` and `.skeleton` documents are parsed off the main
+	 * thread, which only rebuilds the geometries, skeletons and clips from the
+	 * transferred arrays. `true` starts a module worker on this file, a URL
+	 * starts one on a script importing it, a `Worker` is used as is. Parsing
+	 * falls back to the main thread when workers are unavailable; `null`
+	 * turns the mode off and terminates the worker started by the loader.
+	 * @param	{boolean|string|URL|Worker|null}	worker	- the worker to use
+	 * @returns	{this}										- the loader, for chaining
 	 */
-	parse(xml) {
-		const root = xml.documentElement;
-		const data = {};
+	setWorker(worker) {
+		if (worker !== null && !['boolean', 'string'].includes(typeof worker) && !(worker instanceof URL) && typeof worker?.postMessage !== 'function') {
+			throw new OgreMaxError('E_RUNTIME', 'worker must be a boolean, a script URL or a Worker');
+		}
 
-		switch (root.nodeName) {
-			case 'scene':
-				data.scene = this.#parseScene(root);
-				break;
-			case 'mesh':
-				data.mesh = this.#parseMesh(root);
-				break;
-			case 'skeleton':
-				data.skeleton = this.#parseSkeleton(root);
-				break;
-			default:
-				throw new OgreMaxError("E_XML", `Unknown root node <${root.nodeName}>`, { url: this.#url });
+		if (this.#worker?.owned) {
+			this.#worker.worker?.terminate();
 		}
 
-		return data;
+		this.#workerSource = worker || null;
+		this.#worker = null;
+		return this;
 	}
 
 
 	/* ====================================================================== */
-	/* Internal loading management                                            */
+	/* Public API															  */
 	/* ====================================================================== */
 	/**
-	 * When #internalManager fires onLoad, assemble final object(s) and
-	 * forward them to user callback.
-	 * @private
-	 * @param {string}		baseURL	– original URL requested by the user
-	 * @param {Function}	onLoad	- callback to call with the final object(s)
-	 * @param {Function}	resolve	- Promise resolve function to call with the final object(s)
+	 * Load any Ogre XML document (.scene, .mesh, .skeleton).
+	 * Every call gets its own load context, so a single configured loader can
+	 * serve any number of overlapping requests.
+	 * The options may also be passed in place of *onLoad*: `load(url, { signal })`.
+	 * The Scene, SkinnedMesh / Group or `{skeleton, animations}` built from the
+	 * root document is `result.object`.
+	 * @param {string}									url				- the URL to the XML file (absolute or relative)
+	 * @param {(result:OgreMaxResult)=>void}			[onLoad]		- callback fired when the file and its dependencies are loaded and parsed
+	 * @param {(loaded:number,total:number,progress:OgreProgressEvent)=>void}	[onProgress]	- callback fired during loading with the bytes loaded / expected over the whole dependency chain, and the item counts and per-file breakdown
+	 * @param {(err:Error)=>void}						[onError]		- callback fired on error, receives an Error object
+	 * @param {OgreMaxLoadOptions}						[options]		- per-load options (abort signal…)
+	 * @returns {Promise<OgreMaxResult>}								- resolves with everything that was loaded or rejects on error
+	 * @throws {OgreMaxError}											- if the root node is not recognized or if an error occurs during parsing
 	 */
-	#finalize(baseURL, onLoad, resolve) {
-		if (this.#objectRoot.scene) {
-			const scene = this.#objectRoot.scene;
-			const group = scene.children[0];
-			const base = this.#filenameBase(this.#url);
-
-			if (group && this.#objectRoot[base]?.materials) {
-				const mats = this.#objectRoot[base].materials;
-
-				for (const object of group.children) {
-
-					for (const mesh of object.children) {
+	load(url, onLoad = () => { }, onProgress = () => { }, onError = () => { }, options = {}) {
+		if (onLoad !== null && typeof onLoad === 'object') {
+			options = onLoad;
+			onLoad = () => { };
+		}
 
-						if (mesh.name && this.#objectRoot[base]) {
-							mesh.material = mats;
-						}
-					}
-				}
-			}
+		return this.#loadContext(this.#createContext(url, null, options), onLoad, onProgress, onError);
+	}
 
-			this.manager.itemEnd(baseURL);
-			onLoad(scene);
-			resolve(scene);
-			return;
+	/**
+	 * Load an Ogre document and its dependencies from in-memory sources:
+	 * drag-and-drop `File` objects, Blobs or a plain `{filename: data}` map.
+	 * Without *rootName* the first `.scene`, then `.mesh.xml`, then binary
+	 * `.mesh`, then `.skeleton.xml`, then binary `.skeleton` file is used as
+	 * root.
+	 * @param	{FileList|File[]|Map<string,*>|Object.<string,string|ArrayBuffer|Blob>|MemoryFileProvider}	files			- the files to load from
+	 * @param	{string|null}																				[rootName]		- name of the root document
+	 * @param	{(result:OgreMaxResult)=>void}																[onLoad]		- callback fired with the load result
+	 * @param	{(loaded:number,total:number,progress:OgreProgressEvent)=>void}								[onProgress]	- callback fired during loading, like {@link OgreMaxLoader#load}
+	 * @param	{(err:Error)=>void}																			[onError]		- callback fired on error
+	 * @param	{OgreMaxLoadOptions}																		[options]		- per-load options (abort signal…)
+	 * @returns	{Promise<OgreMaxResult>}																					- resolves like {@link OgreMaxLoader#load}
+	 */
+	loadFromFiles(files, rootName = null, onLoad = () => { }, onProgress = () => { }, onError = () => { }, options = {}) {
+		const provider = files instanceof MemoryFileProvider ? files : new MemoryFileProvider(files);
+		const names = provider.list();
+		const root = rootName
+			?? names.find(n => /\.scene$/i.test(n))
+			?? names.find(n => /\.mesh\.xml$/i.test(n))
+			?? names.find(n => /\.mesh$/i.test(n))
+			?? names.find(n => /\.skeleton\.xml$/i.test(n))
+			?? names.find(n => /\.skeleton$/i.test(n));
+
+		if (!root) {
+			const err = new OgreMaxError('E_IO', 'No .scene, .mesh.xml or .skeleton.xml among the given files', { files: names });
+			onError(err);
+			return Promise.reject(err);
 		}
 
-		if (this.#objectRoot.mesh) {
-			const mesh = this.#objectRoot.mesh;
+		return this.#loadContext(this.#createContext(root, null, { ...options, fileProvider: provider }), onLoad, onProgress, onError);
+	}
 
-			if (this.#objectRoot.skeletonFile) {
-				const { skel, anim } = this.#objectRoot.skeletonFile;
-				mesh.animations = anim;
-				mesh.geometry.bones = skel.bones;
-				mesh.add(skel.bones[0]);
-				mesh.bind(skel);
-			}
+	/**
+	 * Parse an already fetched Ogre document and resolve its dependencies
+	 * (meshes, skeletons, materials) through the file provider.
+	 * @param	{string|ArrayBuffer|XMLDocument}	data		- the document source
+	 * @param	{string}							[url]		- URL of the document, used to resolve its dependencies
+	 * @param	{OgreMaxLoadOptions}				[options]	- per-load options (`fileProvider` for the dependencies, abort signal…)
+	 * @returns	{Promise<OgreMaxResult>}						- resolves like {@link OgreMaxLoader#load}
+	 */
+	parseAsync(data, url = '', options = {}) {
+		return this.#loadContext(this.#createContext(url, null, options), () => { }, () => { }, () => { }, data);
+	}
 
-			this.manager.itemEnd(baseURL);
-			onLoad(mesh);
-			mesh.traverse(o => {
-				if (o.isMesh) {
-					const m = o.material;
-					console.table({
-						type: m.type,
-						emissive: m.emissive && m.emissive.getHexString(),
-						emissiveIntensity: m.emissiveIntensity,
-						emissiveMap: !!m.emissiveMap
-					});
-				}
-			});
-			console.log(mesh);
-			resolve(mesh);
-			return;
-		}
+	/**
+	 * Parse the XML string into Three.js objects.
+	 * Dispatches on root-node name; an ArrayBuffer holding a binary `.mesh`
+	 * or `.skeleton` is read as such.
+	 * @param	{XMLDocument|string|ArrayBuffer}	xml			- the Ogre XML document (or its source) to parse
+	 * @param	{string}							[url]		- URL of the document, used to resolve its dependencies
+	 * @param	{OgreMaxLoadOptions}				[options]	- per-load options (`strict`…)
+	 * @returns {{scene?:THREE.Scene, mesh?:THREE.SkinnedMesh, skeleton?:{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}, warnings:OgreWarning[]}} - parsed data object
+	 * @throws {OgreMaxError}		- if the root node is not recognized
+	 */
+	parse(xml, url = '', options = {}) {
+		const ctx = this.#createContext(url, null, options);
+		const data = this.#parseSource(ctx, xml);
 
-		if (this.#objectRoot.skeleton) {
-			this.manager.itemEnd(baseURL);
-			onLoad(this.#objectRoot.skeleton);
-			resolve(this.#objectRoot.skeleton);
-			return;
-		}
+		data.warnings = ctx.diagnostics.warnings;
+		return data;
 	}
 
 	/**
-	 * File-loader success callback – convert XML, store partial result,
-	 * notify the internal manager that this URL is finished.
-	 * @private
-	 * @param	{string}	url			- the URL of the loaded file
-	 * @param	{string}	response	- the XML response as a string
-	 * @returns {void}
-	 * @throws {OgreMaxError}			- if the XML is malformed or if parsing fails
+	 * Check an Ogre XML document against the bundled DTD of its root element
+	 * (`dtd/OgreMax-dot*.1.0.dtd`) without building anything.
+	 * @example
+	 * for (const v of loader.validate(text, 'robot.mesh.xml')) {
+	 *     console.log(`${v.element} (line ${v.line}): ${v.message}`);
+	 * }
+	 * @param	{XMLDocument|string|ArrayBuffer}	xml		- the Ogre XML document (or its source)
+	 * @param	{string}							[url]	- URL reported in the violations
+	 * @returns	{OgreWarning[]}								- every violation (code, element path, line), empty when valid
+	 * @throws	{OgreMaxError}								- `E_XML` if the XML is malformed, `E_FORMAT` for a binary file
 	 */
-	#handleFileLoaded(url, response) {
-		const xml = new DOMParser().parseFromString(response, 'text/xml');
-		if (xml.querySelector('parsererror')) {
-			throw new OgreMaxError('E_XML', 'Malformed XML', { url });
+	validate(xml, url = '') {
+		if (this.#binaryKind(xml)) {
+			throw new OgreMaxError('E_FORMAT', 'Binary Ogre files have no DTD', { url });
 		}
 
-		const data = this.parse(xml);
-
-		if (data.scene) this.#objectRoot.scene = data.scene;
-		if (data.mesh) this.#objectRoot.mesh = data.mesh;
-		if (data.skeleton) this.#objectRoot.skeleton = data.skeleton;
-
-		this.#internalManager.itemEnd(url);
+		return OgreSchema.validate(xml, url);
 	}
 
 
 	/* ====================================================================== */
-	/* First level parsers													  */
+	/* Internal loading management                                            */
 	/* ====================================================================== */
 	/**
-	 * High-level conversion from a `<mesh>` XML root to a skinned
-	 * {@link THREE.SkinnedMesh} using {@link THREE.BufferGeometry}.
+	 * Create the per-request state of a load. Nothing in here is shared
+	 * between two `load()` calls, nested dependency loads get their own child
+	 * context.
 	 * @private
-	 * @param	{Element}			XMLNode	- XML element `<mesh>`
-	 * @returns	{THREE.SkinnedMesh}			- the resulting skinned mesh
+	 * @param	{string}				url			- URL of the file loaded by this context
+	 * @param	{LoadContext}			[parent]	- context of the file that requested this one
+	 * @param	{OgreMaxLoadOptions}	[options]	- load options, inherited from *parent* when omitted
+	 * @param	{"scene"|"mesh"|"skeleton"}	[kind]	- what the file is, guessed from the URL when omitted
+	 * @returns	{LoadContext}						- a fresh load context
 	 */
-	#parseMesh(XMLNode) {
-		const sharedGeomNode = this.#querySelect(XMLNode, 'sharedgeometry');
-		let sharedGeom;
-
-		if (sharedGeomNode) {
-			sharedGeom = this.#parseGeometry(sharedGeomNode);
-		}
-
-		const submeshesNode = this.#querySelect(XMLNode, 'submeshes');
-		if (!submeshesNode) {
-			throw new OgreMaxError('E_XML', '<mesh> is missing a <submeshes> block', { url: this.#url });
-		}
-
-		const submeshes = this.#parseSubmeshes(submeshesNode, sharedGeom);
-		const skelLink = this.#querySelect(XMLNode, 'skeletonlink');
+	#createContext(url, parent = null, options = {}, kind = null) {
+		options = parent?.options ?? options ?? {};
+
+		return {
+			url,
+			kind: kind ?? (/\.scene(?:[?#]|$)/i.test(url) ? 'scene' : /\.skeleton(?:\.xml)?(?:[?#]|$)/i.test(url) ? 'skeleton' : 'mesh'),
+			path: THREE.LoaderUtils.extractUrlBase(url),
+			parent,
+			options,
+			provider: parent?.provider ?? options.fileProvider ?? this.#fileProvider ?? this.#createURLProvider(),
+			objectRoot: {},
+			internalManager: new THREE.LoadingManager(),
+			diagnostics: parent?.diagnostics ?? new OgreDiagnostics(this.#logger, this.#logLevel),
+			progress: parent?.progress ?? new OgreProgress(),
+			files: parent?.files ?? [],
+			materialLibrary: parent?.materialLibrary ?? new Map(),
+			cache: parent?.cache ?? this.#cache ?? new OgreAssetCache(),
+			assets: [],
+			released: false,
+			errors: new Map()
+		};
+	}
 
-		if (skelLink) {
-			const skelUrl = `${this.path}${skelLink.getAttribute('name')}.xml`;
-			const intLoad = new OgreMaxLoader(this.manager);
+	/**
+	 * Turn a dependency name into a URL through the user resolver, falling
+	 * back to the historical naming:
+	 *  ▸ mesh      → `<path><meshFile>.xml`
+	 *  ▸ skeleton  → `<path><name>.xml` (binary `<path><name>` from a binary mesh)
+	 *  ▸ material  → `<path><scene base name>.material`
+	 * Textures go through the same resolver inside {@link DotMaterialLoader}.
+	 * @private
+	 * @param	{LoadContext}		ctx				- the load context requesting the dependency
+	 * @param	{OgreResourceKind}	kind			- kind of dependency
+	 * @param	{string}			name			- name as written in the Ogre file
+	 * @param	{string}			[defaultURL]	- overrides the historical naming
+	 * @returns	{string}							- the URL to request
+	 * @throws	{OgreMaxError}						- if the resolver returns something else than a string
+	 */
+	#resolve(ctx, kind, name, defaultURL = null) {
+		const texturePath = this.texturePath || ctx.path;
 
-			this.#internalManager.itemStart(skelUrl);
+		defaultURL ??= {
+			mesh: `${ctx.path}${name}.xml`,
+			skeleton: `${ctx.path}${name}.xml`,
+			material: `${ctx.path}${name}.material`
+		}[kind];
 
-			intLoad.load(
-				skelUrl,
-				({ skeleton, animations }) => {
+		if (!this.#resolver) {
+			return defaultURL;
+		}
 
-					/* rattacher l’ossature à chaque SkinnedMesh */
-					submeshes.forEach(obj => {
-						if (obj.isSkinnedMesh) {
-							obj.add(skeleton.bones[0]);
-							obj.bind(skeleton);
-							obj.animations = animations;
-						}
-					});
+		const url = this.#resolver(kind, name, { url: ctx.url, path: ctx.path, texturePath, defaultURL });
 
-					/* mémo pour #finalize (cas mesh-seul) */
-					this.#objectRoot.skeletonFile = {
-						skel: skeleton,
-						anim: animations
-					};
-					this.#internalManager.itemEnd(skelUrl);
-				},
-				() => { },
-				() => this.#internalManager.itemError(skelUrl)
-			);
+		if (url === null || url === undefined) {
+			return defaultURL;
 		}
 
-		if (submeshes.length === 1) {
-			return submeshes[0]; // un seul submesh, on le retourne directement
+		if (typeof url !== 'string') {
+			throw new OgreMaxError('E_RUNTIME', `resolver returned a ${typeof url} for ${kind} "${name}"`, { kind, name, url: ctx.url });
 		}
 
-		const group = new THREE.Group();
-		group.name = XMLNode.getAttribute('name') ?? 'mesh';
-
-		submeshes.forEach(submesh => {
-			group.add(submesh); // ajoute chaque submesh au groupe
-		});
-
-        return group; // retourne le groupe contenant tous les submeshes
+		return url;
 	}
 
 	/**
-	 * Build a THREE.Scene from a Ogre dotScene XML root.
+	 * Load a mesh / skeleton / material dependency through the asset cache.
+	 * On a hit the shared asset is only instantiated; a shared load cancelled
+	 * by another `load()` is retried under *ctx*. Loads whose options parse
+	 * the document differently do not share it (see `#cacheVariant`).
 	 * @private
-	 * @param	{Element}		sceneNode	- XML element `<scene>`
-	 * @returns	{THREE.Scene}				- the resulting scene object
+	 * @param	{LoadContext}								ctx			- the context requesting the dependency
+	 * @param	{"mesh"|"skeleton"|"material"}				kind		- what the dependency is
+	 * @param	{string}									url			- resolved URL of the dependency
+	 * @param	{()=>Promise<{value:*, deps:string[]}>}		load		- loads the dependency
+	 * @param	{(value:*)=>*}								instantiate	- per-use copy of the shared asset
+	 * @returns	{Promise<*>}											- the asset, or its copy when cached
 	 */
-	#parseScene(sceneNode) {
-		const env = this.#querySelect(sceneNode, 'environment');
-		const nodes = this.#querySelect(sceneNode, 'nodes');
-		const scene = new THREE.Scene();
-		const upAxis = (sceneNode.getAttribute('upAxis') || 'y').toLowerCase();
-
-		scene.up.set(
-			+(upAxis === 'x'),
-			+(upAxis === 'y'),
-			+(upAxis === 'z')
-		); // (1,0,0) / (0,1,0) / (0,0,1)
-
-		scene.userData = {
-			formatVersion: this.#attrFloat(sceneNode, 'formatVersion', 0),
-			minOgreVersion: this.#attrFloat(sceneNode, 'minOgreVersion', 0),
-			ogreMaxVersion: this.#attrFloat(sceneNode, 'ogreMaxVersion', 0),
-			unitsPerMeter: this.#attrFloat(sceneNode, 'unitsPerMeter', 1),
-			unitType: sceneNode.getAttribute('unitType') || 'meters',
-			author: sceneNode.getAttribute('author') || undefined,
-			application: sceneNode.getAttribute('application') || undefined
-		};
+	#loadShared(ctx, kind, url, load, instantiate) {
+		const cache = ctx.cache;
+		const key = cache.key(url, ctx.options.fileProvider ?? this.#fileProvider, this.#cacheVariant(ctx, kind));
 
-		if (nodes) {
-			scene.add(this.#parseNodes(nodes));
-		}
+		return cache.acquire(key, load).then(
+			(value) => {
+				ctx.assets.push(key);
 
-		if (env) {
-			scene.add(this.#parseEnvironment(env));
-		}
+				if (ctx.released) {
+					this.#releaseAssets(ctx);				// the load failed meanwhile
+				}
 
-		return scene;
+				return instantiate(value);
+			},
+			(err) => err?.code === 'E_ABORT' && !ctx.options.signal?.aborted
+				? this.#loadShared(ctx, kind, url, load, instantiate)
+				: Promise.reject(err)
+		);
 	}
 
 	/**
-	 * Build a THREE.Skeleton + animations array from a <skeleton> XML root.
+	 * The load options a dependency of *kind* is parsed with, as a cache key
+	 * suffix. Meshes of a scene ignore `materialFiles` (their materials come
+	 * from the sub-entities).
 	 * @private
-	 * @param	{Element}														XMLNode	- XML element `<skeleton>`
-	 * @returns	{{skeleton:THREE.Skeleton,animations:THREE.AnimationClip[]}}			- the resulting skeleton and animations
+	 * @param	{LoadContext}					ctx		- the context requesting the dependency
+	 * @param	{"mesh"|"skeleton"|"material"}	kind	- what the dependency is
+	 * @returns	{string}								- the variant, `''` for the default options
 	 */
-	#parseSkeleton(XMLNode) {
-		const animationsNode = this.#querySelect(XMLNode, 'animations');
-		const bonesNode = this.#querySelect(XMLNode, 'bones');
-		const bonehierarchyNode = this.#querySelect(XMLNode, 'bonehierarchy');
-		let skeleton = new THREE.Skeleton([]);
-		let animations = [];
+	#cacheVariant(ctx, kind) {
+		const { strict = false, mergeSubmeshes = false, boneInfluences = 'prune', materialFiles = false } = ctx.options;
+		let inScene = false;
 
-		if (!bonesNode || !bonehierarchyNode && animations) {
-			throw new OgreMaxError('E_XML', '<skeleton> is missing <bones> or <bonehierarchy>', { url: this.#url });
+		for (let parent = ctx; parent; parent = parent.parent) {
+			inScene ||= parent.kind === 'scene';
 		}
 
-		if (!bonesNode || !bonehierarchyNode) {
-			return { skeleton, animations };
-		}
+		const [variant, defaults] = kind === 'mesh' ? [[!!strict, !!mergeSubmeshes, boneInfluences, inScene ? 'scene' : materialFiles], [false, false, 'prune', false]]
+			: kind === 'skeleton' ? [[!!strict], [false]]
+				: [[], []];
+		const text = JSON.stringify(variant);
 
-		const bones = bonesNode ? this.#parseBones(bonesNode) : [];
-		animations = animationsNode ? this.#parseAnimations(animationsNode, bones) : animations;
-		skeleton = bonehierarchyNode ? new THREE.Skeleton(this.#parseBoneHierarchy(bonehierarchyNode, bones)) : skeleton;
+		return text === JSON.stringify(defaults) ? '' : text;
+	}
 
-		return { skeleton, animations };
+	/**
+	 * Take a file that could not be read off the files of the load: the
+	 * result lists only what was read.
+	 * @private
+	 * @param	{LoadContext}	ctx	- the current load context
+	 * @param	{string}		url	- URL of the failed file
+	 * @returns	{void}
+	 */
+	#unlistFile(ctx, url) {
+		const index = ctx.files.lastIndexOf(url);
+
+		if (index >= 0) {
+			ctx.files.splice(index, 1);
+		}
 	}
 
+	/**
+	 * Fail one dependency of *ctx*; its error becomes the `meta.cause` of
+	 * the load error.
+	 * @private
+	 * @param	{LoadContext}	ctx	- the context owning the dependency
+	 * @param	{string}		url	- URL of the dependency, as passed to `itemStart`
+	 * @param	{*}				err	- why it failed
+	 * @returns	{void}
+	 */
+	#dependencyError(ctx, url, err) {
+		ctx.errors.set(url, err);
+		ctx.internalManager.itemError(url);
+	}
 
-	/* ====================================================================== */
-	/* Mesh parsers															  */
-	/* ====================================================================== */
 	/**
-	 * Merge an incoming geometry into the receiver (`this`) *in-place*.
-	 *
-	 *  ▸ Vertices, faces, UVs, skin indices & weights are appended.
-	 *  ▸ Normals are transformed if a matrix is supplied.
-	 *  ▸ Face .materialIndex is shifted by `materialIndexOffset` so that
-	 *    a {@link THREE.MultiMaterial} can be built afterwards.
-	 *
-	 * **Important :** This helper is bound to `THREE.Geometry.prototype.merge`
-	 * for backward-compatibility with the Ogre XML format – it still relies on
-	 * classical `THREE.Geometry` rather than `BufferGeometry`.
+	 * Drop the cache references of a failed load, and of the dependencies
+	 * that complete after it.
 	 * @private
-	 * @param	{THREE.BufferGeometry}	geomSrc			- the geometry to merge into this
-	 * @param	{THREE.Matrix4}			[matrix]		- optional transformation matrix
-	 * @returns {void}
-	*/
-	#geomMerge(geomSrc, matrix) {
-		const geomDst = this;
-		if (!(geomDst instanceof THREE.BufferGeometry) || !(geomSrc instanceof THREE.BufferGeometry)) {
-			console.error('[OgreMaxLoader] #geomMerge : arguments non BufferGeometry');
-			return;
-		}
+	 * @param	{LoadContext}	ctx	- the failed load context
+	 * @returns	{void}
+	 */
+	#releaseAssets(ctx) {
+		ctx.released = true;
+		ctx.cache.track(ctx, ctx.assets.splice(0));
+		ctx.cache.release(ctx);
+	}
 
-		// prepare normal matrix if needed
-		const normalMatrix = matrix ? new THREE.Matrix3().getNormalMatrix(matrix) : null;
-		const tmpPos = new THREE.Vector3();
-		const tmpNrm = new THREE.Vector3();
+	/**
+	 * Loader of a nested Ogre document, for `#loadShared`.
+	 * @private
+	 * @param	{LoadContext}			ctx		- the context requesting the document
+	 * @param	{string}				url		- resolved URL of the document
+	 * @param	{"mesh"|"skeleton"}		kind	- what the document is
+	 * @returns	{()=>Promise<{value:*, deps:string[]}>}	- starts the load in a child context
+	 */
+	#nestedLoad(ctx, url, kind) {
+		return () => {
+			const child = this.#createContext(url, ctx, undefined, kind);
 
-		/** list of attributes to merge: name, itemSize, DefaultArrayType
-		 * @type {[string,number,Function][]}
-		 */
-		const ATTR = [
-			['position', 3, Float32Array],
-			['normal', 3, Float32Array],
-			['uv', 2, Float32Array],
-			['skinIndex', 4, Uint16Array],
-			['skinWeight', 4, Float32Array]
-		];
+			return this.#loadContext(child, () => { }, () => { }, () => { })
+				.then(value => ({ value, deps: child.assets }));
+		};
+	}
 
-		// for each attribute present in geomSrc
-		for (const [name, itemSize, DefaultArray] of ATTR) {
+	/**
+	 * Default provider: fetch files by URL with the loader configuration.
+	 * @private
+	 * @returns	{URLFileProvider}	- a provider bound to this loader's manager
+	 */
+	#createURLProvider() {
+		const provider = new URLFileProvider(this.manager);
 
-			const srcAttr = geomSrc.getAttribute(name);
-			if (!srcAttr) continue;                            // rien à copier
+		provider.withCredentials = this.withCredentials;
+		provider.requestHeader = this.requestHeader;
+		return provider;
+	}
 
-			const dstAttr = geomDst.getAttribute(name);
-			const srcCount = srcAttr.count;
-			const dstCount = dstAttr ? dstAttr.count : 0;
-			const NewArray = srcAttr.array.constructor || DefaultArray;
-			const merged = new NewArray((dstCount + srcCount) * itemSize);
+	/**
+	 * Fetch the file of a load context and wait for its whole dependency chain.
+	 * @private
+	 * @param	{LoadContext}						ctx			- the load context to run
+	 * @param	{Function}							onLoad		- callback fired with the final object(s)
+	 * @param	{Function}							onProgress	- callback fired during loading
+	 * @param	{Function}							onError		- callback fired on error
+	 * @param	{string|ArrayBuffer|XMLDocument}	[data]		- document source, skips the fetch when given
+	 * @returns	{Promise<*>}									- resolves with the final object(s)
+	 */
+	#loadContext(ctx, onLoad, onProgress, onError, data = null) {
+		const url = ctx.url;
+		const signal = ctx.options.signal ?? null;
+		const diag = ctx.diagnostics;
 
-			// copy existing attribute data (if any)
-			if (dstAttr) {
-				merged.set(dstAttr.array, 0);
-			}
+		return new Promise((resolve, reject) => {
+			let settled = false;	// the promise is resolved / rejected exactly once
 
-			// merge offset in the destination array
-			let writeOfs = dstCount * itemSize;
-			for (let i = 0; i < srcCount; ++i) {
+			const done = (result) => {
+				settled = true;
+				signal?.removeEventListener('abort', abort);
+				resolve(result);
+			};
 
-				// position / normal : apply matrix if provided
-				if (name === 'position') {
-					tmpPos.fromBufferAttribute(srcAttr, i);
-					if (matrix) tmpPos.applyMatrix4(matrix);
-					merged[writeOfs++] = tmpPos.x;
-					merged[writeOfs++] = tmpPos.y;
-					merged[writeOfs++] = tmpPos.z;
+			const fail = (err) => {
+				if (settled) {
+					return;
 				}
-				else if (name === 'normal') {
-					tmpNrm.fromBufferAttribute(srcAttr, i);
 
-					if (normalMatrix) {
-						tmpNrm.applyMatrix3(normalMatrix).normalize();
-					}
+				settled = true;
+				signal?.removeEventListener('abort', abort);
 
-					merged[writeOfs++] = tmpNrm.x;
-					merged[writeOfs++] = tmpNrm.y;
-					merged[writeOfs++] = tmpNrm.z;
-				}
-				// vectorial attributes (uv, skinIndex, skinWeight)
-				else {
-					merged.set(
-						srcAttr.array.subarray(i * itemSize, i * itemSize + itemSize),
-						writeOfs
-					);
-					writeOfs += itemSize;
+				if (!(err instanceof OgreMaxError)) {
+					err = new OgreMaxError("E_RUNTIME", err.message ?? String(err), { cause: err });
 				}
-			}
 
-			// install merged attribute in geomDst
-			geomDst.setAttribute(name, new THREE.BufferAttribute(merged, itemSize, srcAttr.normalized));
-		}
+				this.manager.itemEnd(url);
+				ctx.internalManager.itemEnd(url);
+				this.#releaseAssets(ctx);
 
-		// index merging is a bit more complex, as we need to shift the indices
-		const srcIdx = geomSrc.getIndex();
-		if (srcIdx) {
+				onError(err);
+				reject(err);
+			};
 
-			const dstIdx = geomDst.getIndex();
-			const dstCount = dstIdx ? dstIdx.count : 0;
 
-			const dstVertCnt = geomDst.getAttribute('position').count;
-			const srcVertCnt = geomSrc.getAttribute('position').count;
+			//Setup internal manager for eventual files like mesh, materials...
+			ctx.internalManager.onStart = (file, loaded, total) => {
+				diag.debug(`Started   : ${file}  (${loaded}/${total})`);
+			};
 
-			const IndexType = (dstVertCnt + srcVertCnt) < 65536 ? Uint16Array : Uint32Array;
+			ctx.internalManager.onProgress = (file, loaded, total) => {
+				diag.debug(`Loading   : ${file}  (${loaded}/${total})`);
+			};
 
+			// bytes and items of the whole chain, reported to the root caller only
+			if (!ctx.parent) {
+				ctx.progress.onProgress = event => onProgress(event.loaded, event.total, event);
+			}
 
-			const mergedIdx = new IndexType(dstCount + srcIdx.count);
-			if (dstIdx) mergedIdx.set(dstIdx.array, 0);
+			ctx.internalManager.onError = file => {
+				const cause = ctx.errors.get(file);
 
-			// copy indices from srcIdx, shifting them by the current vertex count
-			const vertOffset = dstVertCnt;
-			for (let i = 0; i < srcIdx.count; ++i) {
-				mergedIdx[dstCount + i] = srcIdx.array[i] + vertOffset;
-			}
+				if (cause?.code !== 'E_ABORT') {
+					diag.error(`Error     : ${file}`, cause);	// a cancelled dependency is not an error
+				}
 
-			geomDst.setIndex(new THREE.BufferAttribute(mergedIdx, 1));
-		}
+				fail(new OgreMaxError('E_RUNTIME', `dependency error on ${file}${cause?.message ? `: ${cause.message}` : ''}`, { file, cause }));
+			};
 
-		// update vertex normals and UVs
-		geomDst.computeBoundingSphere();
-		geomDst.computeBoundingBox();
-	}
+			ctx.internalManager.onLoad = () => {
+				if (settled) {
+					return;                             // aborted or failed meanwhile
+				}
+
+				diag.debug(`Done      : ${url}`);
+				try {
+					this.#finalize(ctx, onLoad, done);
+				}
+				catch (err) {
+					fail(err);
+				}
+			};
 
-	/**
-	 * Append skin indices / weights for a set of vertices.
-	 * @private
-	 * @param {Element}   baNode		- XML element `<boneassignments>`
-	 * @param {number[]}  skinIdx		- array to append skin indices to
-	 * @param {number[]}  skinWgt		- array to append skin weights to
-	 * @param {number}    baseVertex	- absolute vertex count before geometry push
-	 * @param {number}    endVertex		- absolute vertex count after geometry push
-	 */
-	#parseBoneassignments(XMLNode, skinIdx, skinWgt, baseVertex, endVertex) {
-		for (let v = baseVertex; v < endVertex; ++v) {
-			skinIdx.push(0, 0, 0, 0);
-			skinWgt.push(0, 0, 0, 0);
-		}
 
-		const assignmentNodes = this.#querySelectAll(XMLNode, ':scope > vertexboneassignment, :scope > boneassignment');
+			const abort = () => {
+				fail(new OgreMaxError('E_ABORT', `Load of ${url} aborted`, { url, reason: signal.reason }));
+			};
 
-		for (const assignmentNode of assignmentNodes) {
-			const vIndex = this.#attrInt(assignmentNode, 'vertexindex');
-			const bIndex = this.#attrInt(assignmentNode, 'boneindex');
-			const weight = this.#attrFloat(assignmentNode, 'weight', 0);
 
-			const vAbs = baseVertex + vIndex;
+			this.manager.itemStart(url);
+			ctx.internalManager.itemStart(url);
 
+			if (url) {
+				ctx.files.push(url);
+			}
 
-			if (vAbs >= endVertex) {
-				throw new OgreMaxError('E_RANGE', `vertexindex ${vIndex} out of range (base ${baseVertex}, end ${endVertex})`, { assignment: assignmentNode.outerHTML });
+			if (signal?.aborted) {
+				abort();
+				return;
 			}
 
-			// find free slot (max 4)
-			let placed = false;
-			for (let s = 0; s < 4; ++s) {
-				const off = vAbs * 4 + s;
-				if (skinWgt[off] === 0) {
-					skinIdx[off] = bIndex;
-					skinWgt[off] = weight;
-					placed = true;
-					break;
+			signal?.addEventListener('abort', abort, { once: true });
+
+			let source;
+
+			try {
+				if (data === null) {
+					ctx.progress.start(url, ctx.kind);
 				}
+
+				source = data ?? ctx.provider.load(
+					url,
+					/\.(?:mesh|skeleton)(?:[?#]|$)/i.test(url) ? 'arraybuffer' : 'text',
+					(loaded, total) => ctx.progress.update(url, loaded, total),
+					signal
+				);
 			}
+			catch (err) {
+				source = Promise.reject(err);
+			}
+
+			Promise.resolve(source).then(
+				(response) => {														// success
+					if (data === null) {
+						ctx.progress.end(url, response);
+					}
+
+					if (settled) {
+						return;
+					}
+
+					this.#handleFileLoaded(ctx, response).catch(fail);
+				},
+				(err) => {															// erreur
+					ctx.progress.end(url, null, true);
+					this.#unlistFile(ctx, url);
+					fail(new OgreMaxError("E_IO", `Cannot load ${url}`, { url, cause: err }));
+				}
+			);
+		});
+	}
+
+	/**
+	 * Turn an XML source into a document: with the injected parser when there
+	 * is one, else with the built-in streaming parser.
+	 * @private
+	 * @param	{LoadContext}			ctx		- the load context owning the document
+	 * @param	{string|ArrayBuffer}	source	- XML text or raw bytes
+	 * @returns	{XMLDocument}					- the parsed document
+	 * @throws	{OgreMaxError}					- if the XML is malformed
+	 */
+	#parseXML(ctx, source) {
+		const text = source instanceof ArrayBuffer ? new TextDecoder().decode(source) : source;
+		const parser = this.#xmlParser;
 
-			if (!placed) {
-				throw new OgreMaxError('E_FORMAT', `More than 4 bone influences for vertex ${vIndex}`, { assignment: assignmentNode.outerHTML });
+		if (typeof text !== 'string') {
+			throw new OgreMaxError('E_XML', `Expected XML text, got ${typeof text}`, { url: ctx.url });
+		}
+
+		let xml;
+		try {
+			xml = parser ? parser.parseFromString(text, 'text/xml') : this.#streamXML(ctx, text);
+		}
+		catch (err) {
+			if (err instanceof OgreMaxError) {
+				err.meta.url = ctx.url;
+				throw err;
 			}
+
+			throw new OgreMaxError('E_XML', `Malformed XML: ${err.message}`, { url: ctx.url });
 		}
+
+		if (!xml?.documentElement || xml.getElementsByTagName?.('parsererror').length) {
+			throw new OgreMaxError('E_XML', 'Malformed XML', { url: ctx.url });
+		}
+
+		return xml;
 	}
 
 	/**
-	 * Parse a single <face>.
+	 * Whether an element is decoded as bulk data: the {@link BULK_ELEMENTS},
+	 * and the morph tracks of meshes – skeleton tracks are not bulk.
 	 * @private
-	 * @param	{Element}													XMLNode	- XML element `<face>`
-	 * @param	{THREE.Vector3[]}											normals	- array of vertex normals
-	 * @param	{(THREE.Vector2|THREE.Vector3)[]}							uvs		- array of vertex UVs
-	 * @returns	{{face:THREE.Face3, uvs:(THREE.Vector2|THREE.Vector3)[]}}			- the parsed face and its UV set
+	 * @param	{string}				name		- element name
+	 * @param	{Record<string,string>}	attributes	- its attributes
+	 * @returns	{boolean}
 	 */
-	#parseFace(XMLNode, normals, uvs) {
-		const v1 = this.#attrInt(XMLNode, 'v1');
-		const v2 = this.#attrInt(XMLNode, 'v2');
-		const v3 = this.#attrInt(XMLNode, 'v3');
-		const normal = [normals[v1], normals[v2], normals[v3]];
-		const uv = [uvs[v1], uvs[v2], uvs[v3]];
-
-		return { v1, v2, v3, normal, uv };
+	#isBulk(name, attributes) {
+		return BULK_ELEMENTS.has(name) || (name === 'track' && attributes.type === 'morph');
 	}
 
 	/**
-	 * Parse `<faces>` and push indices into the global array.
+	 * Build the document in one pass with {@link OgreXMLParser#scan}. The
+	 * content of bulk elements (`<vertexbuffer>`, `<faces>`,
+	 * `<boneassignments>`, `<pose>`, morph `<track>`) never becomes DOM
+	 * nodes: it is decoded on the fly into typed arrays, kept for `#bulkData`.
 	 * @private
-	 * @param	{Element}							XMLNode		- XML element `<faces>`
-	 * @param	{number}							base		- base vertex index (offset)
-	 * @param	{number}							vertCount	- total vertex count (for range check)
-	 * @param	{THREE.Vector3[]}					normals		- array of vertex normals
-	 * @param	{(THREE.Vector2|THREE.Vector3)[]}	uvs			- array of vertex UVs
-	 * @returns	{{faces:number[], faceNormals:THREE.Vector3[], faceUvs:(THREE.Vector2|THREE.Vector3)[]}} - parsed faces, normals and UVs
-	 * @throws {OgreMaxError}			- if a face index is out of range
+	 * @param	{LoadContext}	ctx		- the load context owning the document
+	 * @param	{string}		text	- XML source
+	 * @returns	{XMLDocument}			- the lightweight document
+	 * @throws	{OgreMaxError}			- `E_XML` with `meta.line` on malformed input
 	 */
-	#parseFaces(XMLNode, base, vertCount, normals, uvs) {
-		const faces = [], faceNormals = [], faceUvs = [];
-		const faceNodes = this.#querySelectAll(XMLNode, ':scope > face');
+	#streamXML(ctx, text) {
+		const doc = new OgreXMLDocument();
+		let current = doc;
+		let decoder = null, bulkNode = null, depth = 0, attrs = null;
+
+		// one attribute view reused for every decoded element
+		const view = {
+			hasAttribute: name => Object.hasOwn(attrs, name),
+			getAttribute: name => Object.hasOwn(attrs, name) ? attrs[name] : null
+		};
+
+		new OgreXMLParser().scan(text, {
+			onOpen: (name, attributes, line) => {
+				if (decoder) {
+					++depth;
+					attrs = attributes;
+					decoder.element(name, view);
+					return;
+				}
 
-		for (const faceNode of faceNodes) {
-			const { v1, v2, v3, normal, uv } = this.#parseFace(faceNode, normals, uvs);
+				const element = new OgreXMLElement(name, attributes, line);
 
-			const a = base + v1;
-			const b = base + v2;
-			const c = base + v3;
+				element.parentNode = current;
+				current.childNodes.push(element);
 
-			if (v1 >= vertCount || v2 >= vertCount || v3 >= vertCount) {
-				throw new OgreMaxError('E_RANGE', `Face index out of range (v1:${a} v2:${b} v3:${c} >= ${vertCount})`, { node: faceNode.outerHTML, url: this.#url });
+				if (this.#isBulk(name, attributes)) {
+					decoder = this.#bulkDecoder(ctx, element, current);
+					bulkNode = element;
+					depth = 0;
+				}
+				else {
+					current = element;
+				}
+			},
+			onClose: () => {
+				if (!decoder) {
+					current = current.parentNode;
+				}
+				else if (depth-- === 0) {
+					BULK_DATA.set(bulkNode, decoder.close());
+					decoder = null;
+				}
 			}
+		});
+
+		return doc;
+	}
 
-			faces.push(a, b, c);
-			faceNormals.push(normal);
-			faceUvs.push(uv);
+	/**
+	 * Parse any supported source: a document, XML text or bytes, or a binary
+	 * `.mesh` / `.skeleton`.
+	 * @private
+	 * @param	{LoadContext}						ctx		- the load context owning the source
+	 * @param	{XMLDocument|string|ArrayBuffer}	source	- the document or its source
+	 * @returns {{scene?:THREE.Scene, mesh?:THREE.SkinnedMesh, skeleton?:{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}} - parsed data object
+	 * @throws {OgreMaxError}		- if the source cannot be parsed
+	 */
+	#parseSource(ctx, source) {
+		switch (this.#binaryKind(source)) {
+			case 'mesh':
+				return { mesh: this.#parseBinaryMesh(ctx, source) };
+			case 'skeleton':
+				return { skeleton: this.#parseBinarySkeleton(ctx, source) };
 		}
 
-        return { faces, faceNormals, faceUvs };
+		this.#checkSchema(ctx, source);
+		return this.#parseDocument(ctx, source?.documentElement ? source : this.#parseXML(ctx, source));
 	}
 
 	/**
-	 * Push vertex data of a `<geometry>` / `<sharedgeometry>` block into
-	 * the provided accumulators.
+	 * Strict mode: reject an XML document that does not follow its DTD.
 	 * @private
-	 * @param	{Element}												XMLNode - XML element `<geometry>` or `<sharedgeometry>`
-	 * @returns	{{globalVertices:THREE.Vector3[], globalNormals:THREE.Vector3[], globalUvs:(THREE.Vector2|THREE.Vector3)[]}[]} - accumulators for vertices, normals and UVs
-	 * @throws	{OgreMaxError}													- if vertexcount differs from parsed count
+	 * @param	{LoadContext}						ctx		- the load context owning the source
+	 * @param	{XMLDocument|string|ArrayBuffer}	source	- the document or its XML source
+	 * @returns	{void}
+	 * @throws	{OgreMaxError}								- `E_SCHEMA` with every violation in `meta.violations`
 	 */
-	#parseGeometry(XMLNode) {
-		const globalNormals = [], globalUvs = [], globalVertices = [];
-        const vertexBufferNodes = XMLNode.querySelectorAll(':scope > vertexbuffer');
-		const declared = this.#attrInt(XMLNode, 'vertexcount', 0);
+	#checkSchema(ctx, source) {
+		if (!ctx.options.strict) {
+			return;
+		}
 
-		for (const vertexBufferNode of vertexBufferNodes) {
-			const { vertices, normals, uvs } = this.#parseVertexbuffer(vertexBufferNode);
+		const violations = OgreSchema.validate(source, ctx.url);
+
+		if (violations.length) {
+			const { message, element, line } = violations[0];
+			throw new OgreMaxError('E_SCHEMA', `${violations.length} DTD violation(s) in ${ctx.url || 'the document'}, first: ${message} (${element}, line ${line})`, { url: ctx.url, violations });
+		}
+	}
 
-			globalVertices.push(...vertices);
-			globalNormals.push(...normals);
-            globalUvs.push(...uvs);
+	/**
+	 * Recognise binary Ogre files from their header chunk.
+	 * @private
+	 * @param	{*}						source	- a document source
+	 * @returns	{'mesh'|'skeleton'|null}		- the kind of binary file, `null` for anything else
+	 */
+	#binaryKind(source) {
+		if (!(source instanceof ArrayBuffer) || source.byteLength < 18) {
+			return null;
 		}
 
-		if (declared && declared !== globalVertices.length) {
-			throw new OgreMaxError('E_FORMAT', `vertexcount ${declared} differs from parsed ${globalVertices.length}`, { url: this.#url });
+		const bytes = new Uint8Array(source, 0, 18);
+		const id = bytes[0] | bytes[1] << 8;
+
+		if (id !== MESH_CHUNK.HEADER && id !== 0x0010) { // either byte order
+			return null;
 		}
 
-		return { vertices: globalVertices, normals: globalNormals, uvs: globalUvs };
+		const version = String.fromCharCode(...bytes.subarray(2));
+
+		return version === '[MeshSerializer_' ? 'mesh' : version.startsWith('[Serializer_') ? 'skeleton' : null;
 	}
 
 	/**
-	 * Parse a `<submeshes>` block and return an array of submeshes.
+	 * Dispatch a parsed Ogre XML document on its root-node name.
 	 * @private
-	 * @param	{Element}				XMLNode	- XML element `<submeshes>`
-	 * @param	{{vertices:THREE.Vector3[], normals:THREE.Vector3[], uvs:(THREE.Vector2|THREE.Vector3)[]}?}	shared	- optional shared geometry data (vertices, normals, uvs)
-	 * @returns {THREE.Object3D[]}				- array of parsed submeshes (SkinnedMesh or Line)
-	 * @throws	{OgreMaxError}					- if no submesh is found in the XML
+	 * @param	{LoadContext}	ctx	- the load context owning the document
+	 * @param	{XMLDocument}	xml	- the Ogre XML document to parse
+	 * @returns {{scene?:THREE.Scene, mesh?:THREE.SkinnedMesh, skeleton?:{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}} - parsed data object
+	 * @throws {OgreMaxError}		- if the root node is not recognized
 	 */
-	#parseSubmeshes(XMLNode, shared = null) {
-		const submeshes = [];
-		const submeshNodes = this.#querySelectAll(XMLNode, ':scope > submesh');
-		let materialSlot = 0;
-
-		if (submeshNodes.length === 0) {
-			throw new OgreMaxError('E_XML', 'No <submesh> found inside <submeshes>', { url: this.#url });
-		}
+	#parseDocument(ctx, xml) {
+		const root = xml.documentElement;
+		const data = {};
 
-		for (const submeshNode of submeshNodes) {
-			submeshes.push(this.#parseSubmesh(submeshNode, shared, materialSlot++));
+		switch (root.nodeName) {
+			case 'scene':
+				data.scene = this.#parseScene(ctx, root);
+				break;
+			case 'mesh':
+				data.mesh = this.#parseMesh(ctx, root);
+				break;
+			case 'skeleton':
+				data.skeleton = this.#parseSkeleton(ctx, root);
+				break;
+			default:
+				throw new OgreMaxError("E_XML", `Unknown root node <${root.nodeName}>`, { url: ctx.url });
 		}
 
-        return submeshes;
+		return data;
 	}
 
 	/**
-	 * Parse a single <submesh> and return a SkinnedMesh (geometry+material).
+	 * When the internal manager of *ctx* fires onLoad, assemble final object(s)
+	 * and forward them to user callback. Nested loads hand over the bare
+	 * object, the root load wraps it in an {@link OgreMaxResult}.
 	 * @private
-	 * @param	{Element}																					XMLNode			- XML element `<submesh>`
-	 * @param	{{vertices:THREE.Vector3[], normals:THREE.Vector3[], uvs:(THREE.Vector2|THREE.Vector3)[]}?}	shared			- optional shared geometry data (vertices, normals, uvs)
-	 * @param	{number}																					materialSlot	- material slot index (for multi-materials)
-	 * @returns {THREE.SkinnedMesh}																							- the resulting skinned mesh (or Line if operationtype=line_list)
+	 * @param {LoadContext}	ctx		– the load context being completed
+	 * @param {Function}	onLoad	- callback to call with the final object(s)
+	 * @param {Function}	resolve	- Promise resolve function to call with the final object(s)
 	 */
-	#parseSubmesh(XMLNode, shared = null, materialSlot = 0) {
-		const indices = [], normals = [], skinIndex = [], skinWeight = [], uvs = [], vertices = [];
-		const geomNode = this.#querySelect(XMLNode, 'geometry');
-		const facesNode = this.#querySelect(XMLNode, 'faces');
-		const assignmentsNode = this.#querySelect(XMLNode, 'boneassignments');
-		const usesShared = this.#attrBool(XMLNode, 'usesharedvertices');
-        const use32bitindexes = this.#attrBool(XMLNode, 'use32bitindexes');
-		const opType = XMLNode.getAttribute('operationtype') || 'triangle_list';
-		const geom = new THREE.BufferGeometry();
-		let base = 0;
+	#finalize(ctx, onLoad, resolve) {
+		const objectRoot = ctx.objectRoot;
+		const baseURL = ctx.url;
+		let value = null;
 
-		if (usesShared) {
-			if (!shared) {
-				throw new OgreMaxError('E_FORMAT', 'usesharedvertices is true but no shared geometry provided', { node: XMLNode.outerHTML, url: this.#url });
-			}
+		if (objectRoot.scene) {
+			const scene = objectRoot.scene;
+			const group = scene.children[0];
+			const base = this.#filenameBase(ctx.url);
 
-			vertices.push(...shared.vertices);
-			normals.push(...shared.normals);
-			uvs.push(...shared.uvs);
-		}
-		else if (geomNode) {
-			const { vertices: geoV, normals: geoN, uvs: geoUV } = this.#parseGeometry(geomNode);
+			if (group && objectRoot[base]?.materials) {
+				const mats = objectRoot[base].materials;
 
-			base = 0;
-			vertices.push(...geoV);
-			normals.push(...geoN);
-			uvs.push(...geoUV);
-		}
+				for (const object of group.children) {
 
-        if (facesNode) {
-			const { faces, faceNormals, faceUvs } = this.#parseFaces(facesNode, base, vertices.length, normals, uvs);
+					for (const mesh of object.children) {
 
-			indices.push(...faces);
-		}
+						if (mesh.name && objectRoot[base]) {
+							mesh.material = mats;
+						}
+					}
+				}
+			}
 
-		if (assignmentsNode) {
-			this.#parseBoneassignments(assignmentsNode, skinIndex, skinWeight, 0, vertices.length);
+			value = scene;
 		}
+		else if (objectRoot.mesh) {
+			const mesh = objectRoot.mesh;
 
-		const flatPos = vertices.flatMap(v => [v.x, v.y, v.z]);
-		const flatNorm = normals.flatMap(n => [n.x, n.y, n.z]);
-		const flatUvs = uvs.flatMap(u => u.toArray ? u.toArray() : [u.x, u.y]); // Vector2 or Vector3
+			if (objectRoot.skeletonFile) {
+				const { skel, anim } = objectRoot.skeletonFile;
+				mesh.animations = anim.concat(mesh.animations.filter(clip => !anim.includes(clip)));
 
-		geom.setAttribute('position', new THREE.Float32BufferAttribute(flatPos, 3));
-		if (flatNorm.length) {
-			geom.setAttribute('normal', new THREE.Float32BufferAttribute(flatNorm, 3));
-		}
+				if (mesh.isSkinnedMesh) {
+					mesh.geometry.bones = skel.bones;
+					mesh.add(skel.bones[0]);
+					mesh.bind(skel);
+				}
+			}
 
-		if (flatUvs.length) {
-			geom.setAttribute('uv', new THREE.Float32BufferAttribute(flatUvs, 2));
-		}
+			mesh.traverse(o => {
+				if (o.isMesh) {
+					for (const m of [].concat(o.material)) {
+						ctx.diagnostics.debug(`Material  : ${m.name || m.type}`, {
+							type: m.type,
+							emissive: m.emissive && m.emissive.getHexString(),
+							emissiveIntensity: m.emissiveIntensity,
+							emissiveMap: !!m.emissiveMap
+						});
+					}
+				}
+			});
 
-		if (skinIndex.length) {
-			geom.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(skinIndex, 4));
-			geom.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeight, 4));
+			value = mesh;
 		}
-
-		if (indices.length) {
-			const need32 = use32bitindexes || indices.length > 65535; // if we need 32-bit indices
-			const IndexType = need32 ? Uint32Array : Uint16Array;
-			geom.setIndex(new THREE.BufferAttribute(new IndexType(indices), 1));
-            geom.addGroup(0, indices.length, materialSlot); // add group for multi-materials
+		else if (objectRoot.skeleton) {
+			value = objectRoot.skeleton;
 		}
 
-		geom.computeBoundingSphere();
-		if (!flatNorm.length) {
-			geom.computeVertexNormals(); // compute normals if not provided
+		if (value?.isObject3D) {
+			this.#ensureTangents(ctx, value);
+			this.#ensureVertexColors(value);
 		}
 
-		const material = new THREE.MeshStandardMaterial();
-		material.skinning = !!skinIndex.length;
-		material.morphTargets = true; // for compatibility with Ogre XML
-		material.transparent = true
-
-		if (opType === 'line_list' || opType === 'line_strip') {
-			// create a Line object instead of SkinnedMesh
-			const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
-			return new THREE.Line(geom, lineMaterial);
+		if (!ctx.parent) {
+			ctx.cache.track(value, ctx.assets);
+			value = new OgreMaxResult(value, ctx.files, ctx.diagnostics.warnings, ctx.materialLibrary);
 		}
 
-		// create a SkinnedMesh for triangle lists
-		const skinnedMesh = new THREE.SkinnedMesh(geom, material);
-		skinnedMesh.name = XMLNode.getAttribute('name') || 'submesh'; // set name from attribute or default
-		skinnedMesh.castShadow = true; // enable shadow casting by default
-		skinnedMesh.receiveShadow = true; // enable shadow receiving by default
-		skinnedMesh.frustumCulled = false; // disable frustum culling for better performance in some cases
-        skinnedMesh.userData.materialSlot = materialSlot; // store material slot in userData
-		skinnedMesh.userData.operationType = opType; // store operation type in userData
-		skinnedMesh.userData.usesharedvertices = usesShared; // store shared usage in userData
-		skinnedMesh.userData.use32bitindexes = use32bitindexes; // store shared usage in userData
-
-        return skinnedMesh;
+		this.manager.itemEnd(baseURL);
+		onLoad(value);
+		resolve(value);
 	}
 
 	/**
-	 * Parse one <vertex>.
+	 * Generate the missing tangents of the meshes under *root* whose
+	 * material has a normal map. Geometries without index, normals or uvs
+	 * cannot get tangents and are reported with `W_TANGENTS`.
 	 * @private
-	 * @param	{Element}																			XMLNode	- XML element `<vertex>`
-	 * @param	{boolean}																			hasPos	- true if the vertex has a position
-	 * @param	{boolean}																			hasNorm	- true if the vertex has a normal
-	 * @param	{number}																			tcCount	- number of texture coordinates (0, 1, 2 or 3)
-	 * @param	{number[]}																			tcDim	- array of texture coordinate dimensions (1, 2 or 3)
-	 * @returns {{vertices:THREE.Vector3[], normals:THREE.Vector3[], uvs:(THREE.Vector2|THREE.Vector3)[]}}	- the parsed vertex data
+	 * @param	{LoadContext}		ctx		- the load context being completed
+	 * @param	{THREE.Object3D}	root	- the loaded scene or mesh
+	 * @returns	{void}
 	 */
-	#parseVertex(XMLNode, hasPos, hasNorm, tcCount, tcDim) {
-		const normals = [], uvs = [], vertices = [];
+	#ensureTangents(ctx, root) {
+		root.traverse(o => {
+			const geom = o.geometry;
 
-		if (hasPos) {
-			// added [0] to ensure we get an array of Vector3, not a single Vector3
-			const positionNode = this.#querySelect(XMLNode, 'position');
+			if (!o.isMesh || geom.getAttribute('tangent') || ![].concat(o.material).some(m => m?.normalMap)) {
+				return;
+			}
 
-			vertices.push(this.#attrVector3(positionNode));
-		}
+			if (geom.index && geom.getAttribute('normal') && geom.getAttribute('uv')) {
+				geom.computeTangents();
+			}
+			else {
+				ctx.diagnostics.warn('W_TANGENTS', `Cannot generate tangents for "${o.name}": index, normals and uvs are required`, ctx.url);
+			}
+		});
+	}
 
-		if (hasNorm) {
-			const normalNode = this.#querySelect(XMLNode, 'normal');
+	/**
+	 * Enable `vertexColors` on the materials of the objects under *root*
+	 * whose geometry has a `color` attribute. Materials come from the
+	 * library or the cache and may be shared with uncoloured meshes, so
+	 * a coloured copy is assigned instead (one per material).
+	 * @private
+	 * @param	{THREE.Object3D}	root	- the loaded scene or mesh
+	 * @returns	{void}
+	 */
+	#ensureVertexColors(root) {
+		const copies = new Map();
+		const coloured = m => {
+			if (!m || m.vertexColors) {
+				return m;
+			}
 
-			normals.push(this.#attrVector3(normalNode));
-		}
+			if (!copies.has(m)) {
+				const copy = m.clone();
 
-		if (tcCount) {
-			const texCoords = XMLNode.querySelectorAll('texcoord');
+				copy.vertexColors = true;
+				copies.set(m, copy);
+			}
 
-			for (let i = 0; i < tcCount; ++i) {
-				const texCoord = texCoords[i];
+			return copies.get(m);
+		};
 
-				switch (tcDim[i]) {
-					case 1:
-						uvs.push(this.#attrU(texCoord));
-						break;
-					case 2:
-						uvs.push(this.#attrUV(texCoord));
-						break;
-					case 3:
-						uvs.push(this.#attrUVW(texCoord));
-						break;
-				}
+		root.traverse(o => {
+			if (!o.material || !o.geometry?.getAttribute('color')) {
+				return;
 			}
-		}
 
-		return { vertices, normals, uvs };
+			o.material = Array.isArray(o.material) ? o.material.map(coloured) : coloured(o.material);
+		});
 	}
 
 	/**
-	 * Parse one `<vertexbuffer>` and append its content to accumulators.
+	 * File-loader success callback – convert XML, store partial result,
+	 * notify the internal manager that this URL is finished. Meshes and
+	 * skeletons go through the worker in worker mode.
 	 * @private
-	 * @param	{Element}												XMLNode	- XML element `<vertexbuffer>`
-	 * @returns	{{globalVertices:number[], globalNormals:number[], globalUvs:(THREE.Vector2|THREE.Vector3)[]}}	- the parsed vertex data
+	 * @param	{LoadContext}						ctx			- the load context of the loaded file
+	 * @param	{string|ArrayBuffer|XMLDocument}	response	- the XML response (text, raw bytes or parsed document)
+	 * @returns {Promise<void>}							- rejects with an OgreMaxError if the XML is malformed or if parsing fails
 	 */
-	#parseVertexbuffer(XMLNode) {
-		const globalNormals = [], globalUvs = [], globalVertices = [];
-		const hasPos = this.#attrBool(XMLNode, 'positions');
-		const hasNorm = this.#attrBool(XMLNode, 'normals');
-		const tcCount = this.#attrInt(XMLNode, 'texture_coords', 0);
-		const vertexNodes = this.#querySelectAll(XMLNode, ':scope > vertex');
-
-		// texture_coord_dimensions_n  (default 2)
-		const tcDim = Array.from({ length: tcCount }, (_, i) => {
-			const texCoordNode = XMLNode.getAttribute(`texture_coord_dimensions_${i}`);
-			const dimension = texCoordNode ? parseInt(texCoordNode.replace('float', ''), 10) : 2;
-
-			if (![1, 2, 3].includes(dimension)) {
-				throw new OgreMaxError('E_FORMAT', `texture_coord_dimensions_${i} = ${dimension} (expected 1/2/3)`, { node: XMLNode.outerHTML });
+	#handleFileLoaded(ctx, response) {
+		const url = ctx.url;
+		const packed = this.#workerSource && !response?.documentElement && this.#isWorkerDocument(response)
+			? this.#parseInWorker(ctx, response)
+			: null;
+
+		return Promise.resolve(packed).then(packed => {
+			if (ctx.options.signal?.aborted) {
+				return;
 			}
 
-			return dimension;
-		});
-
-		for (const vertexNode of vertexNodes) {
-			const { vertices, normals, uvs } = this.#parseVertex(vertexNode, hasPos, hasNorm, tcCount, tcDim);
+			const data = packed ? this.#unpackDocument(ctx, packed) : this.#parseSource(ctx, response);
 
-			globalVertices.push(...vertices);
-			globalNormals.push(...normals);
-            globalUvs.push(...uvs);
-		}
+			if (data.scene) ctx.objectRoot.scene = data.scene;
+			if (data.mesh) ctx.objectRoot.mesh = data.mesh;
+			if (data.skeleton) ctx.objectRoot.skeleton = data.skeleton;
 
-		return { vertices: globalVertices, normals: globalNormals, uvs: globalUvs };
+			ctx.internalManager.itemEnd(url);
+		});
 	}
 
 
 	/* ====================================================================== */
-	/* Scene parsers														  */
+	/* Worker mode															  */
 	/* ====================================================================== */
+	/*
+	 * Worker side: when this module runs in a worker, answer the parse
+	 * requests posted by `#parseInWorker`. Other messages are left alone, so
+	 * the worker can be shared with other code.
+	 */
+	static {
+		if (typeof WorkerGlobalScope !== 'undefined' && globalThis instanceof WorkerGlobalScope) {
+			globalThis.addEventListener('message', ({ data }) => {
+				if (data?.ogreMax !== 'parse') {
+					return;
+				}
+
+				try {
+					const { message, transfer } = new OgreMaxLoader().setLogger(null).#packDocument(data.url, data.source, { strict: data.strict, mergeSubmeshes: data.mergeSubmeshes, boneInfluences: data.boneInfluences });
+					globalThis.postMessage({ ogreMax: 'parsed', id: data.id, ...message }, transfer);
+				}
+				catch (err) {
+					const code = err.code ?? 'E_RUNTIME';
+					const detail = String(err.message).replace(`[${code}] `, '');
+
+					globalThis.postMessage({ ogreMax: 'failed', id: data.id, code, detail, meta: JSON.parse(JSON.stringify(err.meta ?? {})) });
+				}
+			});
+		}
+	}
+
 	/**
-	 * Parse an `<environment>` block (ambient light, background colour,
-	 * clipping distances) and return it as a dedicated `THREE.Group`.
+	 * Start the worker on first use.
 	 * @private
-	 * @param	{Element}		envNode	– XML element `<environment>`
-	 * @returns {THREE.Group}			– contains ambient light, userData etc.
+	 * @returns	{{worker:Worker, pending:Map<number,{resolve:Function, reject:Function}>, lastId:number}|null}	- the connected worker, `null` when unavailable
 	 */
-	#parseEnvironment(envNode) {
-		const amb = this.#querySelect(envNode, 'colourAmbient');
-		const bg = this.#querySelect(envNode, 'colourBackground');
-		const clip = this.#querySelect(envNode, 'clipping');
-		const grp = new THREE.Group();
-		grp.name = 'environment';
+	#connectWorker() {
+		if (!this.#worker) {
+			const source = this.#workerSource;
+			let worker = null;
 
-		if (amb) {
-			const ambLight = new THREE.AmbientLight(this.#attrColorRGB(amb));
+			try {
+				worker = typeof source?.postMessage === 'function' ? source : new Worker(source === true ? import.meta.url : source, { type: 'module' });
+			}
+			catch {
+				// no Worker in this runtime, or the script was refused
+			}
 
-			grp.add(ambLight);
-		}
+			const handle = this.#worker = { worker, owned: worker !== source, pending: new Map(), lastId: 0 };
 
-		if (bg) {
-			grp.userData.background = this.#attrColorRGB(bg);
-		}
+			worker?.addEventListener('message', ({ data }) => {
+				const request = handle.pending.get(data?.id);
 
-		if (clip) {
-			grp.userData.clipping = {
-				near: this.#attrFloat(clip, 'near', 0),
-				far: this.#attrFloat(clip, 'far', 1)
-			};
+				if (!request || !['parsed', 'failed'].includes(data.ogreMax)) {
+					return;
+				}
+
+				handle.pending.delete(data.id);
+
+				if (data.ogreMax === 'parsed') {
+					request.resolve(data);
+				}
+				else {
+					request.reject(new OgreMaxError(data.code, data.detail, data.meta));
+				}
+			});
+
+			// the script failed to load or crashed: everything goes back to the main thread
+			worker?.addEventListener('error', (event) => {
+				event.preventDefault?.();
+
+				if (handle.owned) {
+					worker.terminate();
+				}
+
+				handle.worker = null;
+				handle.pending.forEach(request => request.resolve(null));
+				handle.pending.clear();
+			});
 		}
 
-		return grp;
+		return this.#worker.worker ? this.#worker : null;
 	}
 
 	/**
-	 * Handle one `<entity>` tag : triggers a nested mesh load and attaches the
-	 * resulting `SkinnedMesh` (or `Line`) to *parentObj*.
-	 * Deals with shadow flags, material sub-entities, and bone attachments.
+	 * Whether *source* is a `.mesh` or `.skeleton` document, from its first
+	 * element or its binary header.
 	 * @private
-	 * @param	{Element}			entityNode	– XML element `<entity>`
-	 * @param	{THREE.Object3D}	parentObj	– parent object that receives the mesh
-	 * @returns	{void}
+	 * @param	{string|ArrayBuffer}	source	- XML text or raw bytes
+	 * @returns	{boolean}						- true when the worker can parse it
 	 */
-	#parseEntity(entityNode, parentObj) {
-		const meshFile = entityNode.getAttribute('meshFile');
-
-		if (!meshFile) {
-			console.warn('Entity sans meshFile :', entityNode);
-			return;
+	#isWorkerDocument(source) {
+		if (this.#binaryKind(source)) {
+			return true;
 		}
 
-		const meshURL = `${this.path}${meshFile}.xml`;
-		const intLoader = new OgreMaxLoader(this.manager);
-		const subEntities = this.#querySelect(entityNode, 'subentities');
+		const head = source instanceof ArrayBuffer
+			? new TextDecoder().decode(new Uint8Array(source, 0, Math.min(source.byteLength, 4096)))
+			: typeof source === 'string' ? source.slice(0, 4096) : '';
 
-		if (subEntities) {
-			this.#parseSubEntities(subEntities);
+		return /^(?:\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*<(?:mesh|skeleton)[\s/>]/.test(head.replace(/^\uFEFF/, ''));
+	}
+
+	/**
+	 * Post a document to the worker.
+	 * @private
+	 * @param	{LoadContext}			ctx		- the load context of the document
+	 * @param	{string|ArrayBuffer}	source	- XML text or raw bytes
+	 * @returns	{Promise<object|null>}			- the packed document, `null` to parse it on the main thread
+	 */
+	#parseInWorker(ctx, source) {
+		const handle = this.#connectWorker();
+
+		if (!handle) {
+			ctx.diagnostics.debug(`No worker available, parsing ${ctx.url} on the main thread`);
+			return Promise.resolve(null);
 		}
 
-		this.#internalManager.itemStart(meshURL);
+		const id = ++handle.lastId;
 
-		intLoader.load(
-			meshURL,
-			mesh => {
-				mesh.name = entityNode.getAttribute('name') || mesh.name;
-				mesh.castShadow = this.#attrBool(entityNode, 'castShadows', mesh.castShadow);
-				mesh.receiveShadow = this.#attrBool(entityNode, 'receiveShadows', mesh.receiveShadow);
-
-				parentObj.add(mesh);
-				this.#internalManager.itemEnd(meshURL);
-			},
-			() => { },
-			() => this.#internalManager.itemError(meshURL)
-		);
+		return new Promise((resolve, reject) => {
+			handle.pending.set(id, { resolve, reject });
+			handle.worker.postMessage({ ogreMax: 'parse', id, url: ctx.url, source, strict: !!ctx.options.strict, mergeSubmeshes: !!ctx.options.mergeSubmeshes, boneInfluences: ctx.options.boneInfluences });
+		});
 	}
 
 	/**
-	 * Convert a single Ogre `<node>` branch (recursion) to `THREE.Object3D`.
+	 * Worker side: parse a document into structured-clonable data, every
+	 * typed array being transferred.
 	 * @private
-	 * @param	{Element}			node	– XML element `<node>`
-	 * @returns	{THREE.Object3D}			– root object for this branch
+	 * @param	{string}				url			- URL of the document
+	 * @param	{string|ArrayBuffer}	source		- XML text, raw bytes or a binary `.mesh` / `.skeleton`
+	 * @param	{OgreMaxLoadOptions}	[options]	- the options of the load (`strict`, `mergeSubmeshes`, `boneInfluences`)
+	 * @returns	{{message:object, transfer:ArrayBuffer[]}}	- the packed document and the buffers to transfer
+	 * @throws	{OgreMaxError}								- if the XML is malformed or is neither a mesh nor a skeleton
 	 */
-	#parseNode(node) {
-		const entity = this.#querySelect(node, ':scope > entity');
-		const obj = new THREE.Object3D();
-
-		obj.name = node.getAttribute('name') || '';
-		obj.visible = this.#attrBool(node, 'visibility', true);
-		obj.applyMatrix4(this.#attrMatrix(node));
+	#packDocument(url, source, options = {}) {
+		const ctx = this.#createContext(url, null, options);
+		const binary = this.#binaryKind(source);
 
-		if (entity) {
-			this.#parseEntity(entity, obj);
+		if (!binary) {
+			this.#checkSchema(ctx, source);
+		}
+		const root = binary ? null : this.#parseXML(ctx, source).documentElement;
+		const session = { transfer: new Set(), attributes: new Map() };
+		const message = { warnings: ctx.diagnostics.warnings };
+
+		switch (binary ?? root.nodeName) {
+			case 'mesh': {
+				const { mesh, skeletonLink, levels = [] } = binary ? this.#buildBinaryMesh(ctx, source) : this.#buildMesh(ctx, root);
+
+				message.mesh = this.#packObject(mesh, session);
+				message.skeletonLink = skeletonLink;
+				message.levels = levels;
+				message.binary = !!binary;
+				break;
+			}
+			case 'skeleton':
+				message.skeleton = this.#packSkeleton(binary ? this.#parseBinarySkeleton(ctx, source) : this.#parseSkeleton(ctx, root), session);
+				break;
+			default:
+				throw new OgreMaxError('E_XML', `Unknown root node <${root.nodeName}>`, { url });
 		}
 
-		node.querySelectorAll(':scope > node').forEach(sub => {
-			obj.add(this.#parseNode(sub));
-		});
-
-		return obj;
+		return { message, transfer: [...session.transfer] };
 	}
 
 	/**
-	 * Create a `THREE.Group` that aggregates all top-level `<node>` children
-	 * inside a `<nodes>` block.  The group’s matrix corresponds to the
-	 * `<nodes>` transform so that the whole subtree is positioned correctly.
+	 * Rebuild the Three.js objects of a packed document, then load its
+	 * dependencies like `#parseDocument` does.
 	 * @private
-	 * @param	{Element}		nodesNode	– XML element `<nodes>`
-	 * @returns	{THREE.Group}				– assembled hierarchy
-   */
-	#parseNodes(nodesNode) {
-		const grp = new THREE.Group();
+	 * @param	{LoadContext}	ctx		- the load context of the document
+	 * @param	{object}		packed	- the message of `#packDocument`
+	 * @returns	{{mesh?:THREE.SkinnedMesh|THREE.Group, skeleton?:{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}}	- parsed data object
+	 */
+	#unpackDocument(ctx, packed) {
+		ctx.diagnostics.merge(packed.warnings);
 
-		grp.name = 'nodes';
-		grp.applyMatrix4(this.#attrMatrix(nodesNode));
+		if (packed.skeleton) {
+			return { skeleton: this.#unpackSkeleton(packed.skeleton) };
+		}
 
-		nodesNode.querySelectorAll(':scope > node').forEach(node => {
-			grp.add(this.#parseNode(node));
-		});
-		return grp;
+		const mesh = this.#unpackObject(packed.mesh, { attributes: [], materials: new Map(), loader: new THREE.MaterialLoader() });
+
+		if (packed.skeletonLink !== null) {
+			this.#linkSkeleton(ctx, mesh, packed.skeletonLink, packed.binary);
+		}
+
+		if (packed.levels.length) {
+			this.#linkLevels(ctx, mesh, packed.levels);
+		}
+
+		this.#linkMaterials(ctx, mesh);
+		return { mesh };
 	}
 
 	/**
-	 * Resolve a `<subentities>` block : loads the corresponding `.material`
-	 * file, validates every `<subentity>` entry, then stores the material array
-	 * in `#objectRoot[baseName].materials` for later assignment.
 	 * @private
-	 * @param	{Element}	subNode	– XML element `<subentities>`
-	 * @returns {void}
-	 * @throws {OgreMaxError}		- if a subentity material is missing in the loaded material file
+	 * @param	{THREE.Object3D}	object	- the object to pack, with its children
+	 * @param	{object}			session	- buffers to transfer and attributes already packed
+	 * @returns	{object}					- the packed object
 	 */
-	#parseSubEntities(subNode) {
-		const fnameParts = this.#url.split('/').pop().split('.');
-		const baseName = fnameParts.length > 2 ? fnameParts.slice(0, -1).join('.') : fnameParts[0];
-		const matURL = `${this.path}${baseName}.material`;
-		const matLoader = new DotMaterialLoader(this.manager);
-
-		matLoader.texturePath = this.texturePath || this.path;
+	#packObject(object, session) {
+		const { geometry, material } = object;
+
+		return {
+			type: object.type,
+			name: object.name,
+			userData: object.userData,
+			transform: [...object.position.toArray(), ...object.quaternion.toArray(), ...object.scale.toArray()],
+			castShadow: object.castShadow,
+			receiveShadow: object.receiveShadow,
+			frustumCulled: object.frustumCulled,
+			geometry: geometry ? this.#packGeometry(geometry, session) : null,
+			material: Array.isArray(material) ? material.map(m => m.toJSON()) : material?.toJSON() ?? null,
+			animations: object.animations.map(clip => this.#packClip(clip, session)),
+			levels: object.isLOD ? object.levels.map(({ object: level, distance, hysteresis }) => ({ child: object.children.indexOf(level), distance, hysteresis })) : null,
+			children: object.children.map(child => this.#packObject(child, session))
+		};
+	}
 
-		this.#internalManager.itemStart(matURL);
-		matLoader.load(
-			matURL,
-			mats => {
-				/* create array large enough to hold every sub-entity by index */
-				const subList = subNode.querySelectorAll('subentity');
-				const maxIdx = Math.max(...Array.from(subList, s =>
-					this.#attrInt(s, 'index')));
-				const subMats = new Array(subList.length)
-					.fill(new THREE.MeshBasicMaterial({ color: 0x808080 }));
+	/**
+	 * @private
+	 * @param	{object}	packed	- the output of `#packObject`
+	 * @param	{object}	session	- attributes and materials already rebuilt
+	 * @returns	{THREE.Object3D}	- the rebuilt object
+	 */
+	#unpackObject(packed, session) {
+		const types = {
+			SkinnedMesh: THREE.SkinnedMesh, Mesh: THREE.Mesh, Line: THREE.Line, LineSegments: THREE.LineSegments,
+			LineLoop: THREE.LineLoop, Points: THREE.Points, Group: THREE.Group, LOD: THREE.LOD, Bone: THREE.Bone,
+			SkinnedLine: OgreSkinnedLine, SkinnedLineSegments: OgreSkinnedLineSegments
+		};
+		const material = (json) => {
+			if (!session.materials.has(json.uuid)) {
+				session.materials.set(json.uuid, session.loader.parse(json));
+			}
 
-				//subNode.querySelectorAll('subentity').forEach(sub => {
-				subList.forEach(sub => {
-					const idx = this.#attrInt(sub, 'index');
-					const name = sub.getAttribute('materialName');
+			return session.materials.get(json.uuid);
+		};
 
-					/* look-up by name to tolerate multi-pass materials */
-					const mat = mats.find(m => m.name === name);
-					if (mat) {
-						//if(!mats[idx] || mats[idx].name !== name){
-						mat.map.flipY = false; // Ogre textures are not flipped
-                        mat.map.needsUpdate = true; // ensure texture is updated
-						subMats[idx] = mat;
-					}
-					else {
-						console.warn(`[OgreMaxLoader] material "${name}" (index ${idx})` +
-							` not found in ${matURL}`);
-						// fallback: simple grey Standard material so geometry remains visible
-						subMats[idx] = new THREE.MeshStandardMaterial({ color: 0x808080 });
-					}
-				});
+		const object = packed.geometry
+			? new types[packed.type](this.#unpackGeometry(packed.geometry, session), Array.isArray(packed.material) ? packed.material.map(material) : material(packed.material))
+			: new (types[packed.type] ?? THREE.Object3D)();
+
+		object.name = packed.name;
+		object.userData = packed.userData;
+		object.position.fromArray(packed.transform, 0);
+		object.quaternion.fromArray(packed.transform, 3);
+		object.scale.fromArray(packed.transform, 7);
+		object.castShadow = packed.castShadow;
+		object.receiveShadow = packed.receiveShadow;
+		object.frustumCulled = packed.frustumCulled;
+		object.animations = packed.animations.map(clip => this.#unpackClip(clip));
+
+		packed.children.forEach((child, i) => {
+			const level = packed.levels?.find(({ child: index }) => index === i);
+
+			if (level) {
+				object.addLevel(this.#unpackObject(child, session), level.distance, level.hysteresis);
+			}
+			else {
+				object.add(this.#unpackObject(child, session));
+			}
+		});
 
-				this.#objectRoot[baseName] = { materials: subMats };
-				this.#internalManager.itemEnd(matURL);
-			},
-			() => { },
-			() => this.#internalManager.itemError(matURL)
-		);
+		return object;
 	}
 
+	/**
+	 * @private
+	 * @param	{THREE.BufferGeometry}	geometry	- the geometry to pack
+	 * @param	{object}				session		- buffers to transfer and attributes already packed
+	 * @returns	{object}							- the packed geometry
+	 */
+	#packGeometry(geometry, session) {
+		const each = (record, fn) => Object.fromEntries(Object.entries(record).map(([name, value]) => [name, fn(value)]));
+
+		return {
+			name: geometry.name,
+			userData: geometry.userData,
+			attributes: each(geometry.attributes, attribute => this.#packAttribute(attribute, session)),
+			morphAttributes: each(geometry.morphAttributes, list => list.map(attribute => this.#packAttribute(attribute, session))),
+			morphTargetsRelative: geometry.morphTargetsRelative,
+			index: geometry.index && this.#packAttribute(geometry.index, session),
+			groups: geometry.groups
+		};
+	}
 
-	/* ====================================================================== */
-	/* Skeleton parsers														  */
-	/* ====================================================================== */
 	/**
-	 * Parse one <animation>.
 	 * @private
-	 * @param	{Element}                   XMLNode	- XML element `<animation>`
-	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
-	 * @returns {THREE.AnimationClip}				- the parsed animation clip
+	 * @param	{object}	packed	- the output of `#packGeometry`
+	 * @param	{object}	session	- attributes already rebuilt
+	 * @returns	{THREE.BufferGeometry}	- the rebuilt geometry
 	 */
-	#parseAnimation(XMLNode, bones) {
-		const name = XMLNode.getAttribute('name') || 'default';
-		const length = this.#attrFloat(XMLNode, 'length', 0);
+	#unpackGeometry(packed, session) {
+		const geometry = new THREE.BufferGeometry();
 
-		if (!length || !isFinite(length)) {
-			throw new OgreMaxError('E_FORMAT', `Animation "${name}" has invalid length (${length})`, { url: this.#url });
+		geometry.name = packed.name;
+		geometry.userData = packed.userData;
+		geometry.morphTargetsRelative = packed.morphTargetsRelative;
+
+		for (const [name, attribute] of Object.entries(packed.attributes)) {
+			geometry.setAttribute(name, this.#unpackAttribute(attribute, session));
 		}
 
-		const tracksNode = this.#querySelect(XMLNode, 'tracks');
-		if (!tracksNode) {
-			throw new OgreMaxError('E_XML', `Animation "${name}" missing <tracks>`, { url: this.#url });
+		for (const [name, list] of Object.entries(packed.morphAttributes)) {
+			geometry.morphAttributes[name] = list.map(attribute => this.#unpackAttribute(attribute, session));
 		}
 
-		const tracks = this.#parseTracks(tracksNode, bones);
-		if (tracks.length === 0) {
-			console.warn(`[OgreMaxLoader] Animation "${name}" has no keyframes`);
+		if (packed.index) {
+			geometry.setIndex(this.#unpackAttribute(packed.index, session));
 		}
 
-		return new THREE.AnimationClip(name, length, tracks);
+		for (const { start, count, materialIndex } of packed.groups) {
+			geometry.addGroup(start, count, materialIndex);
+		}
+
+		return geometry;
 	}
 
 	/**
-	 * Parse <animations>.
+	 * An attribute met again (shared between geometries) is packed as its id.
 	 * @private
-	 * @param	{Element}					XMLNode		- XML element `<animations>`
-	 * @param	{Record<string,THREE.Bone>}	bones		- map of bone names to THREE.Bone objects
-	 * @returns {THREE.AnimationClip[]}					- the parsed animation clips
+	 * @param	{THREE.BufferAttribute}	attribute	- the attribute to pack
+	 * @param	{object}				session		- buffers to transfer and attributes already packed
+	 * @returns	{object}							- the packed attribute
 	 */
-	#parseAnimations(XMLNode, bones) {
-		const clips = [];
-		const nodes = this.#querySelectAll(XMLNode, ':scope > animation');
-
-		for (const node of nodes) {
-			clips.push(this.#parseAnimation(node, bones));
+	#packAttribute(attribute, session) {
+		if (session.attributes.has(attribute)) {
+			return { id: session.attributes.get(attribute) };
 		}
 
-		return clips;
+		const id = session.attributes.size;
+
+		session.attributes.set(attribute, id);
+		session.transfer.add(attribute.array.buffer);
+
+		return { id, name: attribute.name, array: attribute.array, itemSize: attribute.itemSize, normalized: attribute.normalized };
 	}
 
 	/**
-	 * Single <bone>.
 	 * @private
-	 * @param	{Element}		XMLNode	- XML element `<bone>`
-	 * @returns {THREE.Bone}			- the parsed bone object
+	 * @param	{object}	packed	- the output of `#packAttribute`
+	 * @param	{object}	session	- attributes already rebuilt
+	 * @returns	{THREE.BufferAttribute}	- the rebuilt (or shared) attribute
 	 */
-	#parseBone(XMLNode) {
-		const bone = new THREE.Bone();
+	#unpackAttribute(packed, session) {
+		if (!session.attributes[packed.id]) {
+			session.attributes[packed.id] = new THREE.BufferAttribute(packed.array, packed.itemSize, packed.normalized);
+			session.attributes[packed.id].name = packed.name;
+		}
 
-		bone.name = XMLNode.getAttribute('name') || '';
-		bone.userData.index = this.#attrInt(XMLNode, 'id');
-		bone.applyMatrix4(this.#attrMatrix(XMLNode));
+		return session.attributes[packed.id];
+	}
 
-		return bone;
+	/**
+	 * @private
+	 * @param	{{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}	skeleton	- the skeleton to pack
+	 * @param	{object}														session		- buffers to transfer
+	 * @returns	{object}																	- the packed skeleton
+	 */
+	#packSkeleton({ skeleton, animations }, session) {
+		const { bones, boneInverses } = skeleton;
+		const inverses = new Float32Array(bones.length * 16);
+
+		boneInverses.forEach((matrix, i) => matrix.toArray(inverses, i * 16));
+		session.transfer.add(inverses.buffer);
+
+		return {
+			bones: bones.map(bone => ({
+				name: bone.name,
+				userData: bone.userData,
+				parent: bones.indexOf(bone.parent),
+				transform: [...bone.position.toArray(), ...bone.quaternion.toArray(), ...bone.scale.toArray()]
+			})),
+			boneInverses: inverses,
+			animations: animations.map(clip => this.#packClip(clip, session))
+		};
 	}
 
 	/**
-	 * Parse <bones> list into an index-addressable map.
 	 * @private
-	 * @param	{Element}					XMLNode	- XML element `<bones>`
-	 * @returns {Record<string,THREE.Bone>}			- map of bone names to THREE.Bone objects
+	 * @param	{object}	packed	- the output of `#packSkeleton`
+	 * @returns	{{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}	- the rebuilt skeleton
 	 */
-	#parseBones(XMLNode) {
-		const bones = {};
-		const nodes = this.#querySelectAll(XMLNode, ':scope > bone');
+	#unpackSkeleton(packed) {
+		const bones = packed.bones.map(({ name, userData, transform }) => {
+			const bone = new THREE.Bone();
+
+			bone.name = name;
+			bone.userData = userData;
+			bone.position.fromArray(transform, 0);
+			bone.quaternion.fromArray(transform, 3);
+			bone.scale.fromArray(transform, 7);
+			return bone;
+		});
 
-		for (const node of nodes) {
-			const bone = this.#parseBone(node);
+		packed.bones.forEach(({ parent }, i) => parent >= 0 && bones[parent].add(bones[i]));
 
-			bones[bone.name] = bone;
-		}
-		return bones;
+		return {
+			skeleton: new THREE.Skeleton(bones, bones.map((_, i) => new THREE.Matrix4().fromArray(packed.boneInverses, i * 16))),
+			animations: packed.animations.map(clip => this.#unpackClip(clip))
+		};
 	}
 
 	/**
-	 * Build THREE.Bone hierarchy (<bonehierarchy>).
 	 * @private
-	 * @param	{Element}					XMLNode	- XML element `<bonehierarchy>`
-	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
-	 * @returns {THREE.Bone[]}						- array of THREE.Bone objects in hierarchy order
+	 * @param	{THREE.AnimationClip}	clip	- the clip to pack
+	 * @param	{object}				session	- buffers to transfer
+	 * @returns	{object}						- the packed clip
 	 */
-	#parseBoneHierarchy(XMLNode, bones) {
-		const nodes = this.#querySelectAll(XMLNode, ':scope > boneparent');
+	#packClip(clip, session) {
+		return {
+			name: clip.name,
+			duration: clip.duration,
+			blendMode: clip.blendMode,
+			tracks: clip.tracks.map(track => {
+				for (const array of [track.times, track.values]) {
+					ArrayBuffer.isView(array) && session.transfer.add(array.buffer);
+				}
 
-		for (const boneparentNode of nodes) {
-			const parent = bones[boneparentNode.getAttribute('parent')];
-			const bone = bones[boneparentNode.getAttribute('bone')];
+				return { name: track.name, type: track.ValueTypeName, times: track.times, values: track.values, interpolation: track.getInterpolation() };
+			})
+		};
+	}
 
-			parent && bone && parent.add(bone);
-		}
+	/**
+	 * @private
+	 * @param	{object}	packed	- the output of `#packClip`
+	 * @returns	{THREE.AnimationClip}	- the rebuilt clip
+	 */
+	#unpackClip(packed) {
+		const types = {
+			vector: THREE.VectorKeyframeTrack, quaternion: THREE.QuaternionKeyframeTrack, number: THREE.NumberKeyframeTrack,
+			color: THREE.ColorKeyframeTrack, bool: THREE.BooleanKeyframeTrack, string: THREE.StringKeyframeTrack
+		};
+		const tracks = packed.tracks.map(({ name, type, times, values, interpolation }) => new types[type](name, times, values, interpolation));
 
-		/* reorder by original index (THREE.Skeleton expects array) */
-		const newBones = Object.values(bones).sort((a, b) => a.userData.index - b.userData.index);
-		return newBones;
+		return new THREE.AnimationClip(packed.name, packed.duration, tracks, packed.blendMode);
 	}
 
+
+	/* ====================================================================== */
+	/* First level parsers													  */
+	/* ====================================================================== */
 	/**
-	 * Single <keyframe>.
+	 * High-level conversion from a `<mesh>` XML root to a skinned
+	 * {@link THREE.SkinnedMesh} using {@link THREE.BufferGeometry}, or to a
+	 * {@link THREE.LOD} when the mesh has levels of detail.
 	 * @private
-	 * @param	{Element}								XMLNode	- XML element `<keyframe>`
-	 * @returns {{time:number, matrix:THREE.Matrix4}}			- the parsed keyframe data
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{Element}			XMLNode	- XML element `<mesh>`
+	 * @returns	{THREE.SkinnedMesh}			- the resulting skinned mesh
 	 */
-	#parseKeyframe(XMLNode) {
-		return { time: this.#attrFloat(XMLNode, 'time', 0), matrix: this.#attrMatrix(XMLNode) };
+	#parseMesh(ctx, XMLNode) {
+		const { mesh, skeletonLink, levels } = this.#buildMesh(ctx, XMLNode);
+
+		if (skeletonLink !== null) {
+			this.#linkSkeleton(ctx, mesh, skeletonLink);
+		}
+
+		if (levels.length) {
+			this.#linkLevels(ctx, mesh, levels);
+		}
+
+		this.#linkMaterials(ctx, mesh);
+		return mesh;
 	}
 
 	/**
-	 * Gather arrays for one <keyframes> block.
+	 * Build the objects of a `<mesh>` without loading any dependency, so that
+	 * it can also run in a worker.
 	 * @private
-	 * @param  {Element}																												XMLNode	- XML element `<keyframes>`
-	 * @param  {THREE.Bone}																												bone	- the bone to which the keyframes apply
-	 * @returns {{pos:{times:number[],values:number[]}, rot:{times:number[],values:number[]}, scl:{times:number[],values:number[]}}}			- the parsed keyframes data
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- XML element `<mesh>`
+	 * @returns	{{mesh:THREE.SkinnedMesh|THREE.Group|THREE.LOD, skeletonLink:string|null, levels:OgreLodLevel[]}}	- the mesh, the name of its skeleton and its manual levels of detail
 	 */
-	#parseKeyframes(XMLNode, bone) {
-		const position = { times: [], values: [] }, rotation = { times: [], values: [] }, scale = { times: [], values: [] };
+	#buildMesh(ctx, XMLNode) {
+		const sharedGeomNode = this.#querySelect(XMLNode, 'sharedgeometry');
+		let sharedGeom;
 
-		for (const keyframeNode of XMLNode.children) {
-			if (keyframeNode.nodeName !== 'keyframe') {
-				console.warn("THREE.OgreMaxLoader.parseKeyframes(): Unknown node name <" + keyframeNode.nodeName + ">");
-				continue;
-			}
+		if (sharedGeomNode) {
+			const assignmentsNode = this.#querySelect(XMLNode, ':scope > boneassignments');
+			const assignments = assignmentsNode && this.#bulkData(ctx, assignmentsNode);
 
-			const { time, matrix } = this.#parseKeyframe(keyframeNode);
-			const mPosition = new THREE.Vector3();
-			const mRotation = new THREE.Quaternion();
-			const mScale = new THREE.Vector3();
+			sharedGeom = this.#parseGeometry(ctx, sharedGeomNode);
+			sharedGeom.assignments = assignments?.count ? assignments : null; // mesh-level assignments skin the shared vertices
+		}
 
-			matrix.decompose(mPosition, mRotation, mScale);
+		const submeshesNode = this.#querySelect(XMLNode, 'submeshes');
+		if (!submeshesNode) {
+			throw new OgreMaxError('E_XML', '<mesh> is missing a <submeshes> block', { url: ctx.url });
+		}
 
-			position.times.push(time);
-			rotation.times.push(time);
-			scale.times.push(time);
+		const submeshes = this.#parseSubmeshes(ctx, submeshesNode, sharedGeom);
+		const names = this.#querySelectAll(this.#querySelect(XMLNode, ':scope > submeshnames'), ':scope > submeshname');
 
-			//Add translation to bone position to get final position
-			mPosition.add(bone.position);
+		this.#nameSubmeshes(ctx, submeshes, names.map(node => [this.#attrInt(node, 'index'), node.getAttribute('name') ?? '']));
 
-			//Multiply quaternion to bone quaternion to get the final rotation
-			mRotation.multiplyQuaternions(bone.quaternion, mRotation).normalize();
+		const mesh = this.#groupSubmeshes(submeshes, XMLNode.getAttribute('name') ?? 'mesh');
+		const poses = this.#querySelectAll(this.#querySelect(XMLNode, ':scope > poses'), ':scope > pose').map(node => this.#parsePose(ctx, node));
+		const animations = this.#querySelectAll(this.#querySelect(XMLNode, ':scope > animations'), ':scope > animation').map(node => this.#parseMeshAnimation(ctx, node));
 
-			position.values.push(...mPosition.toArray());
-			rotation.values.push(...mRotation.toArray());
-			scale.values.push(...mScale.toArray());
-		}
+		this.#applyVertexAnimations(ctx, mesh, submeshes, poses, animations);
 
-		return { position, rotation, scale };
+		const merged = ctx.options.mergeSubmeshes ? this.#mergeSubmeshes(ctx, mesh) : mesh;
+		const { object, levels } = this.#buildLod(ctx, merged, submeshes, this.#querySelect(XMLNode, ':scope > levelofdetail'));
+
+		return {
+			mesh: object,
+			skeletonLink: this.#querySelect(XMLNode, 'skeletonlink')?.getAttribute('name') ?? null,
+			levels
+		};
 	}
 
 	/**
-	 * Parse one <track> → multiple KeyframeTracks (pos / rot / scale).
+	 * Wrap a mesh in a `THREE.LOD` from its `<levelofdetail>`. A generated
+	 * level is a copy of the mesh whose submeshes keep the vertex attributes
+	 * and swap only the index; manual levels are separate meshes, returned
+	 * for `#linkLevels` to load.
 	 * @private
-	 * @param	{Element}					XMLNode	- XML element `<track>`
-	 * @param	{Record<string,THREE.Bone>} bones	- map of bone names to THREE.Bone objects
-	 * @returns {THREE.KeyframeTrack[]}				- the parsed keyframe tracks for this bone
+	 * @param	{LoadContext}		ctx			- the current load context
+	 * @param	{THREE.Object3D}	mesh		- the full detail mesh
+	 * @param	{THREE.Object3D[]}	submeshes	- its submeshes, in file order
+	 * @param	{Element|null}		XMLNode		- XML element `<levelofdetail>`
+	 * @returns	{{object:THREE.Object3D, levels:OgreLodLevel[]}}	- the LOD (*mesh* without usable levels) and the manual levels
+	 * @throws	{OgreMaxError}										- `E_RANGE` on a face list of an unknown submesh or a face index out of range
 	 */
-	#parseTrack(XMLNode, bones) {
-		const tracks = [];
-		const boneName = XMLNode.getAttribute('bone');
-		const keyframesNode = this.#querySelect(XMLNode, 'keyframes');
-		const bone = bones[boneName];
-
-		if (!bone) {
-			throw new OgreMaxError('E_RANGE', `Track references unknown bone "${boneName}"`, { url: this.#url });
+	#buildLod(ctx, mesh, submeshes, XMLNode) {
+		if (!XMLNode) {
+			return { object: mesh, levels: [] };
 		}
 
-		if (!keyframesNode) {
-			throw new OgreMaxError('E_XML', `Track for bone "${boneName}" has no <keyframes>`, { url: this.#url });
-		}
+		const strategy = XMLNode.getAttribute('strategy') || 'Distance';
 
-		const { position, rotation, scale } = this.#parseKeyframes(keyframesNode, bone);
-		if (!position.times.length && !rotation.times.length && !scale.times.length) {
-			throw new OgreMaxError('E_FORMAT', `Track for bone "${boneName}" contains zero keyframes`, { url: this.#url });
+		if (!/distance/i.test(strategy)) {
+			ctx.diagnostics.warn('W_LOD_STRATEGY', `LOD strategy ${strategy} is not distance based, levels of detail skipped`, ctx.url, XMLNode);
+			return { object: mesh, levels: [] };
 		}
 
-		if (position.times.length) {
-			tracks.push(new THREE.VectorKeyframeTrack(`.bones[${boneName}].position`, position.times, position.values));
-		}
+		// Ogre 1.7+ writes the user value, older exporters the squared distance
+		const distanceOf = node => node.hasAttribute('value') ? this.#attrFloat(node, 'value') : Math.sqrt(this.#attrFloat(node, 'fromdepthsquared'));
+		const lod = new THREE.LOD();
 
-		if (rotation.times.length) {
-			tracks.push(new THREE.QuaternionKeyframeTrack(`.bones[${boneName}].quaternion`, rotation.times, rotation.values));
-		}
+		lod.name = mesh.name;
+		lod.addLevel(mesh, 0);
+
+		for (const node of this.#querySelectAll(XMLNode, ':scope > lodgenerated')) {
+			const level = mesh.clone();
+			const lists = new Map(this.#querySelectAll(node, ':scope > lodfacelist').map(list => {
+				const index = this.#attrInt(list, 'submeshindex', 0);
+
+				if (!submeshes[index]) {
+					throw new OgreMaxError('E_RANGE', `LOD face list of unknown submesh ${index}`, { url: ctx.url, submesh: index });
+				}
+
+				return [index, this.#triangleList(submeshes[index].userData.operationType, this.#bulkData(ctx, list).indices)];
+			}));
+
+			// the material slot of a submesh is its index; merged submeshes keep theirs in userData.submeshes
+			level.traverse(object => {
+				const { geometry, userData: { submeshes: ranges, materialSlot } } = object;
+
+				if (ranges) {
+					object.geometry = this.#lodGeometry(ctx, geometry, ranges.map(range => lists.has(range.materialSlot)
+						? { indices: lists.get(range.materialSlot), offset: range.vertexStart, vertexCount: range.vertexCount, materialIndex: range.materialSlot }
+						: { indices: geometry.index.array.subarray(range.start, range.start + range.count), offset: 0, vertexCount: geometry.getAttribute('position').count, materialIndex: range.materialSlot }));
+				}
+				else if (lists.has(materialSlot)) {
+					object.geometry = this.#lodGeometry(ctx, geometry, [{ indices: lists.get(materialSlot), offset: 0, vertexCount: geometry.getAttribute('position').count, materialIndex: geometry.groups[0]?.materialIndex ?? 0 }]);
+				}
+			});
 
-		if (scale.times.length) {
-			tracks.push(new THREE.VectorKeyframeTrack(`.bones[${boneName}].scale`, scale.times, scale.values));
+			lod.addLevel(level, distanceOf(node));
 		}
 
-		return tracks;
+		return {
+			object: lod,
+			levels: this.#querySelectAll(XMLNode, ':scope > lodmanual').map(node => ({ name: node.getAttribute('meshname'), distance: distanceOf(node) }))
+		};
 	}
 
 	/**
-	 * Parse <tracks>.
+	 * Geometry of a generated level: the attributes of the full detail
+	 * geometry, shared, over another index made of one group per part.
 	 * @private
-	 * @param	{Element}					XMLNode	- XML element `<tracks>`
-	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
-	 * @returns {THREE.KeyframeTrack[]}				- the parsed keyframe tracks for all bones
+	 * @param	{LoadContext}			ctx		- the current load context
+	 * @param	{THREE.BufferGeometry}	source	- the full detail geometry
+	 * @param	{{indices:Uint32Array|Uint16Array, offset:number, vertexCount:number, materialIndex:number}[]}	parts	- three indices per face, relative to the *offset* of a block of *vertexCount* vertices
+	 * @returns	{THREE.BufferGeometry}			- the level geometry
+	 * @throws	{OgreMaxError}					- if a face index is out of range
 	 */
-	#parseTracks(XMLNode, bones) {
-		const tracks = [];
-		const nodes = this.#querySelectAll(XMLNode, ':scope > track');
+	#lodGeometry(ctx, source, parts) {
+		const geometry = new THREE.BufferGeometry();
+		const count = source.getAttribute('position').count;
 
-		for (const trackNode of nodes) {
-			tracks.push(...this.#parseTrack(trackNode, bones));
+		for (const [name, attribute] of Object.entries(source.attributes)) {
+			geometry.setAttribute(name, attribute);
 		}
 
-		return tracks;
-	}
+		geometry.morphAttributes = { ...source.morphAttributes };
+		geometry.morphTargetsRelative = source.morphTargetsRelative;
 
+		// an empty face list hides the submesh at this level, it must not fall back to a non-indexed draw
+		const need32 = source.index?.array instanceof Uint32Array || count > 65535;
+		const index = new (need32 ? Uint32Array : Uint16Array)(parts.reduce((n, { indices }) => n + indices.length, 0));
+		let start = 0;
+
+		for (const { indices, offset, vertexCount, materialIndex } of parts) {
+			this.#checkFaces(ctx, indices, vertexCount);
+
+			for (let i = 0; i < indices.length; ++i) {
+				index[start + i] = indices[i] + offset;
+			}
+
+			geometry.addGroup(start, indices.length, materialIndex);
+			start += indices.length;
+		}
+
+		geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+		geometry.boundingSphere = source.boundingSphere?.clone() ?? null;
+		return geometry;
+	}
 
-	/* ====================================================================== */
-	/* Attributes parsers													  */
-	/* ====================================================================== */
 	/**
-	 * Read a boolean attribute (`"true"` / `"false"`) with default fallback.
+	 * Load the manual levels of detail of *lod* through the dependency
+	 * manager, each one cloned from the asset cache like an entity mesh.
 	 * @private
-	 * @param   {Element|null} XMLNode         – element holding the attribute
-	 * @param   {string}       attr         – attribute name
-	 * @param   {boolean}      [defaultValue=false]  – default if missing
-	 * @returns {boolean}					- the attribute value as boolean
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{THREE.LOD}			lod		- the object built by `#buildMesh`
+	 * @param	{OgreLodLevel[]}	levels	- the manual levels
+	 * @returns	{void}
 	 */
-	#attrBool(XMLNode, attr, defaultValue = false) {
-		return (XMLNode?.getAttribute(attr) ?? `${defaultValue}`).toLowerCase() === 'true';
-	}
+	#linkLevels(ctx, lod, levels) {
+		for (const { name, distance } of levels) {
+			const url = this.#resolve(ctx, 'mesh', name);
 
-	/**
-	 * Build a `THREE.Color` from attributes `r`, `g`, `b` (0–1 floats).
-	 * @private
-	 * @param	{Element}		XMLNode	- XML element with `r`, `g`, `b` attributes
-	 * @returns {THREE.Color}			- the resulting color
-	 */
-	#attrColorRGB(XMLNode) {
-		return new THREE.Color(this.#attrFloat(XMLNode, 'r'), this.#attrFloat(XMLNode, 'g'), this.#attrFloat(XMLNode, 'b'));
+			ctx.internalManager.itemStart(url);
+
+			this.#loadShared(ctx, 'mesh', url, this.#nestedLoad(ctx, url, 'mesh'), OgreAssetCache.clone).then(
+				level => {
+					lod.addLevel(level, distance);
+
+					// children in level order, as LOD.copy() rebuilds them (see OgreAssetCache.clone)
+					const order = new Map(lod.levels.map(({ object }, i) => [object, i]));
+					lod.children.sort((a, b) => order.get(a) - order.get(b));
+
+					ctx.internalManager.itemEnd(url);
+				}
+			).catch(err => this.#dependencyError(ctx, url, err));
+		}
 	}
 
 	/**
-	 * Read a float attribute with default.
+	 * Name the submeshes from `<submeshnames>` (or the binary name table);
+	 * unnamed ones become `submesh<index>`. Object names must be
+	 * `PropertyBinding` node names for the pose and morph tracks to bind, so
+	 * they are sanitized and the Ogre name is kept in `userData.submeshName`.
 	 * @private
-	 * @param	{Element|null}	XMLNode	- element holding the attribute
-	 * @param	{string}		attr	- attribute name
-	 * @param	{number}		[defaultValue=0]	- default value if missing
-	 * @returns	{number}				- the attribute value as float
+	 * @param	{LoadContext}			ctx			- the current load context
+	 * @param	{THREE.Object3D[]}		submeshes	- the built submeshes, in file order
+	 * @param	{[number,string][]}		names		- (submesh index, name) pairs
+	 * @returns	{void}
 	 */
-	#attrFloat(XMLNode, attr, defaultValue = 0) {
-		return parseFloat(XMLNode?.getAttribute(attr) ?? defaultValue);
+	#nameSubmeshes(ctx, submeshes, names) {
+		for (const [index, name] of names) {
+			if (submeshes[index]) {
+				submeshes[index].name = name;
+			}
+			else {
+				ctx.diagnostics.warn('W_SUBMESH_NAME', `Name "${name}" given to submesh ${index} of ${submeshes.length}`, ctx.url);
+			}
+		}
+
+		submeshes.forEach((submesh, index) => {
+			submesh.userData.submeshName = submesh.name || null;
+			submesh.name = THREE.PropertyBinding.sanitizeNodeName(submesh.name) || `submesh${index}`;
+		});
 	}
 
 	/**
-	 * Read an int attribute with default.
 	 * @private
-	 * @param	{Element|null}	XMLNode	- element holding the attribute
-	 * @param	{string}		attr	- attribute name
-	 * @param	{number}		[defaultValue=0]	- default value if missing
-	 * @returns {number}				- the attribute value as integer
+	 * @param	{THREE.Object3D[]}	submeshes	- the built submeshes
+	 * @param	{string}			name		- name of the group
+	 * @returns	{THREE.Object3D}				- the single submesh, or a group of submeshes
 	 */
-	#attrInt(XMLNode, attr, defaultValue = 0) {
-		return parseInt(XMLNode?.getAttribute(attr) ?? defaultValue, 10);
+	#groupSubmeshes(submeshes, name) {
+		if (submeshes.length === 1) {
+			return submeshes[0]; // un seul submesh, on le retourne directement
+		}
+
+		const group = new THREE.Group();
+		group.name = name;
+
+		submeshes.forEach(submesh => {
+			group.add(submesh); // ajoute chaque submesh au groupe
+		});
+
+        return group; // retourne le groupe contenant tous les submeshes
 	}
 
 	/**
-	 * Compose a `THREE.Matrix4` from optional child tags
-	 * `<position|translate>`, `<rotation|rotate>` and `<scale>`.
+	 * Load the skeleton named by `<skeletonlink>` and bind it to every
+	 * SkinnedMesh of *mesh*. By default an XML mesh looks for `<name>.xml`
+	 * and a binary mesh for the binary `<name>`, each trying the other
+	 * format when its own file is missing.
 	 * @private
-	 * @param	{Element|null}	XMLNode	- XML element `<node>` or similar
-	 * @returns {THREE.Matrix4}			- the resulting matrix
+	 * @param	{LoadContext}					ctx			- the current load context
+	 * @param	{THREE.SkinnedMesh|THREE.Group}	mesh		- the object built by `#buildMesh`
+	 * @param	{string}						name		- the skeleton name
+	 * @param	{boolean}						[binary]	- true when linked from a binary mesh
+	 * @returns	{void}
 	 */
-	#attrMatrix(XMLNode) {
-		const position = this.#attrVector3(XMLNode?.querySelector('position,translate'));
-		const rotation = this.#attrQuaternion(XMLNode?.querySelector('rotation,rotate'));
-		const scaleNode = XMLNode?.querySelector('scale');
-		let scale = new THREE.Vector3(1, 1, 1);
+	#linkSkeleton(ctx, mesh, name, binary = false) {
+		const [primary, secondary] = binary ? [`${ctx.path}${name}`, `${ctx.path}${name}.xml`] : [`${ctx.path}${name}.xml`, `${ctx.path}${name}`];
+		const skelUrl = this.#resolve(ctx, 'skeleton', name, primary);
+		const submeshes = [];
+		const load = url => this.#loadShared(ctx, 'skeleton', url, this.#nestedLoad(ctx, url, 'skeleton'), OgreAssetCache.cloneSkeleton);
 
-		if (scaleNode) {
-			scale = scaleNode.hasAttribute('factor') ? new THREE.Vector3(this.#attrFloat(scaleNode, 'factor', 1), this.#attrFloat(scaleNode, 'factor', 1), this.#attrFloat(scaleNode, 'factor', 1)) : this.#attrVector3(scaleNode);
-		}
+		mesh.traverse(object => object.isSkinnedMesh && submeshes.push(object)); // every submesh of every level
 
-		return new THREE.Matrix4().compose(position, rotation, scale);
+		ctx.internalManager.itemStart(skelUrl);
+
+		load(skelUrl).catch(err => {
+			if (skelUrl !== primary || err?.code !== 'E_IO') {
+				throw err;
+			}
+
+			ctx.diagnostics.debug(`${skelUrl} not found, trying ${secondary}`);
+			return load(secondary);
+		}).then(
+			({ skeleton, animations }) => {
+
+				/* rattacher l’ossature à chaque SkinnedMesh */
+				submeshes.forEach(obj => {
+					if (obj.isSkinnedMesh) {
+						obj.add(skeleton.bones[0]);
+						obj.bind(skeleton);
+						obj.animations = animations.concat(obj.animations.filter(clip => !animations.includes(clip)));
+					}
+				});
+
+				/* mémo pour #finalize (cas mesh-seul) */
+				ctx.objectRoot.skeletonFile = {
+					skel: skeleton,
+					anim: animations
+				};
+				ctx.internalManager.itemEnd(skelUrl);
+			}
+		).catch(err => this.#dependencyError(ctx, skelUrl, err));
 	}
 
 	/**
-	 * Convert an OgreXML rotation representation into a normalised
-	 * {@link THREE.Quaternion}.  Three syntaxes are supported :
-	 * 1. **Axis + Angle**  
-	 *    ```xml
-	 *    <rotation axisX="1" axisY="0" axisZ="0" angle="1.5708"/>
-	 *    ```  
-	 *    – or children `<axis x="…" y="…" z="…"/>` + `<angle value="…"/>`.
-	 *
-	 * 2. **Quaternion explicit**  
-	 *    ```xml
-	 *    <rotation qx="0" qy="0.707" qz="0" qw="0.707"/>
-	 *    ```
-	 *
-	 * 3. **Separate Euler angles** (rare, legacy)  
-	 *    ```xml
-	 *    <rotation angleX="90" angleY="0" angleZ="0"/>
-	 *    ```  
-	 *    – interpreted in **degrees** (matching historical OgreMax output).
-	 *
-	 * Missing or unsupported nodes return **identity**.
+	 * Give the submeshes of a mesh loaded outside a scene the materials their
+	 * `material` attribute names, looked up in the `materialFiles` of the load
+	 * (`true` → `<mesh base name>.material`; none by default). Scene entities
+	 * take theirs from `<subentities>` instead. A missing base name file is
+	 * not an error: the submeshes keep their placeholder material.
 	 * @private
-	 * @param	{Element|null}		XMLNode	- XML element `<rotation>` or similar
-	 * @returns {THREE.Quaternion}			- the resulting quaternion
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{THREE.Object3D}	mesh	- the object built by `#buildMesh`
+	 * @returns	{void}
 	 */
-	#attrQuaternion(XMLNode) {
-		const quat = new THREE.Quaternion();
-		if (!XMLNode) {
-			return quat;	// default → identity
+	#linkMaterials(ctx, mesh) {
+		const submeshes = [];
+
+		for (let parent = ctx.parent; parent; parent = parent.parent) {
+			if (parent.kind === 'scene') return;
 		}
 
-		// explicit quaternion (qx qy qz qw)
-		if (XMLNode.hasAttribute('qx')) {
-			const qx = this.#attrFloat(XMLNode, 'qx', NaN);
-			const qy = this.#attrFloat(XMLNode, 'qy', NaN);
-			const qz = this.#attrFloat(XMLNode, 'qz', NaN);
-			const qw = this.#attrFloat(XMLNode, 'qw', NaN);
+		// a merged mesh has a material array, one slot per submesh
+		mesh.traverse(object => {
+			if (!object.isMesh) return;
 
-			if ([qx, qy, qz, qw].some(Number.isNaN)) {
-				throw new OgreMaxError('E_FORMAT', 'Invalid quaternion component', { node: XMLNode.outerHTML });
+			for (const { name, materialName, materialSlot } of object.userData.submeshes ?? [{ ...object.userData, name: object.name }]) {
+				if (materialName) {
+					submeshes.push({ object, submesh: name, name: materialName, slot: Array.isArray(object.material) ? materialSlot : null });
+				}
 			}
+		});
 
-			quat.set(qx, qy, qz, qw).normalize();
-			return quat;
+		const option = ctx.options.materialFiles ?? false;
+		const explicit = Array.isArray(option);
+		const files = explicit ? option : option ? [ctx.url.split('/').pop().replace(/[?#].*$/, '').replace(/(?:\.mesh)?(?:\.xml)?$/i, '')] : [];
+		const urls = files.filter(Boolean).map(name => this.#resolve(ctx, 'material', name.replace(/\.material$/i, '')));
+
+		if (!urls.length || !submeshes.length) {
+			return;
 		}
 
+		const load = url => this.#loadMaterialFile(ctx, url).catch(err => {
+			if (err?.code !== 'E_IO') {
+				throw err;
+			}
 
-		// axis-angle  (attributes or sub-elements)
+			explicit
+				? ctx.diagnostics.warn('W_MATERIAL_FILE', `Material file ${url} not found`, ctx.url)
+				: ctx.diagnostics.debug(`${url} not found, ${ctx.url} keeps placeholder materials`);
+			return null;
+		});
 
-		if (XMLNode.hasAttribute('angle') || this.#querySelect(XMLNode, 'angle')) {
-			// angle value (radians)
-			const angleAttr = XMLNode.getAttribute('angle');
-			const angleElem = this.#querySelect(XMLNode, 'angle');
-			const angle = angleAttr !== null ? parseFloat(angleAttr) : this.#attrFloat(angleElem, 'value', 0);
-			let axis;
+		urls.forEach(url => ctx.internalManager.itemStart(url));
 
-			if (XMLNode.hasAttribute('axisX')) {
-				axis = new THREE.Vector3(
-					this.#attrFloat(XMLNode, 'axisX', 0),
-					this.#attrFloat(XMLNode, 'axisY', 0),
-					this.#attrFloat(XMLNode, 'axisZ', 1)
-				);
-			}
-			else {
-				const ax = this.#querySelect(XMLNode, 'axis');
+		Promise.all(urls.map(load)).then(
+			libraries => {
+				const found = urls.filter((url, i) => libraries[i]);
+				const byName = new Map(libraries.flatMap(mats => mats ?? []).reverse().map(mat => [mat.name, mat])); // first definition wins
+				const missing = new Set();
 
-				axis = new THREE.Vector3(
-					this.#attrFloat(ax, 'x', 0),
-					this.#attrFloat(ax, 'y', 0),
-					this.#attrFloat(ax, 'z', 1)
-				);
+				for (const { object, submesh, name, slot } of submeshes) {
+					if (!byName.has(name)) {
+						if (found.length && !missing.has(name)) {
+							missing.add(name);
+							ctx.diagnostics.warn('W_MATERIAL_MISSING', `Material "${name}" of submesh "${submesh}" not found in ${found.join(', ')}`, ctx.url);
+						}
+					}
+					else if (slot === null) {
+						object.material = byName.get(name);
+					}
+					else {
+						object.material[slot] = byName.get(name);
+					}
+				}
+
+				urls.forEach(url => ctx.internalManager.itemEnd(url));
 			}
+		).catch(err => urls.forEach(url => this.#dependencyError(ctx, url, err)));
+	}
 
+	/**
+	 * Build a THREE.Scene from a Ogre dotScene XML root.
+	 * @private
+	 * @param	{LoadContext}	ctx			- the current load context
+	 * @param	{Element}		sceneNode	- XML element `<scene>`
+	 * @returns	{THREE.Scene}				- the resulting scene object
+	 */
+	#parseScene(ctx, sceneNode) {
+		const env = this.#querySelect(sceneNode, 'environment');
+		const nodes = this.#querySelect(sceneNode, 'nodes');
+		const scene = new THREE.Scene();
+		const upAxis = (sceneNode.getAttribute('upAxis') || 'y').toLowerCase();
 
-			if (!isFinite(angle) || axis.lengthSq() === 0) {
-				throw new OgreMaxError('E_FORMAT', 'Invalid axis-angle rotation', { node: XMLNode.outerHTML });
-			}
+		scene.up.set(
+			+(upAxis === 'x'),
+			+(upAxis === 'y'),
+			+(upAxis === 'z')
+		); // (1,0,0) / (0,1,0) / (0,0,1)
 
-			return quat.setFromAxisAngle(axis.normalize(), angle);
-		}
+		scene.userData = {
+			formatVersion: this.#attrFloat(sceneNode, 'formatVersion', 0),
+			minOgreVersion: this.#attrFloat(sceneNode, 'minOgreVersion', 0),
+			ogreMaxVersion: this.#attrFloat(sceneNode, 'ogreMaxVersion', 0),
+			unitsPerMeter: this.#attrFloat(sceneNode, 'unitsPerMeter', 1),
+			unitType: sceneNode.getAttribute('unitType') || 'meters',
+			author: sceneNode.getAttribute('author') || undefined,
+			application: sceneNode.getAttribute('application') || undefined
+		};
 
-		// Euler fallback  (angleX / angleY / angleZ)  
-		//    – OgreMax stores these in **degrees**
-		if (XMLNode.hasAttribute('angleX') || XMLNode.hasAttribute('angleY') || XMLNode.hasAttribute('angleZ')) {
-			const degToRad = Math.PI / 180;
-			const euler = new THREE.Euler(this.#attrFloat(XMLNode, 'angleX', 0) * degToRad, this.#attrFloat(XMLNode, 'angleY', 0) * degToRad, this.#attrFloat(XMLNode, 'angleZ', 0) * degToRad, 'XYZ');
+		if (nodes) {
+			scene.add(this.#parseNodes(ctx, nodes));
+		}
 
-			return quat.setFromEuler(euler);
+		if (env) {
+			scene.add(this.#parseEnvironment(env));
 		}
 
-		// Unsupported → identity
-		console.warn('[OgreMaxLoader] Unknown rotation format:', XMLNode.outerHTML);
-		return quat;
+		return scene;
 	}
 
 	/**
-	 * Extract a single float from an attribute `u`.
-	 * Defaults to `0` if the node is missing or the attribute is not present.
-	 * This is used for texture coordinates in OgreXML files.
+	 * Build a THREE.Skeleton + animations array from a <skeleton> XML root.
 	 * @private
-	 * @param	{Element|null}	XMLNode	- XML element with `u` attribute
-	 * @returns {number}				- the resulting float (default: 0)
+	 * @param	{LoadContext}													ctx		- the current load context
+	 * @param	{Element}														XMLNode	- XML element `<skeleton>`
+	 * @returns	{{skeleton:THREE.Skeleton,animations:THREE.AnimationClip[]}}			- the resulting skeleton and animations
 	 */
-	#attrU(XMLNode) {
-		return this.#attrFloat(XMLNode, 'u');
-	}
+	#parseSkeleton(ctx, XMLNode) {
+		const animationsNode = this.#querySelect(XMLNode, 'animations');
+		const bonesNode = this.#querySelect(XMLNode, 'bones');
+		const bonehierarchyNode = this.#querySelect(XMLNode, 'bonehierarchy');
+		let skeleton = new THREE.Skeleton([]);
+		let animations = [];
 
-	/**
-	 * Extract a 2-component vector from attributes `u / v`.
-	 * Defaults to (0,0) if the node is missing or attributes are not present.
-	 * This is used for texture coordinates in OgreXML files.
-	 * @param	{Element|null}	XMLNode	- XML element with `u`, `v` attributes
-	 * @returns {THREE.Vector2}			- the resulting vector (default: (0,0))
-	 */
-	#attrUV(XMLNode) {
-		return new THREE.Vector2(
-			this.#attrFloat(XMLNode, 'u'),
-			this.#attrFloat(XMLNode, 'v')
-		);
-	}
+		if (!bonesNode || !bonehierarchyNode && animations) {
+			throw new OgreMaxError('E_XML', '<skeleton> is missing <bones> or <bonehierarchy>', { url: ctx.url });
+		}
 
-	/**
-	 * Extract a 3-component vector from attributes `u / v / w`.
-	 * Defaults to (0,0,0) if the node is missing or attributes are not present.
-	 * This is used for texture coordinates in OgreXML files.
-	 * @private
-	 * @param	{Element|null}	XMLNode	- XML element with `u`, `v`, `w` attributes
-	 * @returns {THREE.Vector3}			- the resulting vector (default: (0,0,0))
-	 */
-	#attrUVW(XMLNode) {
-		return new THREE.Vector3(
-			this.#attrFloat(XMLNode, 'u', 0),
-			this.#attrFloat(XMLNode, 'v', 0),
-			this.#attrFloat(XMLNode, 'w', 0)
-		);
-	}
+		if (!bonesNode || !bonehierarchyNode) {
+			return { skeleton, animations };
+		}
 
-	/**
-	 * Simple 3-component vector from attributes `x / y / z`.
-	 * @private
-	 * @param	{Element|null}	XMLNode	- XML element with `x`, `y`, `z` attributes
-	 * @returns	{THREE.Vector3}			- the resulting vector
-	 */
-	#attrVector3(XMLNode) {
-		return new THREE.Vector3(
-			this.#attrFloat(XMLNode, 'x', 0),
-			this.#attrFloat(XMLNode, 'y', 0),
-			this.#attrFloat(XMLNode, 'z', 0)
-		);
+		const bones = bonesNode ? this.#parseBones(ctx, bonesNode) : [];
+		animations = animationsNode ? this.#parseAnimations(ctx, animationsNode, bones) : animations;
+		skeleton = bonehierarchyNode ? new THREE.Skeleton(this.#parseBoneHierarchy(bonehierarchyNode, bones)) : skeleton;
+
+		return { skeleton, animations };
 	}
 
 
 	/* ====================================================================== */
-	/* Misc utils															  */
+	/* Mesh parsers															  */
 	/* ====================================================================== */
 	/**
-	 * Extract the base filename without extension chain (e.g. a.b.c.xml → a.b).
+	 * Merge the triangle submeshes of a group into one `SkinnedMesh` with an
+	 * array material and one group per `materialSlot` (the submesh index, as
+	 * in `<subentity index>`). Submeshes on the shared geometry append its
+	 * vertices once. Line and point submeshes stay separate objects.
+	 * The submesh names and ranges are kept in `userData.submeshes`.
 	 * @private
-	 * @param	{string}	path	- the full path to the file
-	 * @returns {string}			- the base filename without extension
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{THREE.Object3D}	mesh	- the object built from the submeshes
+	 * @returns	{THREE.Object3D}			- the merged mesh, a group of it and the other primitives, or *mesh* when nothing can be merged
 	 */
-	#filenameBase(path) {
-		const parts = path.split('/').pop().split('.');
-		return parts.length > 2 ? parts.slice(0, -1).join('.') : parts[0];
-	}
+	#mergeSubmeshes(ctx, mesh) {
+		const submeshes = mesh.children.filter(object => object.isMesh);
 
-	/**
-	 * Shorthand: same as node?.querySelector(sel) but returns `null`
-	 * when `node` itself is `null`.
-	 * @private
-	 * @param	{Element|null}	XMLNode	- the parent node to query
-	 * @param	{string}		sel		- the CSS selector to use
-	 * @returns {Element|null}			- the first matching element or `null` if not found
-	 */
-	#querySelect(XMLNode, selector) {
-		return XMLNode ? XMLNode.querySelector(selector) : null;
-	}
+		if (submeshes.length < 2) {
+			return mesh;
+		}
 
-	/**
-	 * Shorthand: same as node?.querySelectorAll(sel) but returns an empty array
-	 * when `node` itself is `null`.
-	 * @param	{Element|null}	XMLNode		- the parent node to query
-	 * @param	{string}		selector	- the CSS selector to use
-	 * @returns {Element[]}					- the list of matching elements or an empty array if not found
-	 */
-	#querySelectAll(XMLNode, selector) {
-		return XMLNode ? XMLNode.querySelectorAll(selector) : [];
-	}
+		const layout = ({ attributes }) => Object.entries(attributes).map(([name, { itemSize, array }]) => `${name}:${itemSize}:${array.constructor.name}`).sort().join();
+		const reason = submeshes.some(({ geometry }) => Object.keys(geometry.morphAttributes).length) ? 'they have morph targets'
+			: submeshes.some(({ geometry }) => !geometry.index) ? 'a submesh has no faces'
+			: submeshes.some(({ geometry }) => layout(geometry) !== layout(submeshes[0].geometry)) ? 'their vertex attributes differ'
+			: null;
 
-	#logStart(url) {
-		if (this.#logOpen) {
-			this.#logEnd(); // close previous group if still open
+		if (reason) {
+			ctx.diagnostics.warn('W_MERGE_SUBMESHES', `Submeshes of "${mesh.name}" not merged: ${reason}`, ctx.url);
+			return mesh;
 		}
-		console.groupCollapsed(`[OgreMaxLoader] ${url}`);
-		this.#logOpen = true;
-	}
 
-	#logEnd() {
-		if (this.#logOpen) {
-			console.groupEnd();
-			this.#logOpen = false;
+		// every vertex block once: the users of the shared geometry have the same attributes,
+		// unless their own bone assignments skin it differently
+		const blocks = new Map();
+		const blockOf = ({ attributes }) => attributes.skinIndex ?? attributes.position;
+		let vertexCount = 0;
+
+		for (const { geometry } of submeshes) {
+			const key = blockOf(geometry);
+
+			if (!blocks.has(key)) {
+				blocks.set(key, { geometry, start: vertexCount, count: key.count });
+				vertexCount += key.count;
+			}
 		}
-	}
-}
 
+		const geometry = new THREE.BufferGeometry();
 
-/**
- * Loader for legacy Ogre *.material* text files.
- * Produces an **array of THREE.MeshPhongMaterial** objects, one per pass.
- */
-export class DotMaterialLoader extends THREE.Loader {
-	/* ====================================================================== */
-	/* Private internal state (not exposed to the end-user)                   */
-	/* ====================================================================== */
-	#texturePath = '';
+		for (const [name, { itemSize, normalized, array }] of Object.entries(submeshes[0].geometry.attributes)) {
+			const merged = new array.constructor(vertexCount * itemSize);
+
+			for (const block of blocks.values()) {
+				merged.set(block.geometry.getAttribute(name).array, block.start * itemSize);
+			}
+
+			geometry.setAttribute(name, new THREE.BufferAttribute(merged, itemSize, normalized));
+		}
+
+		const index = new (vertexCount > 65535 ? Uint32Array : Uint16Array)(submeshes.reduce((n, { geometry }) => n + geometry.index.count, 0));
+		let start = 0;
+
+		const ranges = submeshes.map(submesh => {
+			const source = submesh.geometry.index.array;
+			const block = blocks.get(blockOf(submesh.geometry));
+			const slot = submesh.userData.materialSlot;
+
+			for (let i = 0; i < source.length; ++i) {
+				index[start + i] = source[i] + block.start;
+			}
+
+			geometry.addGroup(start, source.length, slot);
+			start += source.length;
+
+			return { name: submesh.name, materialName: submesh.userData.materialName, materialSlot: slot, start: start - source.length, count: source.length, vertexStart: block.start, vertexCount: block.count };
+		});
+
+		geometry.setIndex(new THREE.BufferAttribute(index, 1));
+		geometry.computeBoundingSphere();
+
+		// indexed by slot, the line and point materials fill the slots no group uses
+		const merged = new THREE.SkinnedMesh(geometry, mesh.children.map(object => object.material));
+
+		merged.name = mesh.name;
+		merged.castShadow = submeshes[0].castShadow;
+		merged.receiveShadow = submeshes[0].receiveShadow;
+		merged.frustumCulled = false;
+		merged.userData.operationType = 'triangle_list';
+		merged.userData.submeshes = ranges;
+
+		const others = mesh.children.filter(object => !object.isMesh);
+
+		if (!others.length) {
+			merged.animations = mesh.animations;
+			return merged;
+		}
+
+		mesh.clear();
+		mesh.add(merged, ...others);
+		return mesh;
+	}
 
-	/* ====================================================================== */
-	/* Construction / configuration                                           */
-	/* ====================================================================== */
 	/**
-	 * Create a new DotMaterialLoader instance.
-	 * @param {THREE.LoadingManager} [manager=THREE.DefaultLoadingManager] - the loading manager to use
-	 * @return {DotMaterialLoader} - the new loader instance
-	 * @throws {TypeError} - if manager is not a THREE.LoadingManager instance
+	 * Scatter decoded bone assignments into skin index / weight arrays
+	 * (four slots per vertex). Vertices with more influences keep their four
+	 * strongest ones, unless the `boneInfluences` option is `'error'`; the
+	 * weights of every vertex are then renormalized to sum to 1.
+	 * @private
+	 * @param	{LoadContext}			ctx			- the current load context
+	 * @param	{OgreBoneAssignments}	assignments	- the (vertex, bone, weight) triplets
+	 * @param	{number}				vertexCount	- vertex count of the geometry the assignments refer to
+	 * @returns	{{skinIndex:Uint16Array, skinWeight:Float32Array}}	- `skinIndex` / `skinWeight` attribute arrays
+	 * @throws	{OgreMaxError}						- if a vertex index is out of range, or has more than 4 influences with `boneInfluences: 'error'`
 	 */
-	constructor(manager = THREE.DefaultLoadingManager) {
-		super(manager);
-		this.textureLoader = new THREE.TextureLoader(this.manager);
-	}
+	#skinArrays(ctx, { vertex, bone, weight, count }, vertexCount) {
+		const skinIndex = new Uint16Array(vertexCount * 4);
+		const skinWeight = new Float32Array(vertexCount * 4);
+		const influences = new Uint32Array(vertexCount);
+		const prune = ctx.options.boneInfluences !== 'error';
+		let dropped = 0;
+
+		for (let i = 0; i < count; ++i) {
+			const v = vertex[i];
+
+			if (v >= vertexCount) {
+				throw new OgreMaxError('E_RANGE', `vertexindex ${v} out of range (vertex count ${vertexCount})`, { url: ctx.url, assignment: i });
+			}
 
-	/** @returns {string} - the texture path for loading textures (default: same as `path`) */
-	get texturePath() {
-		return this.#texturePath;
-	}
+			// slots are taken in order, a zero weight still holds one
+			let s = influences[v]++;
 
-	/** @param {string} value - the texture path for loading textures (default: same as `path`) */
-	set texturePath(value) {
-		if (typeof value !== 'string') {
-			throw new DotMaterialError('E_RUNTIME', 'texturePath must be string', { value });
+			if (s >= 4) {
+				if (!prune) {
+					throw new OgreMaxError('E_FORMAT', `More than 4 bone influences for vertex ${v}`, { url: ctx.url, assignment: i });
+				}
+
+				// the weakest of the five loses
+				s = 0;
+				for (let k = 1; k < 4; ++k) {
+					if (skinWeight[v * 4 + k] < skinWeight[v * 4 + s]) s = k;
+				}
+
+				++dropped;
+				if (skinWeight[v * 4 + s] >= weight[i]) continue;
+			}
+
+			skinIndex[v * 4 + s] = bone[i];
+			skinWeight[v * 4 + s] = weight[i];
 		}
 
-		this.#texturePath = value;
-	}
+		let pruned = 0;
+		let most = 0;
 
+		for (let v = 0; v < vertexCount; ++v) {
+			const o = v * 4;
+			const sum = skinWeight[o] + skinWeight[o + 1] + skinWeight[o + 2] + skinWeight[o + 3];
+
+			if (sum > 0) {
+				for (let k = 0; k < 4; ++k) skinWeight[o + k] /= sum;
+			}
+
+			if (influences[v] > 4) {
+				++pruned;
+				most = Math.max(most, influences[v]);
+			}
+		}
+
+		if (pruned) {
+			ctx.diagnostics.warn('W_BONE_INFLUENCES', `${pruned} of ${vertexCount} vertices have more than 4 bone influences (up to ${most}); their ${dropped} weakest weights were dropped and the rest renormalized`, ctx.url);
+		}
+
+		return { skinIndex, skinWeight };
+	}
 
-	/* ====================================================================== */
-	/* Public API															  */
-	/* ====================================================================== */
 	/**
-	 * Fetch a *.material* text file, convert it to Three.js materials.
-	 * @param	{string}								url				- the URL of the material file to load
-	 * @param	{function(THREE.Material[]):void}		[onLoad]		- callback for successful load
-	 * @param	{function(number,number):void}			[onProgress]	- callback for progress updates (loaded, total)
-	 * @param	{function(Error):void}					[onError]		- callback for errors
-	 * @returns {Promise<THREE.MeshPhongMaterial[]>}					- the loaded materials
+	 * Wrap decoded vertex data into attributes; the typed arrays are used
+	 * as they are.
+	 * @private
+	 * @param	{LoadContext}				ctx			- the current load context
+	 * @param	{OgreVertexData}			data		- the decoded vertices
+	 * @param	{OgreBoneAssignments|null}	assignments	- bone assignments of these vertices
+	 * @returns	{Object.<string,THREE.BufferAttribute>}	- the attributes by name
 	 */
-	load(url, onLoad = () => { }, onProgress = () => { }, onError = () => { }) {
+	#vertexAttributes(ctx, data, assignments) {
+		const attributes = {
+			position: new THREE.BufferAttribute(data.position ?? new Float32Array(data.count * 3), 3)
+		};
 
-		const basePath = this.path || THREE.LoaderUtils.extractUrlBase(url);
-		const texPath = this.#texturePath || basePath;
-		const fileLoader = new THREE.FileLoader(this.manager);
+		if (data.normal) {
+			attributes.normal = new THREE.BufferAttribute(data.normal, 3);
+		}
 
-		fileLoader.setWithCredentials(this.withCredentials);
+		if (data.tangent) {
+			attributes.tangent = new THREE.BufferAttribute(data.tangent, 4);
+		}
 
-		return new Promise((resolve, reject) => {
+		// vertex colours, rgba: diffuse → color, specular kept aside
+		if (data.diffuse) {
+			attributes.color = new THREE.BufferAttribute(data.diffuse, 4);
+		}
 
-			const fail = (code, msg, meta = {}) => {
-				const err = code instanceof DotMaterialError
-					? code
-					: new DotMaterialError(code, msg, meta);
-				onError(err);
-				reject(err);
-			};
+		if (data.specular) {
+			attributes.colorSpecular = new THREE.BufferAttribute(data.specular, 4);
+		}
 
-			fileLoader.load(
-				url,
-				txt => {
-					try {
-						const mats = this.parse(txt, texPath);
-						onLoad(mats);
-						resolve(mats);
-					} catch (e) {
-						const err = e instanceof Error ? e : new Error(String(e));
-						onError(err);
-						reject(err);
-					}
-				},
-				xhr => onProgress(xhr.loaded, xhr.total ?? 0),
-				() => fail('E_IO', `Cannot load ${url}`, { url })
-			);
+		// texture coordinate sets → uv, uv1, uv2…
+		data.texcoords.forEach(({ array, size }, set) => {
+			attributes[set ? `uv${set}` : 'uv'] = new THREE.BufferAttribute(array, size);
 		});
+
+		return assignments ? { ...attributes, ...this.#skinAttributes(ctx, assignments, data.count) } : attributes;
 	}
 
 	/**
-	 * Convert a *.material* source string to an array of MeshPhongMaterial.
-	 * @param	{string}					text		- the material source text (e.g. from a *.material* file)
-	 * @param	{string}					texturePath	- optional base path for textures (default: same as `path`)
-	 * @returns {THREE.MeshPhongMaterial[]}				- the parsed materials, one per pass
+	 * The attributes of the shared geometry, built once: every submesh with
+	 * `usesharedvertices` references the same `BufferAttribute`s, skinned by
+	 * the mesh-level bone assignments.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{OgreVertexData}	shared	- the shared geometry
+	 * @returns	{Object.<string,THREE.BufferAttribute>}	- the attributes by name
 	 */
-	parse(text, texturePath = '') {
-		const mats = [];                          // final array
-		const lines = text.split(/\r?\n/);        // strip CRLF
-		const textureLoader = this.textureLoader; // local ref for closure
+	#sharedAttributes(ctx, shared) {
+		if (!SHARED_ATTRIBUTES.has(shared)) {
+			SHARED_ATTRIBUTES.set(shared, this.#vertexAttributes(ctx, shared, shared.assignments ?? null));
+		}
 
-		// helper cursors
-		let i = 0;
-		const next = () => lines[i++]?.trim();
-		const peek = () => lines[i]?.trim();
+		return SHARED_ATTRIBUTES.get(shared);
+	}
 
-		// recursive descent parsing
-		while (i < lines.length) {
-			const line = next();
-			if (!line) continue;
+	/**
+	 * @private
+	 * @param	{LoadContext}			ctx			- the current load context
+	 * @param	{OgreBoneAssignments}	assignments	- the (vertex, bone, weight) triplets
+	 * @param	{number}				vertexCount	- vertex count of the geometry the assignments refer to
+	 * @returns	{{skinIndex:THREE.BufferAttribute, skinWeight:THREE.BufferAttribute}}	- the skin attributes
+	 */
+	#skinAttributes(ctx, assignments, vertexCount) {
+		const { skinIndex, skinWeight } = this.#skinArrays(ctx, assignments, vertexCount);
 
-			const [kw, name] = line.split(/\s+/, 2);
-			if (kw !== 'material') continue;
+		return {
+			skinIndex: new THREE.BufferAttribute(skinIndex, 4),
+			skinWeight: new THREE.BufferAttribute(skinWeight, 4)
+		};
+	}
 
-			mats.push(...parseMaterialBlock(name));
-		}
-		return mats;
+	/**
+	 * Turn the index stream of a `triangle_strip` or `triangle_fan` into a
+	 * triangle list. Every odd strip triangle is flipped so that all keep
+	 * the winding of the first one; degenerate triangles (strip restarts) are
+	 * dropped. Other operation types are returned as is.
+	 * @private
+	 * @param	{string}					operationType	- the Ogre operation type
+	 * @param	{Uint32Array|Uint16Array}	indices			- the index stream
+	 * @returns	{Uint32Array|Uint16Array}					- three indices per triangle
+	 */
+	#triangleList(operationType, indices) {
+		const fan = operationType === 'triangle_fan';
 
-		/* ─────────── local helpers (closures capture i / lines) ────────── */
-		/**
-		 * Read a color from a line, expecting the format `r g b [a]`.
-		 * If the line has fewer than 3 components, it throws an error.
-		 * If the line has 4 components, it sets the alpha value on the color.
-		 * If the line has 3 components, it sets the alpha to 1 (opaque).
-		 * The color is expected to be in the range [0, 1] for each component.
-		 * @private
-		 * @param	{string[]}			tokens	- the split line tokens (e.g. `['diffuse', '1', '0', '0']`)
-		 * @param	{THREE.Color}		color	- the THREE.Color object to set
-		 * @throws	{DotMaterialError}			- if the color format is invalid or unsupported
-		 * @returns	{void}
-		 */
-		function parseMaterialBlock(matName) {
-			const locals = [];
+		if (!fan && operationType !== 'triangle_strip') {
+			return indices;
+		}
 
-			eat('{');
+		const list = new indices.constructor(Math.max(indices.length - 2, 0) * 3);
+		let n = 0;
 
-			while (peek() !== '}') {
-				const [kw] = peek().split(/\s+/, 1);
+		for (let i = 2; i < indices.length; ++i) {
+			const a = fan ? indices[0] : indices[i - 2 + (i & 1)];
+			const b = fan ? indices[i - 1] : indices[i - 1 - (i & 1)];
+			const c = indices[i];
 
-				if (kw === 'technique') {
-					locals.push(...parseTechniqueBlock(matName));
-				}
-				else {
-					next(); // skip unknown token
-				}
+			if (a !== b && b !== c && a !== c) {
+				list[n++] = a;
+				list[n++] = b;
+				list[n++] = c;
 			}
-			eat('}');
+		}
 
-			return locals;
+		return n === list.length ? list : list.slice(0, n);
+	}
+
+	/**
+	 * Range-check the triangle indices of a submesh.
+	 * @private
+	 * @param	{LoadContext}				ctx			- the current load context
+	 * @param	{Uint32Array|Uint16Array}	indices		- three indices per face
+	 * @param	{number}					vertexCount	- vertex count of the submesh
+	 * @returns	{Uint32Array|Uint16Array}				- *indices*
+	 * @throws	{OgreMaxError}							- if a face index is out of range
+	 */
+	#checkFaces(ctx, indices, vertexCount) {
+		for (let i = 0; i < indices.length; ++i) {
+			if (indices[i] >= vertexCount) {
+				const f = Math.floor(i / 3);
+				throw new OgreMaxError('E_RANGE', `Face ${f} index out of range (v${i % 3 + 1}:${indices[i]} >= ${vertexCount})`, { url: ctx.url, face: f });
+			}
 		}
 
-		/**
-		 * Parse a `<technique>` block, which contains one or more `<pass>` blocks.
-		 * Each pass block defines a set of rendering properties for the material.
-		 * The technique block can contain multiple passes, but OgreMax only uses the first one.
-		 * The technique block can contain other commands, but OgreMax ignores them.
-		 * @private
-		 * @param	{string}					matName	- the name of the material to create
-		 * @throws	{DotMaterialError}					- if the technique block is malformed or unsupported
-		 * @throws	{DotMaterialError}					- if a required pass block is missing or malformed
-		 * @returns {THREE.MeshPhongMaterial[]}			- an array of MeshPhongMaterial objects created from the technique block
-		 */
-		function parseTechniqueBlock(matName) {
-			const locals = [];
+		return indices;
+	}
 
-			eat('technique'); eat('{');
-			while (peek() !== '}') {
-				const [kw] = peek().split(/\s+/, 1);
+	/**
+	 * Gather the vertex attributes of a `<geometry>` / `<sharedgeometry>`
+	 * block. Each `<vertexbuffer>` holds some of the attributes of every
+	 * vertex; a single buffer per attribute is used as is, without copy.
+	 * Texture coordinate sets are numbered across the buffers, in order.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{Element}			XMLNode - XML element `<geometry>` or `<sharedgeometry>`
+	 * @returns	{OgreVertexData}			- the vertex attributes
+	 * @throws	{OgreMaxError}				- if vertexcount differs from parsed count
+	 */
+	#parseGeometry(ctx, XMLNode) {
+		const declared = this.#attrInt(XMLNode, 'vertexcount', 0);
+		const buffers = this.#querySelectAll(XMLNode, ':scope > vertexbuffer').map(node => this.#bulkData(ctx, node));
+		const data = { count: 0, position: null, normal: null, tangent: null, binormal: null, diffuse: null, specular: null, texcoords: buffers.flatMap(b => b.texcoords) };
 
-				if (kw === 'pass') {
-					locals.push(parsePassBlock(matName));
-				}
-				else { next(); }
+		for (const name of ['position', 'normal', 'tangent', 'binormal', 'diffuse', 'specular']) {
+			const arrays = buffers.map(b => b[name]).filter(Boolean);
+
+			if (arrays.length === 1) {
+				data[name] = arrays[0];
+			}
+			else if (arrays.length > 1) {
+				data[name] = new Float32Array(arrays.reduce((n, a) => n + a.length, 0));
+				arrays.reduce((offset, a) => (data[name].set(a, offset), offset + a.length), 0);
 			}
-			eat('}');
-			return locals;
 		}
 
-		/**
-		 * Parse a `<pass>` block, creating a MeshPhongMaterial with the specified properties.
-		 * The pass block can contain various commands like `diffuse`, `specular`, `texture_unit`, etc.
-		 * It supports diffuse and emissive textures, but ignores others like normal maps.
-		 * It sets the first texture as the diffuse map and the second as the emissive map.
-		 * @private
-		 * @param	{string}					matName	- the name of the material to create
-		 * @returns {THREE.MeshPhongMaterial}			- the created material with the specified properties
-		 * @throws	{DotMaterialError}					- if the pass block is malformed or unsupported
-		 * @throws	{DotMaterialError}					- if a required texture is missing or malformed
-		 */
-		function parsePassBlock(matName) {
-			const m = new THREE.MeshPhongMaterial({
-				name: matName,
-				transparent: true,
-			});
-			m.skinning = true;
-			m.morphTargets = true;
+		data.count = data.position ? data.position.length / 3 : Math.max(0, ...buffers.map(b => b.count));
 
-			let diffuseSet = false;
-			let emissiveSet = false;
+		if (declared && declared !== data.count) {
+			throw new OgreMaxError('E_FORMAT', `vertexcount ${declared} differs from parsed ${data.count}`, { url: ctx.url });
+		}
 
-			eat('pass'); eat('{');
+		return this.#tangentHandedness(data);
+	}
 
-			// loop over pass commands
-			while (peek() !== '}') {
+	/**
+	 * Complete the tangent handedness (w) where the file only gave xyz –
+	 * decoders leave such w at 0. With binormals and normals it is the sign
+	 * of `dot(cross(normal, tangent), binormal)`, as THREE rebuilds the
+	 * bitangent; otherwise 1. The binormals are dropped afterwards.
+	 * @private
+	 * @param	{OgreVertexData & {binormal:Float32Array|null}}	data	- the decoded vertex attributes
+	 * @returns	{OgreVertexData}										- *data*, without binormals
+	 */
+	#tangentHandedness(data) {
+		const { tangent: t, binormal: b, normal: n } = data;
 
-				const tokens = next().split(/\s+/);
-				const cmd = tokens[0];
+		if (t) {
+			for (let v = 0; v < data.count; ++v) {
+				if (t[v * 4 + 3] !== 0) continue;
 
-				switch (cmd) {
-					case 'diffuse':
-						readColor(tokens, m.color);
-						break;
-					case 'ambient':
-						readColor(tokens, m.color);
-						break; // Ogre ambient → base color
-					case 'specular':
-						readColor(tokens, m.specular);
-						m.shininess = +tokens[4] || 30;
-						break;
-					case 'emissive':
-						readColor(tokens, m.emissive);
-						break;
-					case 'scene_blend':          // add / alpha_blend
-						m.transparent = true;
-						m.blending = tokens[1] === 'add' ? THREE.AdditiveBlending : THREE.NormalBlending;
-						break;
-					case 'texture_unit':
-						handleTextureUnit();
-						break;
-					default:
-						/* ignore */
-						break;
+				let w = 1;
+
+				if (b && n) {
+					const [tx, ty, tz] = [t[v * 4], t[v * 4 + 1], t[v * 4 + 2]];
+					const [nx, ny, nz] = [n[v * 3], n[v * 3 + 1], n[v * 3 + 2]];
+					const dot = (ny * tz - nz * ty) * b[v * 3] + (nz * tx - nx * tz) * b[v * 3 + 1] + (nx * ty - ny * tx) * b[v * 3 + 2];
+
+					w = dot < 0 ? -1 : 1;
 				}
-			}
 
-			eat('}');
-			return m;
+				t[v * 4 + 3] = w;
+			}
+		}
 
+		delete data.binormal;
+		return data;
+	}
 
-			/* ───── sub-helpers ───────── */
-			/**
-			 * Handle a `<texture_unit>` block, loading textures and setting them on the material.
-			 * OgreMax supports diffuse and emissive textures, but ignores others like normal maps.
-			 * OgreMax does not support `texture_unit` parameters like `colour_op_ex` or `colour_op_multipass_fallback`.
-			 * This function sets the first texture as the diffuse map and the second as the emissive map.
-			 * @private
-			 * @throws	{DotMaterialError}	- if the texture unit block is malformed or unsupported
-			 * @returns {void}
-			 */
-			function handleTextureUnit() {
-				//eat('texture_unit');
-				eat('{');
+	/**
+	 * Parse a `<submeshes>` block and return an array of submeshes.
+	 * @private
+	 * @param	{LoadContext}			ctx		- the current load context
+	 * @param	{Element}				XMLNode	- XML element `<submeshes>`
+	 * @param	{OgreVertexData?}		shared	- optional shared geometry data
+	 * @returns {THREE.Object3D[]}				- array of parsed submeshes (SkinnedMesh or Line)
+	 * @throws	{OgreMaxError}					- if no submesh is found in the XML
+	 */
+	#parseSubmeshes(ctx, XMLNode, shared = null) {
+		const submeshes = [];
+		const submeshNodes = this.#querySelectAll(XMLNode, ':scope > submesh');
+		let materialSlot = 0;
 
-				while (peek() !== '}') {
+		if (submeshNodes.length === 0) {
+			throw new OgreMaxError('E_XML', 'No <submesh> found inside <submeshes>', { url: ctx.url });
+		}
 
-					const t = next().split(/\s+/);
-					switch (t[0]) {
-						case 'texture':
-							if (!diffuseSet) {
-								m.map = loadTex(t[1]);
-                                m.map.flipY = false; // OgreMax does not flip Y by default
-								diffuseSet = true;
-							}
-							else if (!emissiveSet) {
-								m.emissiveMap = loadTex(t[1]);
-								m.emissiveIntensity = 1; // OgreMax uses emissive intensity of 1 by default
-								m.emissive.set(0xffffff); // set emissive color to white.
-                                m.emissiveMap.flipY = false; // OgreMax does not flip Y by default
-								emissiveSet = true;
-							}
-							break;
-						case 'colour_op_ex':
-							// ignore (Three can't replicate easily)
-							break;
-						case 'colour_op_multipass_fallback':
-							break;
-						default:
-							break;
+		for (const submeshNode of submeshNodes) {
+			submeshes.push(this.#parseSubmesh(ctx, submeshNode, shared, materialSlot++));
+		}
+
+        return submeshes;
+	}
+
+	/**
+	 * Parse a single <submesh> and return a SkinnedMesh (geometry+material).
+	 * @private
+	 * @param	{LoadContext}		ctx				- the current load context
+	 * @param	{Element}			XMLNode			- XML element `<submesh>`
+	 * @param	{OgreVertexData?}	shared			- optional shared geometry data
+	 * @param	{number}			materialSlot	- material slot index (for multi-materials)
+	 * @returns {THREE.SkinnedMesh}					- the resulting skinned mesh (or Line if operationtype=line_list)
+	 */
+	#parseSubmesh(ctx, XMLNode, shared = null, materialSlot = 0) {
+		const geomNode = this.#querySelect(XMLNode, 'geometry');
+		const facesNode = this.#querySelect(XMLNode, 'faces');
+		const assignmentsNode = this.#querySelect(XMLNode, 'boneassignments');
+		const usesShared = this.#attrBool(XMLNode, 'usesharedvertices');
+
+		return this.#buildSubmesh(ctx, {
+			name: XMLNode.getAttribute('name') ?? '',
+			material: XMLNode.getAttribute('material'),
+			operationType: XMLNode.getAttribute('operationtype') || 'triangle_list',
+			usesShared,
+			use32bitindexes: this.#attrBool(XMLNode, 'use32bitindexes'),
+			geometry: geomNode && !usesShared ? this.#parseGeometry(ctx, geomNode) : null,
+			indices: facesNode ? this.#bulkData(ctx, facesNode).indices : null,
+			assignments: assignmentsNode ? this.#bulkData(ctx, assignmentsNode) : null
+		}, shared, materialSlot);
+	}
+
+	/**
+	 * Turn decoded submesh data (from XML or binary) into a SkinnedMesh. The
+	 * typed arrays become the attributes directly.
+	 * @private
+	 * @param	{LoadContext}		ctx				- the current load context
+	 * @param	{OgreSubmeshData}	submesh			- the decoded submesh
+	 * @param	{OgreVertexData?}	shared			- optional shared geometry data
+	 * @param	{number}			materialSlot	- material slot index (for multi-materials)
+	 * @returns {THREE.SkinnedMesh}					- the resulting skinned mesh (or Line if operationtype=line_list)
+	 */
+	#buildSubmesh(ctx, submesh, shared = null, materialSlot = 0) {
+		const { usesShared, use32bitindexes, indices } = submesh;
+		const opType = submesh.operationType;
+		const geom = new THREE.BufferGeometry();
+		let data = submesh.geometry ?? { count: 0, position: null, normal: null, tangent: null, diffuse: null, specular: null, texcoords: [] };
+
+		if (usesShared) {
+			if (!shared) {
+				throw new OgreMaxError('E_FORMAT', 'usesharedvertices is true but no shared geometry provided', { submesh: submesh.name, url: ctx.url });
+			}
+
+			data = shared;
+		}
+
+		// own bone assignments win over the mesh-level ones of the shared geometry
+		const attributes = {
+			...(usesShared ? this.#sharedAttributes(ctx, data) : this.#vertexAttributes(ctx, data, null)),
+			...(submesh.assignments && this.#skinAttributes(ctx, submesh.assignments, data.count))
+		};
+		const skinned = !!attributes.skinIndex;
+
+		for (const [name, attribute] of Object.entries(attributes)) {
+			geom.setAttribute(name, attribute);
+		}
+
+        if (indices) {
+			const list = this.#triangleList(opType, this.#checkFaces(ctx, indices, data.count));
+
+			if (list.length) {
+				const need32 = use32bitindexes || data.count > 65535; // if we need 32-bit indices
+				geom.setIndex(new THREE.BufferAttribute(need32 || list instanceof Uint16Array ? list : Uint16Array.from(list), 1));
+				geom.addGroup(0, list.length, materialSlot); // add group for multi-materials
+			}
+		}
+
+		geom.computeBoundingSphere();
+		if (!data.normal) {
+			geom.computeVertexNormals(); // compute normals if not provided
+		}
+
+		const material = new THREE.MeshStandardMaterial();
+		material.skinning = skinned;
+		material.morphTargets = true; // for compatibility with Ogre XML
+		material.transparent = true
+		material.vertexColors = !!data.diffuse;
+
+		let skinnedMesh;
+
+		switch (opType) {
+			case 'point_list':
+				// PointsMaterial has no skinning: the skin attributes are kept but do not deform the points
+				skinnedMesh = new THREE.Points(geom, new THREE.PointsMaterial({ color: 0xffffff, vertexColors: !!data.diffuse }));
+				break;
+			case 'line_list':
+			case 'line_strip': {
+				const Line = opType === 'line_list'
+					? (skinned ? OgreSkinnedLineSegments : THREE.LineSegments)
+					: (skinned ? OgreSkinnedLine : THREE.Line);
+
+				skinnedMesh = new Line(geom, new THREE.LineBasicMaterial({ color: 0xffffff, vertexColors: !!data.diffuse }));
+				break;
+			}
+			default:
+				// create a SkinnedMesh for triangle lists, strips and fans
+				skinnedMesh = new THREE.SkinnedMesh(geom, material);
+				skinnedMesh.castShadow = true; // enable shadow casting by default
+				skinnedMesh.receiveShadow = true; // enable shadow receiving by default
+		}
+
+		skinnedMesh.name = submesh.name; // set name from attribute, see #nameSubmeshes
+		skinnedMesh.frustumCulled = false; // disable frustum culling for better performance in some cases
+        skinnedMesh.userData.materialSlot = materialSlot; // store material slot in userData
+		skinnedMesh.userData.materialName = submesh.material ?? null; // Ogre material, see #linkMaterials
+		skinnedMesh.userData.operationType = opType; // store operation type in userData
+		skinnedMesh.userData.usesharedvertices = usesShared; // store shared usage in userData
+		skinnedMesh.userData.use32bitindexes = use32bitindexes; // store shared usage in userData
+
+        return skinnedMesh;
+	}
+
+	/**
+	 * Parse a `<pose>`: its target and the vertex offsets decoded by
+	 * `#poseDecoder`.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- XML element `<pose>`
+	 * @returns	{OgrePoseData}			- the decoded pose
+	 */
+	#parsePose(ctx, XMLNode) {
+		return {
+			name: XMLNode.getAttribute('name') ?? '',
+			target: XMLNode.getAttribute('target') === 'mesh' ? -1 : this.#attrInt(XMLNode, 'index'),
+			...this.#bulkData(ctx, XMLNode)
+		};
+	}
+
+	/**
+	 * Parse a mesh-level `<animation>`: its pose tracks with their keyframes
+	 * and `<poseref>` elements, and its morph tracks decoded by
+	 * `#morphTrackDecoder`.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- XML element `<animation>`
+	 * @returns	{OgreMeshAnimationData}	- the decoded animation
+	 */
+	#parseMeshAnimation(ctx, XMLNode) {
+		const tracks = this.#querySelectAll(this.#querySelect(XMLNode, ':scope > tracks'), ':scope > track').map(trackNode => {
+			const type = trackNode.getAttribute('type') === 'pose' ? 'pose' : 'morph';
+
+			return {
+				type,
+				target: trackNode.getAttribute('target') === 'mesh' ? -1 : this.#attrInt(trackNode, 'index'),
+				keyframes: type === 'morph' ? this.#bulkData(ctx, trackNode).keyframes : this.#querySelectAll(trackNode, 'keyframe').map(keyframeNode => ({
+					time: this.#attrFloat(keyframeNode, 'time'),
+					poses: this.#querySelectAll(keyframeNode, ':scope > poseref').map(ref => [this.#attrInt(ref, 'poseindex'), this.#attrFloat(ref, 'influence', 1)])
+				}))
+			};
+		});
+
+		return { name: XMLNode.getAttribute('name') || 'default', length: this.#attrFloat(XMLNode, 'length', 0), tracks };
+	}
+
+	/**
+	 * Turn the poses and morph keyframes of a mesh into relative morph
+	 * targets, and its vertex animations into clips. A submesh gets the
+	 * targets of its geometry (its own index, or -1 for the shared geometry)
+	 * in `morphAttributes.position` / `normal`: first the poses, named after
+	 * the pose, then one target per morph keyframe, named `<animation>:<n>`.
+	 * Pose tracks become one `NumberKeyframeTrack` per referenced pose; morph
+	 * tracks one per keyframe, at 1 on its own time and 0 on the others, so
+	 * the influences cross-fade between consecutive keyframes. The clips are
+	 * pushed to `mesh.animations`.
+	 * @private
+	 * @param	{LoadContext}				ctx			- the current load context
+	 * @param	{THREE.Object3D}			mesh		- the submesh, or the group of submeshes
+	 * @param	{THREE.Object3D[]}			submeshes	- the submeshes, in file order
+	 * @param	{OgrePoseData[]}			poses		- the poses, in file order
+	 * @param	{OgreMeshAnimationData[]}	animations	- the mesh animations
+	 * @returns	{void}
+	 * @throws	{OgreMaxError}							- `E_RANGE` on a vertex or pose index out of range, `E_FORMAT` on a morph keyframe of the wrong size
+	 */
+	#applyVertexAnimations(ctx, mesh, submeshes, poses, animations) {
+		const targetOf = (submesh, i) => submesh.userData.usesharedvertices ? -1 : i;
+		const names = poses.map((pose, i) => pose.name || `pose${i}`);
+		const morphs = new Map();                           // target → morph attributes, shared by the users of the shared geometry
+
+		// relative offsets of every pose and morph keyframe of one geometry
+		const morphTargets = (target, geometry) => {
+			const count = geometry.getAttribute('position').count;
+			const base = { position: geometry.getAttribute('position').array, normal: geometry.getAttribute('normal')?.array };
+			const targets = [];
+
+			poses.forEach((pose, index) => {
+				if (pose.target !== target) return;
+
+				const position = new Float32Array(count * 3);
+				const normal = pose.normal && new Float32Array(count * 3);
+
+				for (let k = 0; k < pose.count; ++k) {
+					const v = pose.vertex[k];
+
+					if (v >= count) {
+						throw new OgreMaxError('E_RANGE', `Pose "${names[index]}" offsets vertex ${v} of ${count}`, { url: ctx.url });
 					}
+
+					position.set(pose.offset.subarray(k * 3, k * 3 + 3), v * 3);
+					if (normal) normal.set(pose.normal.subarray(k * 3, k * 3 + 3), v * 3);
+				}
+
+				targets.push({ name: names[index], position, normal });
+			});
+
+			for (const animation of animations) {
+				for (const track of animation.tracks) {
+					if (track.type !== 'morph' || track.target !== target) continue;
+
+					track.keyframes.forEach((keyframe, k) => {
+						const name = `${animation.name}:${k}`;
+
+						if (keyframe.position.length !== count * 3) {
+							throw new OgreMaxError('E_FORMAT', `Morph keyframe "${name}" has ${keyframe.position.length / 3} vertices, its geometry ${count}`, { url: ctx.url });
+						}
+
+						const relative = (values, from) => values.map((value, j) => value - (from?.[j] ?? 0));
+						targets.push({ name, position: relative(keyframe.position, base.position), normal: keyframe.normal && relative(keyframe.normal, base.normal) });
+					});
 				}
-				eat('}');
 			}
 
-			/**
-			 * Load a texture by name, using the configured texture path.
-			 * @private
-			 * @param	{string}				texName	- the name of the texture file to load
-			 * @return	{THREE.Texture|null}			- the loaded texture or null if no name is given
-			 */
-			function loadTex(texName) {
-				return texName ? textureLoader.load(texturePath + texName) : null;
+			if (targets.length === 0) {
+				return null;
 			}
 
-			/**
-			 * Read a color from the token array and set it on the target color object.
-			 * The expected format is `color r g b` where `r`, `g`, and `b` are floats in the range [0, 1].
-			 * If the target is not provided, the function does nothing.
-			 * @private
-			 * @param	{string[]}		tok			- the token array containing the color values
-			 * @param	{THREE.Color}	[target]	- the target color object to set the values on
-			 * @returns {void}						- nothing, but sets the color on the target if provided
-			 */
-			function readColor(tok, target) {
-				if (!target) return;
-				target.set(+tok[1], +tok[2], +tok[3]);
+			const attribute = ({ name }, array) => {
+				const result = new THREE.BufferAttribute(array ?? new Float32Array(count * 3), 3);
+				result.name = name;
+				return result;
+			};
+
+			return {
+				position: targets.map(t => attribute(t, t.position)),
+				normal: targets.some(t => t.normal) ? targets.map(t => attribute(t, t.normal)) : null
+			};
+		};
+
+		submeshes.forEach((submesh, i) => {
+			const target = targetOf(submesh, i);
+			const geometry = submesh.geometry;
+
+			if (!morphs.has(target)) {
+				morphs.set(target, morphTargets(target, geometry));
+			}
+
+			const targets = morphs.get(target);
+			if (!targets) return;
+
+			geometry.morphAttributes.position = targets.position;
+			if (targets.normal) geometry.morphAttributes.normal = targets.normal;
+			geometry.morphTargetsRelative = true;
+			submesh.updateMorphTargets();
+		});
+
+		for (const { name, length, tracks } of animations) {
+			const clipTracks = [];
+
+			for (const track of tracks) {
+				const users = submeshes.filter((submesh, i) => targetOf(submesh, i) === track.target);
+				const times = track.keyframes.map(keyframe => keyframe.time);
+				const influences = new Map();               // morph target name → value per keyframe
+
+				if (track.type === 'pose') {
+					const referenced = new Set(track.keyframes.flatMap(keyframe => keyframe.poses.map(([index]) => index)));
+
+					for (const index of referenced) {
+						if (!poses[index]) {
+							throw new OgreMaxError('E_RANGE', `Animation "${name}" references pose ${index} of ${poses.length}`, { url: ctx.url });
+						}
+
+						influences.set(names[index], track.keyframes.map(keyframe => keyframe.poses.find(([i]) => i === index)?.[1] ?? 0));
+					}
+				}
+				else {
+					track.keyframes.forEach((keyframe, k) => influences.set(`${name}:${k}`, times.map((time, j) => j === k ? 1 : 0)));
+				}
+
+				for (const submesh of users) {
+					const node = submesh === mesh ? '' : submesh.name;
+
+					if (node !== '' && submeshes.filter(other => other.name === node).length > 1) {
+						ctx.diagnostics.warn('W_POSE_TARGET', `Track of animation "${name}" targets submesh "${node}", a name shared by several submeshes`, ctx.url);
+					}
+
+					for (const [target, values] of influences) {
+						clipTracks.push(new THREE.NumberKeyframeTrack(`${node}.morphTargetInfluences[${target}]`, times, values));
+					}
+				}
+			}
+
+			if (clipTracks.length === 0) {
+				ctx.diagnostics.warn('W_ANIMATION_EMPTY', `Animation "${name}" has no keyframes`, ctx.url);
+				continue;
 			}
+
+			mesh.animations.push(new THREE.AnimationClip(name, length || -1, clipTracks));
 		}
+	}
 
-		/**
-		 * Check the next line for a specific token and advance the cursor.
-		 * Throws an error if the token is not found.
-		 * @private
-		 * @param	{string}			token	- the expected token to match
-		 * @throws	{DotMaterialError}			- if the token is not found
-		 * @return	{void}						- nothing, but advances the cursor if the token is found
-		 */
-		function eat(token) {
-			const line = next();
 
-			if (!line?.startsWith(token)) {
-				throw new DotMaterialError(`Expected "${token}" but got "${line}"`, { line: line });
+	/* ====================================================================== */
+	/* Bulk decoders – vertex buffers, faces, bone assignments, poses…       */
+	/* ====================================================================== */
+	/**
+	 * Decoded content of a bulk element: from the streaming parser when it
+	 * built the document, else by replaying the DOM children through the
+	 * same decoder.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- `<vertexbuffer>`, `<faces>` or `<boneassignments>`
+	 * @returns	{*}						- what the decoder of that element returns
+	 */
+	#bulkData(ctx, XMLNode) {
+		if (BULK_DATA.has(XMLNode)) {
+			return BULK_DATA.get(XMLNode);
+		}
+
+		const decoder = this.#bulkDecoder(ctx, XMLNode, XMLNode.parentNode);
+		const stack = Array.from(XMLNode.childNodes).reverse();
+
+		while (stack.length) {
+			const node = stack.pop();
+
+			if (node.nodeType !== 1) continue;
+
+			decoder.element(node.nodeName, node);
+			for (let i = node.childNodes.length - 1; i >= 0; --i) stack.push(node.childNodes[i]);
+		}
+
+		const data = decoder.close();
+		BULK_DATA.set(XMLNode, data);
+		return data;
+	}
+
+	/**
+	 * Decoder of one bulk element: fed with every descendant (document order,
+	 * anything with `getAttribute`), it writes straight into typed arrays.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- the bulk element (attributes only are read)
+	 * @param	{Element|null}	parent	- its parent element
+	 * @returns	{{element:(name:string, node:Element)=>void, close:()=>*}}	- the decoder
+	 */
+	#bulkDecoder(ctx, XMLNode, parent) {
+		switch (XMLNode.nodeName) {
+			case 'vertexbuffer':
+				return this.#vertexbufferDecoder(ctx, XMLNode, this.#attrInt(parent, 'vertexcount', 0));
+			case 'faces':
+			case 'lodfacelist':
+				return this.#facesDecoder(XMLNode);
+			case 'boneassignments':
+				return this.#boneassignmentsDecoder();
+			case 'pose':
+				return this.#poseDecoder();
+			case 'track':
+				return this.#morphTrackDecoder();
+			default:
+				throw new OgreMaxError('E_RUNTIME', `No decoder for <${XMLNode.nodeName}>`, { url: ctx.url });
+		}
+	}
+
+	/**
+	 * `<vertexbuffer>` decoder: positions, normals, tangents / binormals,
+	 * diffuse / specular colours and every texture coordinate set with its
+	 * declared dimension, pre-sized from the geometry `vertexcount`.
+	 * Tangents without a w component get w = 0, see `#tangentHandedness`.
+	 * @private
+	 * @param	{LoadContext}	ctx			- the current load context
+	 * @param	{Element}		XMLNode		- XML element `<vertexbuffer>`
+	 * @param	{number}		vertexCount	- declared vertex count (0 → grow as needed)
+	 * @returns	{{element:Function, close:()=>{count:number, position:Float32Array|null, normal:Float32Array|null, tangent:Float32Array|null, binormal:Float32Array|null, diffuse:Float32Array|null, specular:Float32Array|null, texcoords:OgreTexcoordSet[]}}} - the decoder
+	 * @throws	{OgreMaxError}				- if a texture coordinate dimension is not 1, 2 or 3
+	 */
+	#vertexbufferDecoder(ctx, XMLNode, vertexCount) {
+		const tcCount = this.#attrInt(XMLNode, 'texture_coords', 0);
+		const dimensions = [];
+
+		// texture_coord_dimensions_n  (default 2)
+		for (let i = 0; i < tcCount; ++i) {
+			const dim = XMLNode.getAttribute(`texture_coord_dimensions_${i}`);
+			const dimension = dim ? parseInt(dim.replace('float', ''), 10) : 2;
+
+			if (![1, 2, 3].includes(dimension)) {
+				throw new OgreMaxError('E_FORMAT', `texture_coord_dimensions_${i} = ${dimension} (expected 1/2/3)`, { node: XMLNode.outerHTML, url: ctx.url });
 			}
+
+			dimensions.push(dimension);
 		}
+
+		let capacity = Math.max(vertexCount, 1);
+		let position = this.#attrBool(XMLNode, 'positions') ? new Float32Array(capacity * 3) : null;
+		let normal = this.#attrBool(XMLNode, 'normals') ? new Float32Array(capacity * 3) : null;
+		let tangent = this.#attrBool(XMLNode, 'tangents') ? new Float32Array(capacity * 4) : null;
+		let binormal = this.#attrBool(XMLNode, 'binormals') ? new Float32Array(capacity * 3) : null;
+		let diffuse = this.#attrBool(XMLNode, 'colours_diffuse') ? new Float32Array(capacity * 4) : null;
+		let specular = this.#attrBool(XMLNode, 'colours_specular') ? new Float32Array(capacity * 4) : null;
+		let texcoords = dimensions.map(size => new Float32Array(capacity * size));
+		let v = -1, tc = 0;
+
+		return {
+			element: (name, node) => {
+				switch (name) {
+					case 'vertex':
+						if (++v === capacity) {
+							capacity *= 2;
+							position = this.#grow(position, capacity * 3);
+							normal = this.#grow(normal, capacity * 3);
+							tangent = this.#grow(tangent, capacity * 4);
+							binormal = this.#grow(binormal, capacity * 3);
+							diffuse = this.#grow(diffuse, capacity * 4);
+							specular = this.#grow(specular, capacity * 4);
+							texcoords = texcoords.map((array, set) => this.#grow(array, capacity * dimensions[set]));
+						}
+						tc = 0;
+						break;
+					case 'position':
+						if (position) {
+							position[v * 3] = this.#attrFloat(node, 'x');
+							position[v * 3 + 1] = this.#attrFloat(node, 'y');
+							position[v * 3 + 2] = this.#attrFloat(node, 'z');
+						}
+						break;
+					case 'normal':
+						if (normal) {
+							normal[v * 3] = this.#attrFloat(node, 'x');
+							normal[v * 3 + 1] = this.#attrFloat(node, 'y');
+							normal[v * 3 + 2] = this.#attrFloat(node, 'z');
+						}
+						break;
+					case 'tangent':
+						if (tangent) {
+							tangent[v * 4] = this.#attrFloat(node, 'x');
+							tangent[v * 4 + 1] = this.#attrFloat(node, 'y');
+							tangent[v * 4 + 2] = this.#attrFloat(node, 'z');
+							tangent[v * 4 + 3] = this.#attrFloat(node, 'w');
+						}
+						break;
+					case 'binormal':
+						if (binormal) {
+							binormal[v * 3] = this.#attrFloat(node, 'x');
+							binormal[v * 3 + 1] = this.#attrFloat(node, 'y');
+							binormal[v * 3 + 2] = this.#attrFloat(node, 'z');
+						}
+						break;
+					case 'colour_diffuse':
+						if (diffuse) this.#attrColourValue(node, diffuse, v * 4);
+						break;
+					case 'colour_specular':
+						if (specular) this.#attrColourValue(node, specular, v * 4);
+						break;
+					case 'texcoord': {
+						const set = tc++;
+
+						if (set < tcCount) {
+							const size = dimensions[set];
+							const base = v * size;
+
+							texcoords[set][base] = this.#attrFloat(node, 'u');
+							if (size > 1) texcoords[set][base + 1] = this.#attrFloat(node, 'v');
+							if (size > 2) texcoords[set][base + 2] = this.#attrFloat(node, 'w');
+						}
+						break;
+					}
+				}
+			},
+			close: () => {
+				const count = v + 1;
+
+				return {
+					count,
+					position: position && (count === capacity ? position : position.slice(0, count * 3)),
+					normal: normal && (count === capacity ? normal : normal.slice(0, count * 3)),
+					tangent: tangent && (count === capacity ? tangent : tangent.slice(0, count * 4)),
+					binormal: binormal && (count === capacity ? binormal : binormal.slice(0, count * 3)),
+					diffuse: diffuse && (count === capacity ? diffuse : diffuse.slice(0, count * 4)),
+					specular: specular && (count === capacity ? specular : specular.slice(0, count * 4)),
+					texcoords: texcoords.map((array, set) => ({
+						array: count === capacity ? array : array.slice(0, count * dimensions[set]),
+						size: dimensions[set]
+					}))
+				};
+			}
+		};
 	}
-}
+
+	/**
+	 * `<faces>` (and `<lodfacelist>`) decoder, pre-sized from the `count`
+	 * attribute. It reads the index stream: every vertex a face carries.
+	 * @private
+	 * @param	{Element}	XMLNode	- XML element `<faces>`
+	 * @returns	{{element:Function, close:()=>{indices:Uint32Array}}}	- the decoder
+	 */
+	#facesDecoder(XMLNode) {
+		let indices = new Uint32Array(Math.max(this.#attrInt(XMLNode, 'count', this.#attrInt(XMLNode, 'numfaces', 0)), 1) * 3);
+		let n = 0;
+
+		return {
+			element: (name, node) => {
+				if (name !== 'face') return;
+
+				if (n + 3 > indices.length) {
+					indices = this.#grow(indices, Math.max(n * 2, n + 3));
+				}
+
+				// strips and fans give only v1 after their first face, lines v1 v2, points v1
+				for (const attr of FACE_VERTICES) {
+					const value = node.getAttribute(attr);
+
+					if (value === null) break;
+					indices[n++] = parseInt(value, 10);
+				}
+			},
+			close: () => ({ indices: n === indices.length ? indices : indices.slice(0, n) })
+		};
+	}
+
+	/**
+	 * `<boneassignments>` decoder: keeps the raw (vertex, bone, weight)
+	 * triplets, the vertex count may not be known yet. The binary reader
+	 * feeds it through `add()`.
+	 * @private
+	 * @returns	{{element:Function, add:(vertex:number, bone:number, weight:number)=>void, close:()=>OgreBoneAssignments}}	- the decoder
+	 */
+	#boneassignmentsDecoder() {
+		let vertex = new Uint32Array(1024), bone = new Uint16Array(1024), weight = new Float32Array(1024);
+		let n = 0;
+
+		const add = (v, b, w) => {
+			if (n === vertex.length) {
+				vertex = this.#grow(vertex, n * 2);
+				bone = this.#grow(bone, n * 2);
+				weight = this.#grow(weight, n * 2);
+			}
+
+			vertex[n] = v;
+			bone[n] = b;
+			weight[n++] = w;
+		};
+
+		return {
+			element: (name, node) => {
+				if (name === 'vertexboneassignment' || name === 'boneassignment') {
+					add(this.#attrInt(node, 'vertexindex'), this.#attrInt(node, 'boneindex'), this.#attrFloat(node, 'weight', 0));
+				}
+			},
+			add,
+			close: () => ({ count: n, vertex, bone, weight })
+		};
+	}
+
+	/**
+	 * `<pose>` decoder: the `<poseoffset>` of every moved vertex, with its
+	 * normal offset (`nx`, `ny`, `nz`) when the exporter wrote one. The
+	 * binary reader feeds it through `add`.
+	 * @private
+	 * @returns	{{element:Function, add:(vertex:number, offset:number[], normal:number[]|null)=>void, close:()=>{count:number, vertex:Uint32Array, offset:Float32Array, normal:Float32Array|null}}}	- the decoder
+	 */
+	#poseDecoder() {
+		let vertex = new Uint32Array(256), offset = new Float32Array(768), normal = null;
+		let n = 0;
+
+		const add = (v, xyz, nxyz) => {
+			if (n === vertex.length) {
+				vertex = this.#grow(vertex, n * 2);
+				offset = this.#grow(offset, n * 6);
+				normal = this.#grow(normal, n * 6);
+			}
+
+			if (nxyz && !normal) {
+				normal = new Float32Array(offset.length);
+			}
+
+			vertex[n] = v;
+			offset.set(xyz, n * 3);
+			if (nxyz) normal.set(nxyz, n * 3);
+			++n;
+		};
+
+		return {
+			element: (name, node) => {
+				if (name !== 'poseoffset') return;
+
+				add(
+					this.#attrInt(node, 'index'),
+					[this.#attrFloat(node, 'x'), this.#attrFloat(node, 'y'), this.#attrFloat(node, 'z')],
+					node.hasAttribute('nx') ? [this.#attrFloat(node, 'nx'), this.#attrFloat(node, 'ny'), this.#attrFloat(node, 'nz')] : null
+				);
+			},
+			add,
+			close: () => ({ count: n, vertex, offset, normal })
+		};
+	}
+
+	/**
+	 * Morph `<track>` decoder: every `<keyframe>` holds the position (and,
+	 * when exported, the normal) of every vertex. The first keyframe grows
+	 * as needed, the next ones are pre-sized from it.
+	 * @private
+	 * @returns	{{element:Function, close:()=>{keyframes:{time:number, position:Float32Array, normal:Float32Array|null}[]}}}	- the decoder
+	 */
+	#morphTrackDecoder() {
+		const keyframes = [];
+		let capacity = 256, keyframe = null, p = 0, n = 0;
+
+		const end = () => {
+			if (!keyframe) return;
+
+			capacity = Math.max(p, 1);
+			keyframe.position = keyframe.position.length === p * 3 ? keyframe.position : keyframe.position.slice(0, p * 3);
+			keyframe.normal = keyframe.normal && (keyframe.normal.length === n * 3 ? keyframe.normal : keyframe.normal.slice(0, n * 3));
+			keyframes.push(keyframe);
+		};
+
+		const write = (array, i, node) => {
+			if (i * 3 === array.length) {
+				array = this.#grow(array, array.length * 2);
+			}
+
+			array[i * 3] = this.#attrFloat(node, 'x');
+			array[i * 3 + 1] = this.#attrFloat(node, 'y');
+			array[i * 3 + 2] = this.#attrFloat(node, 'z');
+			return array;
+		};
+
+		return {
+			element: (name, node) => {
+				switch (name) {
+					case 'keyframe':
+						end();
+						keyframe = { time: this.#attrFloat(node, 'time'), position: new Float32Array(capacity * 3), normal: null };
+						p = n = 0;
+						break;
+					case 'position':
+						if (keyframe) keyframe.position = write(keyframe.position, p++, node);
+						break;
+					case 'normal':
+						if (keyframe) keyframe.normal = write(keyframe.normal ?? new Float32Array(capacity * 3), n++, node);
+						break;
+				}
+			},
+			close: () => {
+				end();
+				return { keyframes };
+			}
+		};
+	}
+
+	/**
+	 * Enlarge a typed array, keeping its content.
+	 * @private
+	 * @param	{TypedArray|null}	array	- the array (`null` is passed through)
+	 * @param	{number}			length	- the new length
+	 * @returns	{TypedArray|null}			- a larger copy
+	 */
+	#grow(array, length) {
+		if (!array) return null;
+
+		const larger = new array.constructor(length);
+		larger.set(array);
+		return larger;
+	}
+
+
+	/* ====================================================================== */
+	/* Binary readers – chunk-based files written by OgreSerializer          */
+	/* ====================================================================== */
+	/**
+	 * Binary counterpart of `#parseMesh`.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{ArrayBuffer}		buffer	- content of the `.mesh` file
+	 * @returns	{THREE.SkinnedMesh|THREE.Group}	- the single submesh, or a group of submeshes
+	 */
+	#parseBinaryMesh(ctx, buffer) {
+		const { mesh, skeletonLink } = this.#buildBinaryMesh(ctx, buffer);
+
+		if (skeletonLink !== null) {
+			this.#linkSkeleton(ctx, mesh, skeletonLink, true);
+		}
+
+		this.#linkMaterials(ctx, mesh);
+		return mesh;
+	}
+
+	/**
+	 * Binary counterpart of `#buildMesh`: geometry, submeshes, bone
+	 * assignments, skeleton link, submesh names, poses and vertex animations are read; LOD,
+	 * edge lists and bounds chunks are skipped.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{ArrayBuffer}	buffer	- content of the `.mesh` file
+	 * @returns	{{mesh:THREE.SkinnedMesh|THREE.Group, skeletonLink:string|null}}	- the mesh and the name of its skeleton
+	 * @throws	{OgreMaxError}			- `E_FORMAT` on an unsupported version or a malformed / truncated file
+	 */
+	#buildBinaryMesh(ctx, buffer) {
+		const reader = new OgreChunkReader(buffer, ctx.url);
+		const version = reader.header();
+
+		if (!MESH_VERSIONS.has(version)) {
+			throw new OgreMaxError('E_FORMAT', `Unsupported mesh serializer version ${version}`, { url: ctx.url, version });
+		}
+
+		if (reader.chunk().id !== MESH_CHUNK.MESH) {
+			throw new OgreMaxError('E_FORMAT', 'Missing mesh chunk', { url: ctx.url, offset: reader.offset });
+		}
+
+		const submeshes = [];
+		const sharedAssignments = this.#boneassignmentsDecoder();
+		const poses = [], animations = [], names = [];
+		let shared = null, skeletonLink = null;
+
+		reader.bool(); // skeletally animated
+
+		while (!reader.eof) {
+			const { id, end } = reader.chunk();
+
+			switch (id) {
+				case MESH_CHUNK.GEOMETRY:
+					shared = this.#readBinaryGeometry(ctx, reader);
+					break;
+				case MESH_CHUNK.SUBMESH:
+					submeshes.push(this.#readBinarySubmesh(ctx, reader));
+					break;
+				case MESH_CHUNK.MESH_SKELETON_LINK:
+					skeletonLink = reader.string();
+					break;
+				case MESH_CHUNK.MESH_BONE_ASSIGNMENT:
+					sharedAssignments.add(reader.u32(), reader.u16(), reader.f32());
+					break;
+				case MESH_CHUNK.SUBMESH_NAME_TABLE:
+					for (const _ of reader.chunks([MESH_CHUNK.SUBMESH_NAME_TABLE_ELEMENT])) {
+						names.push([reader.u16(), reader.string()]);
+					}
+					break;
+				case MESH_CHUNK.POSES:
+					for (const _ of reader.chunks([MESH_CHUNK.POSE])) {
+						poses.push(this.#readBinaryPose(reader, version));
+					}
+					break;
+				case MESH_CHUNK.ANIMATIONS:
+					for (const _ of reader.chunks([MESH_CHUNK.ANIMATION])) {
+						animations.push(this.#readBinaryMeshAnimation(reader, version));
+					}
+					break;
+				default:
+					reader.seek(end);
+			}
+		}
+
+		if (submeshes.length === 0) {
+			throw new OgreMaxError('E_FORMAT', 'No submesh found in binary mesh', { url: ctx.url });
+		}
+
+		if (shared) {
+			const assignments = sharedAssignments.close();
+			shared.assignments = assignments.count ? assignments : null;
+		}
+
+		const objects = submeshes.map((submesh, slot) => this.#buildSubmesh(ctx, submesh, shared, slot));
+
+		this.#nameSubmeshes(ctx, objects, names);
+
+		const mesh = this.#groupSubmeshes(objects, 'mesh');
+
+		this.#applyVertexAnimations(ctx, mesh, objects, poses, animations);
+
+		return { mesh: ctx.options.mergeSubmeshes ? this.#mergeSubmeshes(ctx, mesh) : mesh, skeletonLink };
+	}
+
+	/**
+	 * Binary counterpart of `#parseSkeleton`: bones, bone parents and
+	 * animations are built like their XML counterparts. Blend mode,
+	 * base animation info and animation links are skipped.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{ArrayBuffer}	buffer	- content of the `.skeleton` file
+	 * @returns	{{skeleton:THREE.Skeleton,animations:THREE.AnimationClip[]}}	- the resulting skeleton and animations
+	 * @throws	{OgreMaxError}			- `E_FORMAT` on an unsupported version or a malformed / truncated file, `E_RANGE` on an unknown bone handle
+	 */
+	#parseBinarySkeleton(ctx, buffer) {
+		const reader = new OgreChunkReader(buffer, ctx.url);
+		const version = reader.header();
+		const bones = new Map();
+		const animations = [];
+
+		if (!SKELETON_VERSIONS.has(version)) {
+			throw new OgreMaxError('E_FORMAT', `Unsupported skeleton serializer version ${version}`, { url: ctx.url, version });
+		}
+
+		const bone = (handle) => {
+			if (!bones.has(handle)) {
+				throw new OgreMaxError('E_RANGE', `Unknown bone handle ${handle}`, { url: ctx.url, offset: reader.offset });
+			}
+
+			return bones.get(handle);
+		};
+
+		while (!reader.eof) {
+			const { id, end } = reader.chunk();
+
+			switch (id) {
+				case SKELETON_CHUNK.BONE: {
+					const created = new THREE.Bone();
+
+					created.name = reader.string();
+					created.userData.index = reader.u16();
+					created.applyMatrix4(this.#readBinaryTransform(reader, end));
+					bones.set(created.userData.index, created);
+					break;
+				}
+				case SKELETON_CHUNK.BONE_PARENT: {
+					const child = bone(reader.u16());
+
+					bone(reader.u16()).add(child);
+					break;
+				}
+				case SKELETON_CHUNK.ANIMATION:
+					animations.push(this.#readBinaryAnimation(ctx, reader, bone));
+					break;
+				default:
+					reader.seek(end);
+			}
+		}
+
+		if (bones.size === 0) {
+			throw new OgreMaxError('E_FORMAT', 'Binary skeleton has no bone', { url: ctx.url });
+		}
+
+		/* reorder by handle (THREE.Skeleton expects array) */
+		const sorted = [...bones.values()].sort((a, b) => a.userData.index - b.userData.index);
+
+		return { skeleton: new THREE.Skeleton(sorted), animations };
+	}
+
+	/**
+	 * Read an animation chunk and its tracks.
+	 * @private
+	 * @param	{LoadContext}					ctx		- the current load context
+	 * @param	{OgreChunkReader}				reader	- positioned after the chunk header
+	 * @param	{(handle:number)=>THREE.Bone}	bone	- bone lookup by handle
+	 * @returns	{THREE.AnimationClip}					- the animation clip
+	 * @throws	{OgreMaxError}							- if the length is invalid
+	 */
+	#readBinaryAnimation(ctx, reader, bone) {
+		const name = reader.string() || 'default';
+		const length = reader.f32();
+		const tracks = [];
+
+		if (!length || !isFinite(length)) {
+			throw new OgreMaxError('E_FORMAT', `Animation "${name}" has invalid length (${length})`, { url: ctx.url });
+		}
+
+		for (const { id, end } of reader.chunks([SKELETON_CHUNK.ANIMATION_BASEINFO, SKELETON_CHUNK.ANIMATION_TRACK])) {
+			if (id === SKELETON_CHUNK.ANIMATION_BASEINFO) {
+				reader.seek(end);
+				continue;
+			}
+
+			const target = bone(reader.u16());
+			const keyframes = [];
+
+			for (const keyframe of reader.chunks([SKELETON_CHUNK.ANIMATION_TRACK_KEYFRAME])) {
+				keyframes.push({ time: reader.f32(), matrix: this.#readBinaryTransform(reader, keyframe.end, true) });
+			}
+
+			tracks.push(...this.#boneTracks(ctx, target, keyframes));
+		}
+
+		if (tracks.length === 0) {
+			ctx.diagnostics.warn('W_ANIMATION_EMPTY', `Animation "${name}" has no keyframes`, ctx.url);
+		}
+
+		return new THREE.AnimationClip(name, length, tracks);
+	}
+
+	/**
+	 * Read a position, an orientation (x, y, z, w) and, when the chunk has
+	 * room left, a scale. Keyframes store the orientation first.
+	 * @private
+	 * @param	{OgreChunkReader}	reader			- the reader
+	 * @param	{number}			end				- end of the current chunk
+	 * @param	{boolean}			[rotationFirst]	- true for keyframes
+	 * @returns	{THREE.Matrix4}						- the composed transform
+	 */
+	#readBinaryTransform(reader, end, rotationFirst = false) {
+		const vector = () => new THREE.Vector3(reader.f32(), reader.f32(), reader.f32());
+		const quaternion = () => new THREE.Quaternion(reader.f32(), reader.f32(), reader.f32(), reader.f32()).normalize();
+		const rotation = rotationFirst ? quaternion() : null;
+		const position = vector();
+		const orientation = rotation ?? quaternion();
+		const scale = reader.offset < end ? vector() : new THREE.Vector3(1, 1, 1);
+
+		return new THREE.Matrix4().compose(position, orientation, scale);
+	}
+
+	/**
+	 * Read a pose chunk and its vertex offsets. The 1.8 and later
+	 * serializers write the normals flag (and then the normal offsets), the
+	 * 1.41 and older ones do not.
+	 * @private
+	 * @param	{OgreChunkReader}	reader	- positioned after the chunk header
+	 * @param	{string}			version	- the serializer version
+	 * @returns	{OgrePoseData}				- the decoded pose
+	 */
+	#readBinaryPose(reader, version) {
+		const name = reader.string();
+		const target = reader.u16() - 1;                    // 0 = shared geometry
+		const withNormals = MESH_NORMALS_VERSIONS.has(version) ? reader.bool() : false;
+		const offsets = this.#poseDecoder();
+
+		for (const _ of reader.chunks([MESH_CHUNK.POSE_VERTEX])) {
+			const vertex = reader.u32();
+			const offset = [reader.f32(), reader.f32(), reader.f32()];
+
+			offsets.add(vertex, offset, withNormals ? [reader.f32(), reader.f32(), reader.f32()] : null);
+		}
+
+		return { name, target, ...offsets.close() };
+	}
+
+	/**
+	 * Read a mesh animation chunk: its tracks with their pose keyframes and
+	 * pose references, or their morph keyframes (every vertex position,
+	 * interleaved with its normal when a 1.8 or later serializer flags it). Base
+	 * animation info is skipped.
+	 * @private
+	 * @param	{OgreChunkReader}	reader	- positioned after the chunk header
+	 * @param	{string}			version	- the serializer version
+	 * @returns	{OgreMeshAnimationData}		- the decoded animation
+	 */
+	#readBinaryMeshAnimation(reader, version) {
+		const name = reader.string() || 'default';
+		const length = reader.f32();
+		const tracks = [];
+
+		for (const { id, end } of reader.chunks([MESH_CHUNK.ANIMATION_BASEINFO, MESH_CHUNK.ANIMATION_TRACK])) {
+			if (id === MESH_CHUNK.ANIMATION_BASEINFO) {
+				reader.seek(end);
+				continue;
+			}
+
+			const type = reader.u16() === 2 ? 'pose' : 'morph';   // VertexAnimationType: 1 morph, 2 pose
+			const track = { type, target: reader.u16() - 1, keyframes: [] };
+
+			for (const keyframe of reader.chunks([MESH_CHUNK.ANIMATION_MORPH_KEYFRAME, MESH_CHUNK.ANIMATION_POSE_KEYFRAME])) {
+				if (keyframe.id === MESH_CHUNK.ANIMATION_MORPH_KEYFRAME) {
+					const time = reader.f32();
+					const withNormals = MESH_NORMALS_VERSIONS.has(version) ? reader.bool() : false;
+					const count = Math.floor((keyframe.end - reader.offset) / (withNormals ? 24 : 12));
+					const position = new Float32Array(count * 3);
+					const normal = withNormals ? new Float32Array(count * 3) : null;
+
+					for (let v = 0; v < count; ++v) {
+						position.set([reader.f32(), reader.f32(), reader.f32()], v * 3);
+						if (normal) normal.set([reader.f32(), reader.f32(), reader.f32()], v * 3);
+					}
+
+					reader.seek(keyframe.end);
+
+					track.keyframes.push({ time, position, normal });
+					continue;
+				}
+
+				const time = reader.f32();
+				const poses = [];
+
+				for (const _ of reader.chunks([MESH_CHUNK.ANIMATION_POSE_REF])) {
+					poses.push([reader.u16(), reader.f32()]);
+				}
+
+				track.keyframes.push({ time, poses });
+			}
+
+			tracks.push(track);
+		}
+
+		return { name, length, tracks };
+	}
+
+	/**
+	 * Read a submesh chunk: indices, own geometry and the operation, bone
+	 * assignment and texture alias chunks that follow it.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{OgreChunkReader}	reader	- positioned after the chunk header
+	 * @returns	{OgreSubmeshData}			- the decoded submesh
+	 * @throws	{OgreMaxError}				- if the geometry chunk is missing
+	 */
+	#readBinarySubmesh(ctx, reader) {
+		const assignments = this.#boneassignmentsDecoder();
+		const submesh = { name: '', material: null, operationType: 'triangle_list', geometry: null, assignments: null };
+
+		submesh.material = reader.string();
+		submesh.usesShared = reader.bool();
+
+		const indexCount = reader.u32();
+
+		submesh.use32bitindexes = reader.bool();
+		submesh.indices = reader.array(submesh.use32bitindexes ? Uint32Array : Uint16Array, indexCount);
+
+		if (!submesh.usesShared) {
+			if (reader.chunk().id !== MESH_CHUNK.GEOMETRY) {
+				throw new OgreMaxError('E_FORMAT', 'Missing geometry chunk in submesh', { url: ctx.url, offset: reader.offset });
+			}
+
+			submesh.geometry = this.#readBinaryGeometry(ctx, reader);
+		}
+
+		for (const { id, end } of reader.chunks([MESH_CHUNK.SUBMESH_OPERATION, MESH_CHUNK.SUBMESH_BONE_ASSIGNMENT, MESH_CHUNK.SUBMESH_TEXTURE_ALIAS])) {
+			switch (id) {
+				case MESH_CHUNK.SUBMESH_OPERATION:
+					submesh.operationType = OPERATION_TYPES[reader.u16()] ?? 'triangle_list';
+					break;
+				case MESH_CHUNK.SUBMESH_BONE_ASSIGNMENT:
+					assignments.add(reader.u32(), reader.u16(), reader.f32());
+					break;
+				default:
+					reader.seek(end);
+			}
+		}
+
+		const decoded = assignments.close();
+		submesh.assignments = decoded.count ? decoded : null;
+
+		return submesh;
+	}
+
+	/**
+	 * Read a geometry chunk: vertex declaration, then one data block per
+	 * vertex buffer binding. The elements are decoded into the same arrays
+	 * as `#parseGeometry`.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context
+	 * @param	{OgreChunkReader}	reader	- positioned after the chunk header
+	 * @returns	{OgreVertexData}			- the vertex attributes
+	 * @throws	{OgreMaxError}				- if a buffer has no data or does not match its declaration
+	 */
+	#readBinaryGeometry(ctx, reader) {
+		const count = reader.u32();
+		const elements = [];
+		const buffers = new Map();
+
+		for (const { id } of reader.chunks([MESH_CHUNK.GEOMETRY_VERTEX_DECLARATION, MESH_CHUNK.GEOMETRY_VERTEX_BUFFER])) {
+			if (id === MESH_CHUNK.GEOMETRY_VERTEX_DECLARATION) {
+				for (const _ of reader.chunks([MESH_CHUNK.GEOMETRY_VERTEX_ELEMENT])) {
+					elements.push({ source: reader.u16(), type: reader.u16(), semantic: reader.u16(), offset: reader.u16(), index: reader.u16() });
+				}
+				continue;
+			}
+
+			const bindIndex = reader.u16();
+			const vertexSize = reader.u16();
+
+			if (reader.chunk().id !== MESH_CHUNK.GEOMETRY_VERTEX_BUFFER_DATA) {
+				throw new OgreMaxError('E_FORMAT', `Missing data for vertex buffer ${bindIndex}`, { url: ctx.url, offset: reader.offset });
+			}
+
+			buffers.set(bindIndex, { start: reader.offset, vertexSize });
+			reader.skip(count * vertexSize);
+		}
+
+		// VertexElementSemantic: 1 position, 4 normal, 5 diffuse, 6 specular, 7 texture coordinates, 8 binormal, 9 tangent
+		const read = (semantic, size, index = 0) => {
+			const element = elements.find(e => e.semantic === semantic && e.index === index);
+			const buffer = element && buffers.get(element.source);
+
+			if (element && !buffer) {
+				throw new OgreMaxError('E_FORMAT', `Vertex element bound to missing buffer ${element.source}`, { url: ctx.url });
+			}
+
+			if (!buffer) return null;
+
+			return semantic === 5 || semantic === 6
+				? reader.vertexColour(element, buffer.start, buffer.vertexSize, count)
+				: reader.vertexElement(element, buffer.start, buffer.vertexSize, count, size);
+		};
+
+		// one texture coordinate set per index, sized by its element type
+		const texcoords = elements.filter(e => e.semantic === 7).sort((a, b) => a.index - b.index).map(e => {
+			const size = Math.min(OgreChunkReader.VERTEX_TYPES[e.type]?.[1] ?? 2, 3);
+			return { array: read(7, size, e.index), size };
+		});
+
+		return this.#tangentHandedness({
+			count,
+			position: read(1, 3),
+			normal: read(4, 3),
+			tangent: read(9, 4),
+			binormal: read(8, 3),
+			diffuse: read(5, 4),
+			specular: read(6, 4),
+			texcoords
+		});
+	}
+
+	/* ====================================================================== */
+	/* Scene parsers														  */
+	/* ====================================================================== */
+	/**
+	 * Parse an `<environment>` block (ambient light, background colour,
+	 * clipping distances) and return it as a dedicated `THREE.Group`.
+	 * @private
+	 * @param	{Element}		envNode	– XML element `<environment>`
+	 * @returns {THREE.Group}			– contains ambient light, userData etc.
+	 */
+	#parseEnvironment(envNode) {
+		const amb = this.#querySelect(envNode, 'colourAmbient');
+		const bg = this.#querySelect(envNode, 'colourBackground');
+		const clip = this.#querySelect(envNode, 'clipping');
+		const grp = new THREE.Group();
+		grp.name = 'environment';
+
+		if (amb) {
+			const ambLight = new THREE.AmbientLight(this.#attrColorRGB(amb));
+
+			grp.add(ambLight);
+		}
+
+		if (bg) {
+			grp.userData.background = this.#attrColorRGB(bg);
+		}
+
+		if (clip) {
+			grp.userData.clipping = {
+				near: this.#attrFloat(clip, 'near', 0),
+				far: this.#attrFloat(clip, 'far', 1)
+			};
+		}
+
+		return grp;
+	}
+
+	/**
+	 * Handle one `<entity>` tag : triggers a nested mesh load and attaches the
+	 * resulting `SkinnedMesh` (or `Line`) to *parentObj*.
+	 * Deals with shadow flags, material sub-entities, and bone attachments.
+	 * @private
+	 * @param	{LoadContext}		ctx			– the current load context
+	 * @param	{Element}			entityNode	– XML element `<entity>`
+	 * @param	{THREE.Object3D}	parentObj	– parent object that receives the mesh
+	 * @returns	{void}
+	 */
+	#parseEntity(ctx, entityNode, parentObj) {
+		const meshFile = entityNode.getAttribute('meshFile');
+
+		if (!meshFile) {
+			ctx.diagnostics.warn('W_ENTITY_NO_MESH', 'Entity without meshFile, skipped', ctx.url, entityNode);
+			return;
+		}
+
+		const meshURL = this.#resolve(ctx, 'mesh', meshFile);
+		const subEntities = this.#querySelect(entityNode, 'subentities');
+
+		if (subEntities) {
+			this.#parseSubEntities(ctx, subEntities);
+		}
+
+		ctx.internalManager.itemStart(meshURL);
+
+		this.#loadShared(ctx, 'mesh', meshURL, this.#nestedLoad(ctx, meshURL, 'mesh'), OgreAssetCache.clone).then(
+			mesh => {
+				mesh.name = entityNode.getAttribute('name') || mesh.name;
+				mesh.castShadow = this.#attrBool(entityNode, 'castShadows', mesh.castShadow);
+				mesh.receiveShadow = this.#attrBool(entityNode, 'receiveShadows', mesh.receiveShadow);
+
+				parentObj.add(mesh);
+				ctx.internalManager.itemEnd(meshURL);
+			}
+		).catch(err => this.#dependencyError(ctx, meshURL, err));
+	}
+
+	/**
+	 * Convert a single Ogre `<node>` branch (recursion) to `THREE.Object3D`.
+	 * @private
+	 * @param	{LoadContext}		ctx		– the current load context
+	 * @param	{Element}			node	– XML element `<node>`
+	 * @returns	{THREE.Object3D}			– root object for this branch
+	 */
+	#parseNode(ctx, node) {
+		const entity = this.#querySelect(node, ':scope > entity');
+		const obj = new THREE.Object3D();
+
+		obj.name = node.getAttribute('name') || '';
+		obj.visible = this.#attrBool(node, 'visibility', true);
+		obj.applyMatrix4(this.#attrMatrix(ctx, node));
+
+		if (entity) {
+			this.#parseEntity(ctx, entity, obj);
+		}
+
+		this.#querySelectAll(node, ':scope > node').forEach(sub => {
+			obj.add(this.#parseNode(ctx, sub));
+		});
+
+		return obj;
+	}
+
+	/**
+	 * Create a `THREE.Group` that aggregates all top-level `<node>` children
+	 * inside a `<nodes>` block.  The group’s matrix corresponds to the
+	 * `<nodes>` transform so that the whole subtree is positioned correctly.
+	 * @private
+	 * @param	{LoadContext}	ctx			– the current load context
+	 * @param	{Element}		nodesNode	– XML element `<nodes>`
+	 * @returns	{THREE.Group}				– assembled hierarchy
+   */
+	#parseNodes(ctx, nodesNode) {
+		const grp = new THREE.Group();
+
+		grp.name = 'nodes';
+		grp.applyMatrix4(this.#attrMatrix(ctx, nodesNode));
+
+		this.#querySelectAll(nodesNode, ':scope > node').forEach(node => {
+			grp.add(this.#parseNode(ctx, node));
+		});
+		return grp;
+	}
+
+	/**
+	 * Resolve a `<subentities>` block : loads the corresponding `.material`
+	 * file, validates every `<subentity>` entry, then stores the material array
+	 * in `ctx.objectRoot[baseName].materials` for later assignment.
+	 * @private
+	 * @param	{LoadContext}	ctx		– the current load context
+	 * @param	{Element}		subNode	– XML element `<subentities>`
+	 * @returns {void}
+	 * @throws {OgreMaxError}		- if a subentity material is missing in the loaded material file
+	 */
+	#parseSubEntities(ctx, subNode) {
+		const fnameParts = ctx.url.split('/').pop().split('.');
+		const baseName = fnameParts.length > 2 ? fnameParts.slice(0, -1).join('.') : fnameParts[0];
+		const matURL = this.#resolve(ctx, 'material', baseName);
+
+		ctx.internalManager.itemStart(matURL);
+		this.#loadMaterialFile(ctx, matURL).then(
+			mats => {
+				/* create array large enough to hold every sub-entity by index */
+				const subList = this.#querySelectAll(subNode, 'subentity');
+				const maxIdx = Math.max(...Array.from(subList, s =>
+					this.#attrInt(s, 'index')));
+				const subMats = new Array(subList.length)
+					.fill(new THREE.MeshBasicMaterial({ color: 0x808080 }));
+
+				//subNode.querySelectorAll('subentity').forEach(sub => {
+				subList.forEach(sub => {
+					const idx = this.#attrInt(sub, 'index');
+					const name = sub.getAttribute('materialName');
+
+					/* look-up by name to tolerate multi-pass materials */
+					const mat = mats.find(m => m.name === name);
+					if (mat) {
+						//if(!mats[idx] || mats[idx].name !== name){
+						mat.map.flipY = false; // Ogre textures are not flipped
+                        mat.map.needsUpdate = true; // ensure texture is updated
+						subMats[idx] = mat;
+					}
+					else {
+						ctx.diagnostics.warn('W_MATERIAL_MISSING', `Material "${name}" (index ${idx}) not found in ${matURL}`, ctx.url, sub);
+						// fallback: simple grey Standard material so geometry remains visible
+						subMats[idx] = new THREE.MeshStandardMaterial({ color: 0x808080 });
+					}
+				});
+
+				ctx.objectRoot[baseName] = { materials: subMats };
+				ctx.internalManager.itemEnd(matURL);
+			}
+		).catch(err => this.#dependencyError(ctx, matURL, err));
+	}
+
+	/**
+	 * Load a `.material` file through `DotMaterialLoader` and the asset
+	 * cache, adding its materials to the load's material library.
+	 * @private
+	 * @param	{LoadContext}	ctx	- the current load context
+	 * @param	{string}		url	- resolved URL of the `.material` file
+	 * @returns	{Promise<THREE.Material[]>}	- the materials of the file
+	 */
+	#loadMaterialFile(ctx, url) {
+		const matLoader = new DotMaterialLoader(this.manager);
+
+		matLoader.texturePath = this.texturePath || ctx.path;
+		matLoader.setWithCredentials(this.withCredentials);
+		matLoader.setRequestHeader(this.requestHeader);
+		matLoader.setFileProvider(ctx.provider);
+		matLoader.setResolver(this.#resolver);
+		matLoader.setHeadless(this.#headless);
+
+		const load = () => {
+			ctx.files.push(url);
+			return matLoader.load(url, { signal: ctx.options.signal, progress: ctx.progress }).then(
+				value => ({ value, deps: [] }),
+				err => {
+					this.#unlistFile(ctx, url);
+					throw err;
+				}
+			);
+		};
+
+		return this.#loadShared(ctx, 'material', url, load, mats => mats).then(mats => {
+			for (const mat of mats) {
+				if (!ctx.materialLibrary.has(mat.name)) {
+					ctx.materialLibrary.set(mat.name, mat); // first definition wins
+				}
+			}
+
+			return mats;
+		});
+	}
+
+
+	/* ====================================================================== */
+	/* Skeleton parsers														  */
+	/* ====================================================================== */
+	/**
+	 * Parse one <animation>.
+	 * @private
+	 * @param	{LoadContext}				ctx		- the current load context
+	 * @param	{Element}                   XMLNode	- XML element `<animation>`
+	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
+	 * @returns {THREE.AnimationClip}				- the parsed animation clip
+	 */
+	#parseAnimation(ctx, XMLNode, bones) {
+		const name = XMLNode.getAttribute('name') || 'default';
+		const length = this.#attrFloat(XMLNode, 'length', 0);
+
+		if (!length || !isFinite(length)) {
+			throw new OgreMaxError('E_FORMAT', `Animation "${name}" has invalid length (${length})`, { url: ctx.url });
+		}
+
+		const tracksNode = this.#querySelect(XMLNode, 'tracks');
+		if (!tracksNode) {
+			throw new OgreMaxError('E_XML', `Animation "${name}" missing <tracks>`, { url: ctx.url });
+		}
+
+		const tracks = this.#parseTracks(ctx, tracksNode, bones);
+		if (tracks.length === 0) {
+			ctx.diagnostics.warn('W_ANIMATION_EMPTY', `Animation "${name}" has no keyframes`, ctx.url, XMLNode);
+		}
+
+		return new THREE.AnimationClip(name, length, tracks);
+	}
+
+	/**
+	 * Parse <animations>.
+	 * @private
+	 * @param	{LoadContext}				ctx			- the current load context
+	 * @param	{Element}					XMLNode		- XML element `<animations>`
+	 * @param	{Record<string,THREE.Bone>}	bones		- map of bone names to THREE.Bone objects
+	 * @returns {THREE.AnimationClip[]}					- the parsed animation clips
+	 */
+	#parseAnimations(ctx, XMLNode, bones) {
+		const clips = [];
+		const nodes = this.#querySelectAll(XMLNode, ':scope > animation');
+
+		for (const node of nodes) {
+			clips.push(this.#parseAnimation(ctx, node, bones));
+		}
+
+		return clips;
+	}
+
+	/**
+	 * Single <bone>.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context
+	 * @param	{Element}		XMLNode	- XML element `<bone>`
+	 * @returns {THREE.Bone}			- the parsed bone object
+	 */
+	#parseBone(ctx, XMLNode) {
+		const bone = new THREE.Bone();
+
+		bone.name = XMLNode.getAttribute('name') || '';
+		bone.userData.index = this.#attrInt(XMLNode, 'id');
+		bone.applyMatrix4(this.#attrMatrix(ctx, XMLNode));
+
+		return bone;
+	}
+
+	/**
+	 * Parse <bones> list into an index-addressable map.
+	 * @private
+	 * @param	{LoadContext}				ctx		- the current load context
+	 * @param	{Element}					XMLNode	- XML element `<bones>`
+	 * @returns {Record<string,THREE.Bone>}			- map of bone names to THREE.Bone objects
+	 */
+	#parseBones(ctx, XMLNode) {
+		const bones = {};
+		const nodes = this.#querySelectAll(XMLNode, ':scope > bone');
+
+		for (const node of nodes) {
+			const bone = this.#parseBone(ctx, node);
+
+			bones[bone.name] = bone;
+		}
+		return bones;
+	}
+
+	/**
+	 * Build THREE.Bone hierarchy (<bonehierarchy>).
+	 * @private
+	 * @param	{Element}					XMLNode	- XML element `<bonehierarchy>`
+	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
+	 * @returns {THREE.Bone[]}						- array of THREE.Bone objects in hierarchy order
+	 */
+	#parseBoneHierarchy(XMLNode, bones) {
+		const nodes = this.#querySelectAll(XMLNode, ':scope > boneparent');
+
+		for (const boneparentNode of nodes) {
+			const parent = bones[boneparentNode.getAttribute('parent')];
+			const bone = bones[boneparentNode.getAttribute('bone')];
+
+			parent && bone && parent.add(bone);
+		}
+
+		/* reorder by original index (THREE.Skeleton expects array) */
+		const newBones = Object.values(bones).sort((a, b) => a.userData.index - b.userData.index);
+		return newBones;
+	}
+
+	/**
+	 * Single <keyframe>.
+	 * @private
+	 * @param	{LoadContext}							ctx		- the current load context
+	 * @param	{Element}								XMLNode	- XML element `<keyframe>`
+	 * @returns {{time:number, matrix:THREE.Matrix4}}			- the parsed keyframe data
+	 */
+	#parseKeyframe(ctx, XMLNode) {
+		return { time: this.#attrFloat(XMLNode, 'time', 0), matrix: this.#attrMatrix(ctx, XMLNode) };
+	}
+
+	/**
+	 * Gather the keyframes of one <keyframes> block.
+	 * @private
+	 * @param	{LoadContext}								ctx		- the current load context
+	 * @param	{Element}									XMLNode	- XML element `<keyframes>`
+	 * @returns	{{time:number, matrix:THREE.Matrix4}[]}				- the parsed keyframes
+	 */
+	#parseKeyframes(ctx, XMLNode) {
+		const keyframes = [];
+
+		for (const keyframeNode of this.#querySelectAll(XMLNode, ':scope > *')) {
+			if (keyframeNode.nodeName !== 'keyframe') {
+				ctx.diagnostics.warn('W_UNKNOWN_ELEMENT', `Unknown node <${keyframeNode.nodeName}> in <keyframes>, skipped`, ctx.url, keyframeNode);
+				continue;
+			}
+
+			keyframes.push(this.#parseKeyframe(ctx, keyframeNode));
+		}
+
+		return keyframes;
+	}
+
+	/**
+	 * Turn the keyframes of one bone (XML or binary) into position, rotation
+	 * and scale tracks. Ogre keyframes are relative to the bind pose.
+	 * @private
+	 * @param	{LoadContext}							ctx			- the current load context
+	 * @param	{THREE.Bone}							bone		- the animated bone
+	 * @param	{{time:number, matrix:THREE.Matrix4}[]}	keyframes	- the keyframes
+	 * @returns	{THREE.KeyframeTrack[]}								- the tracks of the bone
+	 * @throws	{OgreMaxError}										- if there is no keyframe
+	 */
+	#boneTracks(ctx, bone, keyframes) {
+		const position = { times: [], values: [] }, rotation = { times: [], values: [] }, scale = { times: [], values: [] };
+
+		if (!keyframes.length) {
+			throw new OgreMaxError('E_FORMAT', `Track for bone "${bone.name}" contains zero keyframes`, { url: ctx.url });
+		}
+
+		for (const { time, matrix } of keyframes) {
+			const mPosition = new THREE.Vector3();
+			const mRotation = new THREE.Quaternion();
+			const mScale = new THREE.Vector3();
+
+			matrix.decompose(mPosition, mRotation, mScale);
+
+			position.times.push(time);
+			rotation.times.push(time);
+			scale.times.push(time);
+
+			//Add translation to bone position to get final position
+			mPosition.add(bone.position);
+
+			//Multiply quaternion to bone quaternion to get the final rotation
+			mRotation.multiplyQuaternions(bone.quaternion, mRotation).normalize();
+
+			position.values.push(...mPosition.toArray());
+			rotation.values.push(...mRotation.toArray());
+			scale.values.push(...mScale.toArray());
+		}
+
+		return [
+			new THREE.VectorKeyframeTrack(`.bones[${bone.name}].position`, position.times, position.values),
+			new THREE.QuaternionKeyframeTrack(`.bones[${bone.name}].quaternion`, rotation.times, rotation.values),
+			new THREE.VectorKeyframeTrack(`.bones[${bone.name}].scale`, scale.times, scale.values)
+		];
+	}
+
+	/**
+	 * Parse one <track> → multiple KeyframeTracks (pos / rot / scale).
+	 * @private
+	 * @param	{LoadContext}				ctx		- the current load context
+	 * @param	{Element}					XMLNode	- XML element `<track>`
+	 * @param	{Record<string,THREE.Bone>} bones	- map of bone names to THREE.Bone objects
+	 * @returns {THREE.KeyframeTrack[]}				- the parsed keyframe tracks for this bone
+	 */
+	#parseTrack(ctx, XMLNode, bones) {
+		const boneName = XMLNode.getAttribute('bone');
+		const keyframesNode = this.#querySelect(XMLNode, 'keyframes');
+		const bone = bones[boneName];
+
+		if (!bone) {
+			throw new OgreMaxError('E_RANGE', `Track references unknown bone "${boneName}"`, { url: ctx.url });
+		}
+
+		if (!keyframesNode) {
+			throw new OgreMaxError('E_XML', `Track for bone "${boneName}" has no <keyframes>`, { url: ctx.url });
+		}
+
+		return this.#boneTracks(ctx, bone, this.#parseKeyframes(ctx, keyframesNode));
+	}
+
+	/**
+	 * Parse <tracks>.
+	 * @private
+	 * @param	{LoadContext}				ctx		- the current load context
+	 * @param	{Element}					XMLNode	- XML element `<tracks>`
+	 * @param	{Record<string,THREE.Bone>}	bones	- map of bone names to THREE.Bone objects
+	 * @returns {THREE.KeyframeTrack[]}				- the parsed keyframe tracks for all bones
+	 */
+	#parseTracks(ctx, XMLNode, bones) {
+		const tracks = [];
+		const nodes = this.#querySelectAll(XMLNode, ':scope > track');
+
+		for (const trackNode of nodes) {
+			tracks.push(...this.#parseTrack(ctx, trackNode, bones));
+		}
+
+		return tracks;
+	}
+
+
+	/* ====================================================================== */
+	/* Attributes parsers													  */
+	/* ====================================================================== */
+	/**
+	 * Raw attribute value, `null` when missing – also with DOM implementations
+	 * whose `getAttribute` returns `""` for absent attributes (xmldom).
+	 * @private
+	 * @param	{Element|null}	XMLNode	- element holding the attribute
+	 * @param	{string}		attr	- attribute name
+	 * @returns	{string|null}			- the attribute value or `null`
+	 */
+	#attr(XMLNode, attr) {
+		return XMLNode?.hasAttribute(attr) ? XMLNode.getAttribute(attr) : null;
+	}
+
+	/**
+	 * Read a boolean attribute (`"true"` / `"false"`) with default fallback.
+	 * @private
+	 * @param   {Element|null} XMLNode         – element holding the attribute
+	 * @param   {string}       attr         – attribute name
+	 * @param   {boolean}      [defaultValue=false]  – default if missing
+	 * @returns {boolean}					- the attribute value as boolean
+	 */
+	#attrBool(XMLNode, attr, defaultValue = false) {
+		return (this.#attr(XMLNode, attr) ?? `${defaultValue}`).toLowerCase() === 'true';
+	}
+
+	/**
+	 * Build a `THREE.Color` from attributes `r`, `g`, `b` (0–1 floats).
+	 * @private
+	 * @param	{Element}		XMLNode	- XML element with `r`, `g`, `b` attributes
+	 * @returns {THREE.Color}			- the resulting color
+	 */
+	#attrColorRGB(XMLNode) {
+		return new THREE.Color(this.#attrFloat(XMLNode, 'r'), this.#attrFloat(XMLNode, 'g'), this.#attrFloat(XMLNode, 'b'));
+	}
+
+	/**
+	 * Write the `value` attribute of a vertex colour (`"r g b a"`, 0–1
+	 * floats) into *out*; a missing alpha is 1.
+	 * @private
+	 * @param	{Element}		XMLNode	- XML element `<colour_diffuse>` or `<colour_specular>`
+	 * @param	{Float32Array}	out		- rgba destination
+	 * @param	{number}		offset	- index of the red component in *out*
+	 * @returns	{void}
+	 */
+	#attrColourValue(XMLNode, out, offset) {
+		const [r = 0, g = 0, b = 0, a = 1] = (this.#attr(XMLNode, 'value') ?? '').split(/\s+/).filter(Boolean).map(parseFloat);
+
+		out[offset] = r;
+		out[offset + 1] = g;
+		out[offset + 2] = b;
+		out[offset + 3] = a;
+	}
+
+	/**
+	 * Read a float attribute with default.
+	 * @private
+	 * @param	{Element|null}	XMLNode	- element holding the attribute
+	 * @param	{string}		attr	- attribute name
+	 * @param	{number}		[defaultValue=0]	- default value if missing
+	 * @returns	{number}				- the attribute value as float
+	 */
+	#attrFloat(XMLNode, attr, defaultValue = 0) {
+		return parseFloat(this.#attr(XMLNode, attr) ?? defaultValue);
+	}
+
+	/**
+	 * Read an int attribute with default.
+	 * @private
+	 * @param	{Element|null}	XMLNode	- element holding the attribute
+	 * @param	{string}		attr	- attribute name
+	 * @param	{number}		[defaultValue=0]	- default value if missing
+	 * @returns {number}				- the attribute value as integer
+	 */
+	#attrInt(XMLNode, attr, defaultValue = 0) {
+		return parseInt(this.#attr(XMLNode, attr) ?? defaultValue, 10);
+	}
+
+	/**
+	 * Compose a `THREE.Matrix4` from optional child tags
+	 * `<position|translate>`, `<rotation|rotate>` and `<scale>`.
+	 * @private
+	 * @param	{LoadContext}	ctx		- the current load context (warnings)
+	 * @param	{Element|null}	XMLNode	- XML element `<node>` or similar
+	 * @returns {THREE.Matrix4}			- the resulting matrix
+	 */
+	#attrMatrix(ctx, XMLNode) {
+		const position = this.#attrVector3(this.#querySelect(XMLNode, 'position,translate'));
+		const rotation = this.#attrQuaternion(ctx, this.#querySelect(XMLNode, 'rotation,rotate'));
+		const scaleNode = this.#querySelect(XMLNode, 'scale');
+		let scale = new THREE.Vector3(1, 1, 1);
+
+		if (scaleNode) {
+			scale = scaleNode.hasAttribute('factor') ? new THREE.Vector3(this.#attrFloat(scaleNode, 'factor', 1), this.#attrFloat(scaleNode, 'factor', 1), this.#attrFloat(scaleNode, 'factor', 1)) : this.#attrVector3(scaleNode);
+		}
+
+		return new THREE.Matrix4().compose(position, rotation, scale);
+	}
+
+	/**
+	 * Convert an OgreXML rotation representation into a normalised
+	 * {@link THREE.Quaternion}.  Three syntaxes are supported :
+	 * 1. **Axis + Angle**  
+	 *    ```xml
+	 *    <rotation axisX="1" axisY="0" axisZ="0" angle="1.5708"/>
+	 *    ```  
+	 *    – or children `<axis x="…" y="…" z="…"/>` + `<angle value="…"/>`.
+	 *
+	 * 2. **Quaternion explicit**  
+	 *    ```xml
+	 *    <rotation qx="0" qy="0.707" qz="0" qw="0.707"/>
+	 *    ```
+	 *
+	 * 3. **Separate Euler angles** (rare, legacy)  
+	 *    ```xml
+	 *    <rotation angleX="90" angleY="0" angleZ="0"/>
+	 *    ```  
+	 *    – interpreted in **degrees** (matching historical OgreMax output).
+	 *
+	 * Missing or unsupported nodes return **identity**.
+	 * @private
+	 * @param	{LoadContext}		ctx		- the current load context (warnings)
+	 * @param	{Element|null}		XMLNode	- XML element `<rotation>` or similar
+	 * @returns {THREE.Quaternion}			- the resulting quaternion
+	 */
+	#attrQuaternion(ctx, XMLNode) {
+		const quat = new THREE.Quaternion();
+		if (!XMLNode) {
+			return quat;	// default → identity
+		}
+
+		// explicit quaternion (qx qy qz qw)
+		if (XMLNode.hasAttribute('qx')) {
+			const qx = this.#attrFloat(XMLNode, 'qx', NaN);
+			const qy = this.#attrFloat(XMLNode, 'qy', NaN);
+			const qz = this.#attrFloat(XMLNode, 'qz', NaN);
+			const qw = this.#attrFloat(XMLNode, 'qw', NaN);
+
+			if ([qx, qy, qz, qw].some(Number.isNaN)) {
+				throw new OgreMaxError('E_FORMAT', 'Invalid quaternion component', { node: XMLNode.outerHTML });
+			}
+
+			quat.set(qx, qy, qz, qw).normalize();
+			return quat;
+		}
+
+
+		// axis-angle  (attributes or sub-elements)
+
+		if (XMLNode.hasAttribute('angle') || this.#querySelect(XMLNode, 'angle')) {
+			// angle value (radians)
+			const angleAttr = this.#attr(XMLNode, 'angle');
+			const angleElem = this.#querySelect(XMLNode, 'angle');
+			const angle = angleAttr !== null ? parseFloat(angleAttr) : this.#attrFloat(angleElem, 'value', 0);
+			let axis;
+
+			if (XMLNode.hasAttribute('axisX')) {
+				axis = new THREE.Vector3(
+					this.#attrFloat(XMLNode, 'axisX', 0),
+					this.#attrFloat(XMLNode, 'axisY', 0),
+					this.#attrFloat(XMLNode, 'axisZ', 1)
+				);
+			}
+			else {
+				const ax = this.#querySelect(XMLNode, 'axis');
+
+				axis = new THREE.Vector3(
+					this.#attrFloat(ax, 'x', 0),
+					this.#attrFloat(ax, 'y', 0),
+					this.#attrFloat(ax, 'z', 1)
+				);
+			}
+
+
+			if (!isFinite(angle) || axis.lengthSq() === 0) {
+				throw new OgreMaxError('E_FORMAT', 'Invalid axis-angle rotation', { node: XMLNode.outerHTML });
+			}
+
+			return quat.setFromAxisAngle(axis.normalize(), angle);
+		}
+
+		// Euler fallback  (angleX / angleY / angleZ)  
+		//    – OgreMax stores these in **degrees**
+		if (XMLNode.hasAttribute('angleX') || XMLNode.hasAttribute('angleY') || XMLNode.hasAttribute('angleZ')) {
+			const degToRad = Math.PI / 180;
+			const euler = new THREE.Euler(this.#attrFloat(XMLNode, 'angleX', 0) * degToRad, this.#attrFloat(XMLNode, 'angleY', 0) * degToRad, this.#attrFloat(XMLNode, 'angleZ', 0) * degToRad, 'XYZ');
+
+			return quat.setFromEuler(euler);
+		}
+
+		// Unsupported → identity
+		ctx.diagnostics.warn('W_ROTATION_FORMAT', 'Unknown rotation format, identity used', ctx.url, XMLNode);
+		return quat;
+	}
+
+	/**
+	 * Simple 3-component vector from attributes `x / y / z`.
+	 * @private
+	 * @param	{Element|null}	XMLNode	- XML element with `x`, `y`, `z` attributes
+	 * @returns	{THREE.Vector3}			- the resulting vector
+	 */
+	#attrVector3(XMLNode) {
+		return new THREE.Vector3(
+			this.#attrFloat(XMLNode, 'x', 0),
+			this.#attrFloat(XMLNode, 'y', 0),
+			this.#attrFloat(XMLNode, 'z', 0)
+		);
+	}
+
+
+	/* ====================================================================== */
+	/* Misc utils															  */
+	/* ====================================================================== */
+	/**
+	 * Extract the base filename without extension chain (e.g. a.b.c.xml → a.b).
+	 * @private
+	 * @param	{string}	path	- the full path to the file
+	 * @returns {string}			- the base filename without extension
+	 */
+	#filenameBase(path) {
+		const parts = path.split('/').pop().split('.');
+		return parts.length > 2 ? parts.slice(0, -1).join('.') : parts[0];
+	}
+
+	/**
+	 * Shorthand: same as node?.querySelector(sel) but returns `null`
+	 * when `node` itself is `null`. See `#query` for the supported selectors.
+	 * @private
+	 * @param	{Element|null}	XMLNode	- the parent node to query
+	 * @param	{string}		sel		- the selector to use
+	 * @returns {Element|null}			- the first matching element or `null` if not found
+	 */
+	#querySelect(XMLNode, selector) {
+		return XMLNode ? this.#query(XMLNode, selector, true)[0] ?? null : null;
+	}
+
+	/**
+	 * Shorthand: same as node?.querySelectorAll(sel) but returns an empty array
+	 * when `node` itself is `null`.
+	 * @param	{Element|null}	XMLNode		- the parent node to query
+	 * @param	{string}		selector	- the selector to use
+	 * @returns {Element[]}					- the list of matching elements or an empty array if not found
+	 */
+	#querySelectAll(XMLNode, selector) {
+		return XMLNode ? this.#query(XMLNode, selector, false) : [];
+	}
+
+	/**
+	 * Tiny selector engine walking `childNodes`, so it works on any DOM
+	 * Level 2 implementation (browser, xmldom, {@link OgreXMLParser}) without
+	 * `querySelector` or `:scope`. Supports comma-separated lists of
+	 * `name` (descendant) and `:scope > name` / `:scope > *` (child).
+	 * Matches come back in document order.
+	 * @private
+	 * @param	{Element}	XMLNode		- the parent node to query
+	 * @param	{string}	selector	- the selector to use
+	 * @param	{boolean}	first		- stop at the first match
+	 * @returns	{Element[]}				- the matching elements
+	 */
+	#query(XMLNode, selector, first) {
+		let compiled = SELECTOR_CACHE.get(selector);
+
+		if (!compiled) {
+			compiled = { children: new Set(), descendants: new Set() };
+
+			for (const part of selector.split(',')) {
+				const child = /^:scope\s*>\s*(\S+)$/.exec(part.trim());
+
+				if (child) compiled.children.add(child[1]);
+				else compiled.descendants.add(part.trim());
+			}
+
+			SELECTOR_CACHE.set(selector, compiled);
+		}
+
+		const { children, descendants } = compiled;
+		const found = [];
+
+		const visit = (parent, depth) => {
+			const nodes = parent.childNodes;
+
+			for (let i = 0; i < nodes.length; ++i) {
+				const node = nodes[i];
+				if (node.nodeType !== 1) continue;
+
+				if (descendants.has(node.nodeName) || (depth === 0 && (children.has(node.nodeName) || children.has('*')))) {
+					found.push(node);
+					if (first) return true;
+				}
+
+				if (descendants.size && visit(node, depth + 1)) return true;
+			}
+
+			return false;
+		};
+
+		visit(XMLNode, 0);
+		return found;
+	}
+}
+
+
+/**
+ * Loader for legacy Ogre *.material* text files.
+ * Produces an **array of THREE.MeshPhongMaterial** objects, one per pass.
+ */
+export class DotMaterialLoader extends THREE.Loader {
+	/* ====================================================================== */
+	/* Private internal state (not exposed to the end-user)                   */
+	/* ====================================================================== */
+	#texturePath = '';
+
+	/** @type {OgreFileProvider|null} provider used instead of plain URL fetching */
+	#fileProvider = null;
+
+	/** @type {OgreResolver|null} maps texture names to URLs */
+	#resolver = null;
+
+	/** true when textures must not be fetched (no DOM to decode images) */
+	#headless = typeof document === 'undefined';
+
+	/** @type {THREE.LoadingManager} decodes the fetched texture bytes (the provider already notified the loader manager) */
+	static #imageManager = new THREE.LoadingManager();
+
+	/* ====================================================================== */
+	/* Construction / configuration                                           */
+	/* ====================================================================== */
+	/**
+	 * Create a new DotMaterialLoader instance.
+	 * @param {THREE.LoadingManager} [manager=THREE.DefaultLoadingManager] - the loading manager to use
+	 * @return {DotMaterialLoader} - the new loader instance
+	 * @throws {TypeError} - if manager is not a THREE.LoadingManager instance
+	 */
+	constructor(manager = THREE.DefaultLoadingManager) {
+		super(manager);
+	}
+
+	/** @returns {string} - the texture path for loading textures (default: same as `path`) */
+	get texturePath() {
+		return this.#texturePath;
+	}
+
+	/** @param {string} value - the texture path for loading textures (default: same as `path`) */
+	set texturePath(value) {
+		if (typeof value !== 'string') {
+			throw new DotMaterialError('E_RUNTIME', 'texturePath must be string', { value });
+		}
+
+		this.#texturePath = value;
+	}
+
+	/**
+	 * Resolve the *.material* file and its textures through a custom provider.
+	 * @param	{OgreFileProvider|null}	provider	- the file provider to use (`null` → plain URLs)
+	 * @returns	{this}								- the loader, for chaining
+	 */
+	setFileProvider(provider) {
+		if (provider !== null && typeof provider?.load !== 'function') {
+			throw new DotMaterialError('E_RUNTIME', 'fileProvider must implement load(url, responseType)');
+		}
+
+		this.#fileProvider = provider;
+		return this;
+	}
+
+	/**
+	 * Customise how texture names become URLs (kind `'texture'`), see
+	 * {@link OgreMaxLoader#setResolver}.
+	 * @param	{OgreResolver|null}	resolver	- the resolver (`null` → `texturePath + name`)
+	 * @returns	{this}							- the loader, for chaining
+	 */
+	setResolver(resolver) {
+		if (resolver !== null && typeof resolver !== 'function') {
+			throw new DotMaterialError('E_RUNTIME', 'resolver must be a function (kind, name, context) => url');
+		}
+
+		this.#resolver = resolver;
+		return this;
+	}
+
+	/**
+	 * Headless mode: textures are image-less placeholders carrying their URL
+	 * in `userData.url`. Enabled by default when there is no `document`.
+	 * @param	{boolean}	headless	- true to skip image loading
+	 * @returns	{this}					- the loader, for chaining
+	 */
+	setHeadless(headless) {
+		this.#headless = !!headless;
+		return this;
+	}
+
+
+	/* ====================================================================== */
+	/* Public API															  */
+	/* ====================================================================== */
+	/**
+	 * Fetch a *.material* text file, convert it to Three.js materials. The
+	 * promise settles once the texture files are received too (a texture that
+	 * fails stays empty); images are decoded in the background.
+	 * The options may also be passed in place of *onLoad*: `load(url, { signal })`.
+	 * @param	{string}								url				- the URL of the material file to load
+	 * @param	{function(THREE.Material[]):void}		[onLoad]		- callback for successful load
+	 * @param	{function(number,number):void}			[onProgress]	- callback for progress updates of the material file (loaded, total)
+	 * @param	{function(Error):void}					[onError]		- callback for errors
+	 * @param	{{signal?:AbortSignal, progress?:OgreProgress}}	[options]	- `signal` cancels the request and the texture loads, `progress` tracks the bytes of the file and its textures
+	 * @returns {Promise<THREE.MeshPhongMaterial[]>}					- the loaded materials
+	 */
+	load(url, onLoad = () => { }, onProgress = () => { }, onError = () => { }, options = {}) {
+		if (onLoad !== null && typeof onLoad === 'object') {
+			options = onLoad;
+			onLoad = () => { };
+		}
+
+		const signal = options.signal ?? null;
+		const progress = options.progress ?? null;
+
+		const basePath = this.path || THREE.LoaderUtils.extractUrlBase(url);
+		const texPath = this.#texturePath || basePath;
+		const provider = this.#provider();
+
+		return new Promise((resolve, reject) => {
+
+			const fail = (code, msg, meta = {}) => {
+				const err = code instanceof DotMaterialError
+					? code
+					: new DotMaterialError(code, msg, meta);
+				onError(err);
+				reject(err);
+			};
+
+			const progressOf = (loaded, total) => {
+				progress?.update(url, loaded, total);
+				onProgress(loaded, total);
+			};
+
+			progress?.start(url, 'material');
+
+			provider.load(url, 'text', progressOf, signal).then(
+				async txt => {
+					progress?.end(url, txt);
+
+					if (signal?.aborted) {
+						fail('E_ABORT', `Load of ${url} aborted`, { url, reason: signal.reason });
+						return;
+					}
+
+					try {
+						const { materials, textures } = this.#parseMaterials(txt, texPath, { signal, url, progress });
+
+						await Promise.all(textures);
+
+						if (signal?.aborted) {
+							fail('E_ABORT', `Load of ${url} aborted`, { url, reason: signal.reason });
+							return;
+						}
+
+						onLoad(materials);
+						resolve(materials);
+					} catch (e) {
+						const err = e instanceof Error ? e : new Error(String(e));
+						onError(err);
+						reject(err);
+					}
+				},
+				() => {
+					progress?.end(url, null, true);
+
+					signal?.aborted
+						? fail('E_ABORT', `Load of ${url} aborted`, { url, reason: signal.reason })
+						: fail('E_IO', `Cannot load ${url}`, { url });
+				}
+			);
+		});
+	}
+
+	/**
+	 * The file provider in use: the configured one, else plain URL fetching
+	 * with the loader settings.
+	 * @private
+	 * @returns	{OgreFileProvider}	- the provider
+	 */
+	#provider() {
+		if (this.#fileProvider) {
+			return this.#fileProvider;
+		}
+
+		const provider = new URLFileProvider(this.manager);
+
+		provider.withCredentials = this.withCredentials;
+		provider.requestHeader = this.requestHeader;
+		return provider;
+	}
+
+	/**
+	 * Start a texture load: the bytes come through the file provider (so they
+	 * are cancellable and counted by *progress*), then the image is decoded
+	 * from a Blob in the background. Headless mode returns a placeholder
+	 * without touching the network.
+	 * @private
+	 * @param	{string}				url			- texture URL
+	 * @param	{OgreFileProvider}		provider	- serves the texture bytes
+	 * @param	{AbortSignal|null}		signal		- cancels the request
+	 * @param	{OgreProgress|null}		progress	- tracks the bytes of the request
+	 * @returns	{{texture:THREE.Texture, ready:Promise<void>}}	- the texture, and *ready* once its bytes are received or failed (it never rejects)
+	 */
+	#loadTexture(url, provider, signal, progress) {
+		const texture = new THREE.Texture();
+
+		if (this.#headless) {
+			texture.name = url.split('/').pop();
+			texture.userData.url = url;
+			return { texture, ready: Promise.resolve() };
+		}
+
+		progress?.start(url, 'texture');
+
+		const ready = provider.load(url, 'arraybuffer', (loaded, total) => progress?.update(url, loaded, total), signal).then(
+			bytes => {
+				const objectURL = URL.createObjectURL(new Blob([bytes]));
+				const release = () => {
+					THREE.Cache.remove(objectURL);
+					URL.revokeObjectURL(objectURL);
+				};
+
+				progress?.end(url, bytes);
+
+				new THREE.ImageLoader(DotMaterialLoader.#imageManager).load(objectURL, image => {
+					release();
+					texture.image = image;
+					texture.needsUpdate = true;
+				}, undefined, release);
+			},
+			() => {
+				texture.userData.failed = true;				// kept out of OgreMaxResult.files
+				progress?.end(url, null, true);
+			}
+		);
+
+		return { texture, ready };
+	}
+
+	/**
+	 * Convert a *.material* source string to an array of MeshPhongMaterial.
+	 * Textures keep loading in the background.
+	 * @param	{string}					text		- the material source text (e.g. from a *.material* file)
+	 * @param	{string}					texturePath	- optional base path for textures (default: same as `path`)
+	 * @param	{{signal?:AbortSignal, url?:string, progress?:OgreProgress}}	[options]	- `signal` cancels the texture loads still in flight, `url` of the source file is handed to the resolver, `progress` tracks the texture bytes
+	 * @returns {THREE.MeshPhongMaterial[]}				- the parsed materials, one per pass
+	 */
+	parse(text, texturePath = '', options = {}) {
+		return this.#parseMaterials(text, texturePath, options).materials;
+	}
+
+	/**
+	 * {@link DotMaterialLoader#parse}, also handing back the texture loads.
+	 * @private
+	 * @param	{string}	text		- the material source text
+	 * @param	{string}	texturePath	- base path for textures
+	 * @param	{{signal?:AbortSignal, url?:string, progress?:OgreProgress}}	options	- see {@link DotMaterialLoader#parse}
+	 * @returns	{{materials:THREE.MeshPhongMaterial[], textures:Promise<void>[]}}		- the materials, one per pass, and one promise per texture (they never reject)
+	 */
+	#parseMaterials(text, texturePath, options) {
+		const mats = [];                          // final array
+		const textures = [];                      // pending texture loads
+		const lines = text.split(/\r?\n/);        // strip CRLF
+		const provider = this.#provider();        // serves the texture bytes
+		const resolver = this.#resolver;          // optional texture name → URL mapping
+		const signal = options.signal ?? null;
+		const progress = options.progress ?? null;
+		const loadTexture = url => {
+			const { texture, ready } = this.#loadTexture(url, provider, signal, progress);
+
+			textures.push(ready);
+			return texture;
+		};
+
+		// helper cursors
+		let i = 0;
+		const next = () => lines[i++]?.trim();
+		const peek = () => lines[i]?.trim();
+
+		// recursive descent parsing
+		while (i < lines.length) {
+			const line = next();
+			if (!line) continue;
+
+			const [kw, name] = line.split(/\s+/, 2);
+			if (kw !== 'material') continue;
+
+			mats.push(...parseMaterialBlock(name));
+		}
+		return { materials: mats, textures };
+
+		/* ─────────── local helpers (closures capture i / lines) ────────── */
+		/**
+		 * Read a color from a line, expecting the format `r g b [a]`.
+		 * If the line has fewer than 3 components, it throws an error.
+		 * If the line has 4 components, it sets the alpha value on the color.
+		 * If the line has 3 components, it sets the alpha to 1 (opaque).
+		 * The color is expected to be in the range [0, 1] for each component.
+		 * @private
+		 * @param	{string[]}			tokens	- the split line tokens (e.g. `['diffuse', '1', '0', '0']`)
+		 * @param	{THREE.Color}		color	- the THREE.Color object to set
+		 * @throws	{DotMaterialError}			- if the color format is invalid or unsupported
+		 * @returns	{void}
+		 */
+		function parseMaterialBlock(matName) {
+			const locals = [];
+
+			eat('{');
+
+			while (peek() !== '}') {
+				const [kw] = peek().split(/\s+/, 1);
+
+				if (kw === 'technique') {
+					locals.push(...parseTechniqueBlock(matName));
+				}
+				else {
+					next(); // skip unknown token
+				}
+			}
+			eat('}');
+
+			return locals;
+		}
+
+		/**
+		 * Parse a `<technique>` block, which contains one or more `<pass>` blocks.
+		 * Each pass block defines a set of rendering properties for the material.
+		 * The technique block can contain multiple passes, but OgreMax only uses the first one.
+		 * The technique block can contain other commands, but OgreMax ignores them.
+		 * @private
+		 * @param	{string}					matName	- the name of the material to create
+		 * @throws	{DotMaterialError}					- if the technique block is malformed or unsupported
+		 * @throws	{DotMaterialError}					- if a required pass block is missing or malformed
+		 * @returns {THREE.MeshPhongMaterial[]}			- an array of MeshPhongMaterial objects created from the technique block
+		 */
+		function parseTechniqueBlock(matName) {
+			const locals = [];
+
+			eat('technique'); eat('{');
+			while (peek() !== '}') {
+				const [kw] = peek().split(/\s+/, 1);
+
+				if (kw === 'pass') {
+					locals.push(parsePassBlock(matName));
+				}
+				else { next(); }
+			}
+			eat('}');
+			return locals;
+		}
+
+		/**
+		 * Parse a `<pass>` block, creating a MeshPhongMaterial with the specified properties.
+		 * The pass block can contain various commands like `diffuse`, `specular`, `texture_unit`, etc.
+		 * It supports diffuse, emissive and normal map textures.
+		 * It sets the first texture as the diffuse map and the second as the emissive map.
+		 * @private
+		 * @param	{string}					matName	- the name of the material to create
+		 * @returns {THREE.MeshPhongMaterial}			- the created material with the specified properties
+		 * @throws	{DotMaterialError}					- if the pass block is malformed or unsupported
+		 * @throws	{DotMaterialError}					- if a required texture is missing or malformed
+		 */
+		function parsePassBlock(matName) {
+			const m = new THREE.MeshPhongMaterial({
+				name: matName,
+				transparent: true,
+			});
+			m.skinning = true;
+			m.morphTargets = true;
+
+			let diffuseSet = false;
+			let emissiveSet = false;
+
+			eat('pass'); eat('{');
+
+			// loop over pass commands
+			while (peek() !== '}') {
+
+				const tokens = next().split(/\s+/);
+				const cmd = tokens[0];
+
+				switch (cmd) {
+					case 'diffuse':
+						readColor(tokens, m.color);
+						break;
+					case 'ambient':
+						readColor(tokens, m.color);
+						break; // Ogre ambient → base color
+					case 'specular':
+						readColor(tokens, m.specular);
+						m.shininess = +tokens[4] || 30;
+						break;
+					case 'emissive':
+						readColor(tokens, m.emissive);
+						break;
+					case 'scene_blend':          // add / alpha_blend
+						m.transparent = true;
+						m.blending = tokens[1] === 'add' ? THREE.AdditiveBlending : THREE.NormalBlending;
+						break;
+					case 'texture_unit':
+						handleTextureUnit(tokens[1]);
+						break;
+					default:
+						/* ignore */
+						break;
+				}
+			}
+
+			eat('}');
+			return m;
+
+
+			/* ───── sub-helpers ───────── */
+			/**
+			 * Handle a `<texture_unit>` block, loading textures and setting them on the material.
+			 * OgreMax does not support `texture_unit` parameters like `colour_op_ex` or `colour_op_multipass_fallback`.
+			 * A unit named after a normal or bump map (`texture_unit NormalMap`) sets the normal map;
+			 * otherwise the first texture is the diffuse map and the second the emissive map.
+			 * @private
+			 * @param	{string}	[unitName]	- the texture unit name, if any
+			 * @throws	{DotMaterialError}	- if the texture unit block is malformed or unsupported
+			 * @returns {void}
+			 */
+			function handleTextureUnit(unitName) {
+				const isNormalMap = /normal|bump/i.test(unitName ?? '');
+
+				//eat('texture_unit');
+				eat('{');
+
+				while (peek() !== '}') {
+
+					const t = next().split(/\s+/);
+					switch (t[0]) {
+						case 'texture':
+							if (isNormalMap) {
+								m.normalMap = loadTex(t[1]);
+								m.normalMap.flipY = false; // OgreMax does not flip Y by default
+							}
+							else if (!diffuseSet) {
+								m.map = loadTex(t[1]);
+                                m.map.flipY = false; // OgreMax does not flip Y by default
+								diffuseSet = true;
+							}
+							else if (!emissiveSet) {
+								m.emissiveMap = loadTex(t[1]);
+								m.emissiveIntensity = 1; // OgreMax uses emissive intensity of 1 by default
+								m.emissive.set(0xffffff); // set emissive color to white.
+                                m.emissiveMap.flipY = false; // OgreMax does not flip Y by default
+								emissiveSet = true;
+							}
+							break;
+						case 'colour_op_ex':
+							// ignore (Three can't replicate easily)
+							break;
+						case 'colour_op_multipass_fallback':
+							break;
+						default:
+							break;
+					}
+				}
+				eat('}');
+			}
+
+			/**
+			 * Load a texture by name, using the configured texture path.
+			 * @private
+			 * @param	{string}				texName	- the name of the texture file to load
+			 * @return	{THREE.Texture|null}			- the loaded texture or null if no name is given
+			 */
+			function loadTex(texName) {
+				if (!texName) return null;
+
+				const defaultURL = texturePath + texName;
+				const context = { url: options.url ?? '', path: texturePath, texturePath, defaultURL };
+				const url = resolver?.('texture', texName, context) ?? defaultURL;
+
+				if (typeof url !== 'string') {
+					throw new DotMaterialError('E_RUNTIME', `resolver returned a ${typeof url} for texture "${texName}"`, { texName });
+				}
+
+				const texture = loadTexture(url);
+
+				texture.userData.url = url;
+				return texture;
+			}
+
+			/**
+			 * Read a color from the token array and set it on the target color object.
+			 * The expected format is `color r g b` where `r`, `g`, and `b` are floats in the range [0, 1].
+			 * If the target is not provided, the function does nothing.
+			 * @private
+			 * @param	{string[]}		tok			- the token array containing the color values
+			 * @param	{THREE.Color}	[target]	- the target color object to set the values on
+			 * @returns {void}						- nothing, but sets the color on the target if provided
+			 */
+			function readColor(tok, target) {
+				if (!target) return;
+				target.set(+tok[1], +tok[2], +tok[3]);
+			}
+		}
+
+		/**
+		 * Check the next line for a specific token and advance the cursor.
+		 * Throws an error if the token is not found.
+		 * @private
+		 * @param	{string}			token	- the expected token to match
+		 * @throws	{DotMaterialError}			- if the token is not found
+		 * @return	{void}						- nothing, but advances the cursor if the token is found
+		 */
+		function eat(token) {
+			const line = next();
+
+			if (!line?.startsWith(token)) {
+				throw new DotMaterialError(`Expected "${token}" but got "${line}"`, { line: line });
+			}
+		}
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* File providers – where the loaders get their bytes from            */
+/* ------------------------------------------------------------------ */
+/**
+ * Anything able to serve Ogre files by URL / file name.
+ * @typedef {object} OgreFileProvider
+ * @property {(url:string, responseType?:'text'|'arraybuffer', onProgress?:(loaded:number,total:number)=>void, signal?:AbortSignal)=>Promise<string|ArrayBuffer>} load - fetch one file (textures included)
+ */
+
+/**
+ * Default provider: plain URL fetching through `THREE.FileLoader`.
+ */
+export class URLFileProvider {
+	/**
+	 * @param {THREE.LoadingManager} [manager=THREE.DefaultLoadingManager] - manager notified of every request
+	 */
+	constructor(manager = THREE.DefaultLoadingManager) {
+		this.manager = manager;
+		this.withCredentials = false;
+		this.requestHeader = {};
+	}
+
+	/**
+	 * Fetch one file. With a *signal* the request goes through `fetch()` so it
+	 * can really be cancelled (`THREE.FileLoader` cannot).
+	 * @param	{string}							url						- the URL to fetch
+	 * @param	{'text'|'arraybuffer'}				[responseType='text']	- expected response type
+	 * @param	{(loaded:number,total:number)=>void}	[onProgress]			- byte progress of the request
+	 * @param	{AbortSignal}						[signal]				- cancels the request (rejects with `E_ABORT`)
+	 * @returns	{Promise<string|ArrayBuffer>}								- the file content
+	 */
+	load(url, responseType = 'text', onProgress = () => { }, signal = null) {
+		if (signal) {
+			return this.#fetch(url, responseType, onProgress, signal);
+		}
+
+		const fileLoader = new THREE.FileLoader(this.manager);
+
+		fileLoader.setResponseType(responseType);
+		fileLoader.setWithCredentials(this.withCredentials);
+		fileLoader.setRequestHeader(this.requestHeader);
+
+		return new Promise((resolve, reject) => {
+			fileLoader.load(
+				url,
+				resolve,
+				// FileLoader builds a ProgressEvent per chunk, which Node.js does not have
+				typeof ProgressEvent === 'undefined' ? undefined : progress => onProgress(progress.loaded, progress.total ?? 0),
+				() => reject(new OgreMaxError('E_IO', `Cannot load ${url}`, { url }))
+			);
+		});
+	}
+
+	/**
+	 * Abortable request: same manager notifications and progress reports as
+	 * `THREE.FileLoader`, the item is always ended so manager counts stay clean.
+	 * @private
+	 * @param	{string}							url				- the URL to fetch
+	 * @param	{'text'|'arraybuffer'}				responseType	- expected response type
+	 * @param	{(loaded:number,total:number)=>void}	onProgress		- byte progress of the request
+	 * @param	{AbortSignal}						signal			- cancels the request
+	 * @returns	{Promise<string|ArrayBuffer>}						- the file content
+	 */
+	async #fetch(url, responseType, onProgress, signal) {
+		const fullURL = this.manager.resolveURL(url);
+
+		this.manager.itemStart(fullURL);
+
+		try {
+			const response = await fetch(fullURL, {
+				headers: new Headers(this.requestHeader),
+				credentials: this.withCredentials ? 'include' : 'same-origin',
+				signal
+			});
+
+			if (!response.ok && response.status !== 0) {
+				throw new OgreMaxError('E_IO', `Cannot load ${url} (HTTP ${response.status})`, { url, status: response.status });
+			}
+
+			const total = parseInt(response.headers.get('Content-Length') ?? '0', 10) || 0;
+			const chunks = [];
+			const reader = response.body?.getReader();
+			let loaded = 0;
+
+			while (reader) {
+				const { done, value } = await reader.read();
+				if (done) break;
+
+				chunks.push(value);
+				loaded += value.byteLength;
+				onProgress(loaded, total);
+			}
+
+			const bytes = reader ? new Uint8Array(loaded) : new Uint8Array(await response.arrayBuffer());
+			let offset = 0;
+
+			for (const chunk of chunks) {
+				bytes.set(chunk, offset);
+				offset += chunk.byteLength;
+			}
+
+			this.manager.itemEnd(fullURL);
+			return responseType === 'text' ? new TextDecoder().decode(bytes) : bytes.buffer;
+		}
+		catch (err) {
+			this.manager.itemError(fullURL);
+			this.manager.itemEnd(fullURL);
+
+			if (signal.aborted) {
+				throw new OgreMaxError('E_ABORT', `Request for ${url} aborted`, { url, reason: signal.reason });
+			}
+
+			throw err instanceof OgreMaxError ? err : new OgreMaxError('E_IO', `Cannot load ${url}`, { url, cause: err });
+		}
+	}
+}
+
+/**
+ * In-memory virtual file system: serves drag-and-drop `File` objects, Blobs
+ * or a plain `{filename: string|ArrayBuffer}` map. Files are looked up by
+ * their full name first, then by base name (case-insensitive), so
+ * `./models/robot.mesh.xml` finds a dropped `robot.mesh.xml`.
+ */
+export class MemoryFileProvider {
+	/** @type {Map<string,{name:string, data:string|ArrayBuffer|Blob}>} normalised name → original name and data */
+	#files = new Map();
+
+	/**
+	 * @param {FileList|File[]|Map<string,string|ArrayBuffer|Blob>|Object.<string,string|ArrayBuffer|Blob>} files - the files to serve
+	 */
+	constructor(files = {}) {
+		const entries = files instanceof Map ? files.entries()
+			: typeof files[Symbol.iterator] === 'function' ? Array.from(files, f => [f.webkitRelativePath || f.name, f])
+				: Object.entries(files);
+
+		for (const [name, data] of entries) {
+			this.add(name, data);
+		}
+	}
+
+	/**
+	 * Register (or replace) one file.
+	 * @param	{string}						name	- file name or relative path
+	 * @param	{string|ArrayBuffer|Blob}		data	- file content
+	 * @returns	{this}									- the provider, for chaining
+	 */
+	add(name, data) {
+		if (typeof data !== 'string' && !(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data) && typeof data?.arrayBuffer !== 'function') {
+			throw new OgreMaxError('E_RUNTIME', `Unsupported data for "${name}" (expected string, ArrayBuffer or Blob)`, { name });
+		}
+
+		this.#files.set(this.#normalize(name), {
+			name,
+			data: ArrayBuffer.isView(data) ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data
+		});
+		return this;
+	}
+
+	/**
+	 * @returns {string[]} - names of every registered file
+	 */
+	list() {
+		return Array.from(this.#files.values(), file => file.name);
+	}
+
+	/**
+	 * @param	{string}	url	- file name, relative path or URL
+	 * @returns	{boolean}		- true if the file is available
+	 */
+	has(url) {
+		return this.#find(url) !== null;
+	}
+
+	/**
+	 * Read one file.
+	 * @param	{string}							url						- file name, relative path or URL
+	 * @param	{'text'|'arraybuffer'}				[responseType='text']	- expected response type
+	 * @param	{(loaded:number,total:number)=>void}	[onProgress]			- called once with the file size
+	 * @param	{AbortSignal}						[signal]				- rejects with `E_ABORT` once aborted
+	 * @returns	{Promise<string|ArrayBuffer>}								- the file content
+	 */
+	async load(url, responseType = 'text', onProgress = () => { }, signal = null) {
+		const key = this.#find(url);
+
+		if (signal?.aborted) {
+			throw new OgreMaxError('E_ABORT', `Request for ${url} aborted`, { url, reason: signal.reason });
+		}
+
+		if (key === null) {
+			throw new OgreMaxError('E_IO', `Cannot load ${url} (not among the provided files)`, { url });
+		}
+
+		let data = this.#files.get(key).data;
+
+		if (typeof data?.arrayBuffer === 'function') {
+			data = responseType === 'text' ? await data.text() : await data.arrayBuffer();
+		}
+
+		if (responseType === 'text' && data instanceof ArrayBuffer) {
+			data = new TextDecoder().decode(data);
+		}
+		else if (responseType === 'arraybuffer' && typeof data === 'string') {
+			data = new TextEncoder().encode(data).buffer;
+		}
+
+		const size = typeof data === 'string' ? data.length : data.byteLength;
+		onProgress(size, size);
+
+		return data;
+	}
+
+	/**
+	 * Locate a registered file: exact normalised name, then base name.
+	 * @private
+	 * @param	{string}		url	- file name, relative path or URL
+	 * @returns	{string|null}		- the registered key or `null`
+	 */
+	#find(url) {
+		const name = this.#normalize(url);
+
+		if (this.#files.has(name)) {
+			return name;
+		}
+
+		const base = name.split('/').pop();
+		for (const key of this.#files.keys()) {
+			if (key.split('/').pop() === base) {
+				return key;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Strip query / hash, leading `./` and backslashes, lower-case the result.
+	 * @private
+	 * @param	{string}	name	- file name, relative path or URL
+	 * @returns	{string}			- normalised key
+	 */
+	#normalize(name) {
+		let key = String(name).split(/[?#]/)[0].replace(/\\/g, '/');
+
+		try {
+			key = decodeURIComponent(key);
+		} catch {
+			/* keep the raw name */
+		}
+
+		return key.replace(/^(\.\/)+/, '').toLowerCase();
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* XML parser – built-in replacement for DOMParser                    */
+/* ------------------------------------------------------------------ */
+/**
+ * Minimal non-validating XML parser, enough for Ogre XML files; the
+ * loader's default, and usable on its own. It builds a lightweight DOM subset –
+ * `documentElement`, `childNodes`, `nodeName`, `getAttribute`,
+ * `hasAttribute`, `getElementsByTagName` – and records the source line of
+ * every element in `lineNumber`. Text content, comments, processing
+ * instructions and the DOCTYPE are skipped.
+ */
+export class OgreXMLParser {
+	/**
+	 * Parse a whole document.
+	 * @param	{string}			text	- XML source
+	 * @returns	{OgreXMLDocument}			- the parsed document
+	 * @throws	{OgreMaxError}				- `E_XML` with `meta.line` on malformed input
+	 */
+	parseFromString(text) {
+		const doc = new OgreXMLDocument();
+		let current = doc;
+
+		this.scan(text, {
+			onOpen: (name, attributes, line) => {
+				const element = new OgreXMLElement(name, attributes, line);
+
+				element.parentNode = current;
+				current.childNodes.push(element);
+				current = element;
+			},
+			onClose: () => {
+				current = current.parentNode;
+			}
+		});
+
+		return doc;
+	}
+
+	/**
+	 * Event based (SAX-style) scan: no tree is built, handlers receive every
+	 * element as it is met. Self-closing tags fire `onOpen` then `onClose`.
+	 * @param	{string}																				text		- XML source
+	 * @param	{{onOpen:(name:string, attributes:Object.<string,string>, line:number)=>void, onClose:(name:string)=>void}}	handlers	- element callbacks
+	 * @returns	{void}
+	 * @throws	{OgreMaxError}																			- `E_XML` with `meta.line` on malformed input
+	 */
+	scan(text, { onOpen, onClose }) {
+		const stack = [];
+		let pos = 0, line = 1, lineFrom = 0, rootSeen = false;
+
+		// line number of `at`, counted incrementally (positions only grow)
+		const lineAt = (at) => {
+			for (let i = text.indexOf('\n', lineFrom); i !== -1 && i < at; i = text.indexOf('\n', i + 1)) {
+				line++;
+			}
+
+			lineFrom = Math.max(lineFrom, at);
+			return line;
+		};
+
+		const fail = (msg, at) => {
+			const where = lineAt(at);
+			throw new OgreMaxError('E_XML', `${msg} (line ${where})`, { line: where });
+		};
+
+		const skipTo = (token, from, what) => {
+			const end = text.indexOf(token, from);
+			if (end === -1) fail(`Unterminated ${what}`, from);
+			return end + token.length;
+		};
+
+		while (true) {
+			const lt = text.indexOf('<', pos);
+			if (lt === -1) break;
+
+			if (text.startsWith('<?', lt)) {
+				pos = skipTo('?>', lt, 'processing instruction');
+			}
+			else if (text.startsWith('<!--', lt)) {
+				pos = skipTo('-->', lt, 'comment');
+			}
+			else if (text.startsWith('<![CDATA[', lt)) {
+				pos = skipTo(']]>', lt, 'CDATA section');
+			}
+			else if (text.startsWith('<!', lt)) {
+				// DOCTYPE, possibly with an internal subset [ … ]
+				const bracket = text.indexOf('[', lt);
+				const close = text.indexOf('>', lt);
+				pos = bracket !== -1 && bracket < close ? skipTo('>', skipTo(']', bracket, 'DOCTYPE'), 'DOCTYPE') : skipTo('>', lt, 'DOCTYPE');
+			}
+			else if (text[lt + 1] === '/') {
+				const gt = skipTo('>', lt, 'end tag');
+				const name = text.slice(lt + 2, gt - 1).trim();
+				const open = stack.pop();
+
+				if (open !== name) {
+					fail(open ? `Mismatched </${name}>, expected </${open}>` : `Unexpected </${name}>`, lt);
+				}
+
+				onClose(name);
+				pos = gt;
+			}
+			else {
+				// start tag – look for the closing '>' outside attribute quotes
+				let end = lt + 1, quote = null;
+				for (; end < text.length; ++end) {
+					const c = text[end];
+					if (quote) { if (c === quote) quote = null; }
+					else if (c === '"' || c === "'") quote = c;
+					else if (c === '>') break;
+				}
+
+				if (end >= text.length) fail('Unterminated start tag', lt);
+
+				const selfClosing = text[end - 1] === '/';
+				const body = text.slice(lt + 1, selfClosing ? end - 1 : end);
+				const name = /^[^\s/>]+/.exec(body)?.[0];
+
+				if (!name) fail('Missing element name', lt);
+				if (!stack.length && rootSeen) fail(`Extra root element <${name}>`, lt);
+
+				const attributes = {};
+				const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+				let match;
+
+				attrRe.lastIndex = name.length;
+				while ((match = attrRe.exec(body))) {
+					attributes[match[1]] = this.#decode(match[2] ?? match[3]);
+				}
+
+				onOpen(name, attributes, lineAt(lt));
+				rootSeen = true;
+
+				if (selfClosing) onClose(name);
+				else stack.push(name);
+
+				pos = end + 1;
+			}
+		}
+
+		if (stack.length) {
+			fail(`Unclosed <${stack[stack.length - 1]}>`, text.length);
+		}
+	}
+
+	/**
+	 * Replace the predefined and numeric character entities.
+	 * @private
+	 * @param	{string}	value	- raw attribute value
+	 * @returns	{string}			- decoded value
+	 */
+	#decode(value) {
+		if (!value.includes('&')) return value;
+
+		return value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, e) => {
+			switch (e) {
+				case 'lt': return '<';
+				case 'gt': return '>';
+				case 'amp': return '&';
+				case 'quot': return '"';
+				case 'apos': return "'";
+				default: return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+			}
+		});
+	}
+}
+
+/**
+ * Element of the lightweight DOM built by {@link OgreXMLParser}.
+ */
+class OgreXMLElement {
+	/** @type {Object.<string,string>} attribute name → value */
+	#attributes;
+
+	/**
+	 * @param {string}					name		- tag name
+	 * @param {Object.<string,string>}	attributes	- attribute name → value
+	 * @param {number}					lineNumber	- source line of the start tag
+	 */
+	constructor(name, attributes, lineNumber) {
+		this.nodeType = 1;
+		this.nodeName = name;
+		this.tagName = name;
+		this.lineNumber = lineNumber;
+		this.parentNode = null;
+		this.childNodes = [];
+		this.#attributes = attributes;
+	}
+
+	/** @returns {OgreXMLElement[]} - child elements */
+	get children() {
+		return this.childNodes;
+	}
+
+	/** @returns {{name:string, value:string}[]} - attributes, NamedNodeMap-like */
+	get attributes() {
+		return Object.entries(this.#attributes).map(([name, value]) => ({ name, value }));
+	}
+
+	/** @returns {string} - serialised start tag (children elided), for error metadata */
+	get outerHTML() {
+		const attrs = this.attributes.map(({ name, value }) => ` ${name}="${value}"`).join('');
+		return this.childNodes.length ? `<${this.nodeName}${attrs}>…</${this.nodeName}>` : `<${this.nodeName}${attrs}/>`;
+	}
+
+	/**
+	 * @param	{string}		name	- attribute name
+	 * @returns	{string|null}			- the value or `null` when missing
+	 */
+	getAttribute(name) {
+		return Object.hasOwn(this.#attributes, name) ? this.#attributes[name] : null;
+	}
+
+	/**
+	 * @param	{string}	name	- attribute name
+	 * @returns	{boolean}			- true when the attribute is present
+	 */
+	hasAttribute(name) {
+		return Object.hasOwn(this.#attributes, name);
+	}
+
+	/**
+	 * @param	{string}			name	- tag name (`*` for all)
+	 * @returns	{OgreXMLElement[]}			- matching descendants, document order
+	 */
+	getElementsByTagName(name) {
+		const found = [];
+		const stack = [...this.childNodes].reverse();
+
+		while (stack.length) {
+			const node = stack.pop();
+
+			if (name === '*' || node.nodeName === name) found.push(node);
+			for (let i = node.childNodes.length - 1; i >= 0; --i) stack.push(node.childNodes[i]);
+		}
+
+		return found;
+	}
+}
+
+/**
+ * Document of the lightweight DOM built by {@link OgreXMLParser}.
+ */
+class OgreXMLDocument {
+	constructor() {
+		this.nodeType = 9;
+		this.nodeName = '#document';
+		this.childNodes = [];
+	}
+
+	/** @returns {OgreXMLElement|null} - the root element */
+	get documentElement() {
+		return this.childNodes[0] ?? null;
+	}
+
+	/**
+	 * @param	{string}			name	- tag name (`*` for all)
+	 * @returns	{OgreXMLElement[]}			- matching elements, document order
+	 */
+	getElementsByTagName(name) {
+		return OgreXMLElement.prototype.getElementsByTagName.call(this, name);
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Schema validation – the bundled DTDs                               */
+/* ------------------------------------------------------------------ */
+/**
+ * `dtd/OgreMax-dot*.1.0.dtd`, by root element. Generated by `npm run dtd`:
+ * edit the files, not this constant (`npm test` fails when they differ).
+ * @type {Readonly<Object.<string,string>>}
+ */
+const OGRE_DTD = Object.freeze({
+	mesh: `<!ELEMENT mesh (sharedgeometry?, submeshes?, skeletonlink?, boneassignments?, levelofdetail?, submeshnames?, poses?, animations?)>
+
+<!ELEMENT sharedgeometry (vertexbuffer*)>
+<!ATTLIST sharedgeometry
+	vertexcount	CDATA	#IMPLIED
+>
+
+<!ELEMENT submeshes (submesh*)>
+
+<!ELEMENT submesh (faces?, geometry?, boneassignments?)>
+<!ATTLIST submesh
+	material			CDATA			#IMPLIED
+	usesharedvertices	(true | false)	"false"
+	use32bitindexes		(true | false)	"false"
+	operationtype		CDATA			#IMPLIED
+>
+
+<!ELEMENT faces (face*)>
+<!ATTLIST faces
+	count	CDATA	#IMPLIED
+>
+
+<!ELEMENT face EMPTY>
+<!ATTLIST face
+	v1	CDATA	#IMPLIED
+	v2	CDATA	#IMPLIED
+	v3	CDATA	#IMPLIED
+>
+
+<!ELEMENT geometry (vertexbuffer*)>
+<!ATTLIST geometry
+	vertexcount	CDATA	#IMPLIED
+>
+
+<!ELEMENT vertexbuffer (vertex*)>
+<!ATTLIST vertexbuffer
+	positions					(true | false)	"true"
+	normals						(true | false)	"true"
+	tangents					(true | false)	"false"
+	tangent_dimensions			CDATA	#IMPLIED
+	binormals					(true | false)	"false"
+	colours_diffuse				(true | false)	"false"
+	colours_specular			(true | false)	"false"
+	texture_coord_dimensions_0	CDATA	#IMPLIED
+	texture_coord_dimensions_1	CDATA	#IMPLIED
+	texture_coord_dimensions_2	CDATA	#IMPLIED
+	texture_coord_dimensions_3	CDATA	#IMPLIED
+	texture_coord_dimensions_4	CDATA	#IMPLIED
+	texture_coord_dimensions_5	CDATA	#IMPLIED
+	texture_coord_dimensions_6	CDATA	#IMPLIED
+	texture_coord_dimensions_7	CDATA	#IMPLIED
+	texture_coords				CDATA	#IMPLIED
+>
+
+<!ELEMENT vertex (position?, normal?, tangent?, binormal?, colour_diffuse?, colour_specular?, texcoord*)>
+
+<!ELEMENT position EMPTY>
+<!ATTLIST position
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+
+<!ELEMENT normal EMPTY>
+<!ATTLIST normal
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+
+<!ELEMENT tangent EMPTY>
+<!ATTLIST tangent
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+    w	CDATA	#IMPLIED
+>
+
+<!ELEMENT binormal EMPTY>
+<!ATTLIST binormal
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+
+<!ELEMENT colour_diffuse EMPTY>
+<!ATTLIST colour_diffuse
+    value	CDATA	#REQUIRED
+>
+
+<!ELEMENT colour_specular EMPTY>
+<!ATTLIST colour_specular
+    value	CDATA	#REQUIRED
+>
+
+<!ELEMENT texcoord EMPTY>
+<!ATTLIST texcoord
+    u	CDATA	#REQUIRED
+    v	CDATA	#IMPLIED
+    w	CDATA	#IMPLIED
+>
+
+<!ELEMENT boneassignments (vertexboneassignment*)>
+
+<!ELEMENT vertexboneassignment EMPTY>
+<!ATTLIST vertexboneassignment
+	vertexindex	CDATA #REQUIRED
+	boneindex	CDATA #REQUIRED
+	weight		CDATA #REQUIRED
+>
+
+<!ELEMENT levelofdetail (lodmanual* | lodgenerated*)>
+<!ATTLIST levelofdetail
+	strategy	CDATA	#IMPLIED
+	numlevels	CDATA	#IMPLIED
+	manual		(true | false)	#IMPLIED
+>
+
+<!ELEMENT lodmanual EMPTY>
+<!ATTLIST lodmanual
+	value				CDATA	#IMPLIED
+	fromdepthsquared	CDATA	#IMPLIED
+	meshname			CDATA	#REQUIRED
+>
+
+<!ELEMENT lodgenerated (lodfacelist*)>
+<!ATTLIST lodgenerated
+	value				CDATA	#IMPLIED
+	fromdepthsquared	CDATA	#IMPLIED
+>
+
+<!ELEMENT lodfacelist (face*)>
+<!ATTLIST lodfacelist
+	submeshindex	CDATA	#REQUIRED
+	numfaces		CDATA	#IMPLIED
+>
+
+<!ELEMENT submeshnames (submeshname*)>
+
+<!ELEMENT submeshname EMPTY>
+<!ATTLIST submeshname
+	name	CDATA	#IMPLIED
+	index	CDATA	#IMPLIED
+>
+
+<!ELEMENT skeletonlink EMPTY>
+<!ATTLIST skeletonlink
+	name	CDATA	#IMPLIED
+>
+
+<!ELEMENT poses (pose*)>
+
+<!ELEMENT pose (poseoffset*)>
+<!ATTLIST pose
+	target	(mesh | submesh)	#REQUIRED
+	index	CDATA				"0"
+	name	CDATA				#IMPLIED
+>
+
+<!ELEMENT poseoffset EMPTY>
+<!ATTLIST poseoffset
+	index	CDATA	#REQUIRED
+	x		CDATA	#REQUIRED
+	y		CDATA	#REQUIRED
+	z		CDATA	#REQUIRED
+	nx		CDATA	#IMPLIED
+	ny		CDATA	#IMPLIED
+	nz		CDATA	#IMPLIED
+>
+
+<!ELEMENT animations (animation*)>
+
+<!ELEMENT animation (baseinfo?, tracks)>
+<!ATTLIST animation
+	name	CDATA	#REQUIRED
+	length	CDATA	#REQUIRED
+>
+
+<!ELEMENT baseinfo EMPTY>
+<!ATTLIST baseinfo
+	baseanimationname	CDATA	#REQUIRED
+	basekeyframetime	CDATA	"0"
+>
+
+<!ELEMENT tracks (track*)>
+
+<!ELEMENT track (keyframes)>
+<!ATTLIST track
+	target	(mesh | submesh)	#REQUIRED
+	index	CDATA				"0"
+	type	(morph | pose)		#REQUIRED
+>
+
+<!ELEMENT keyframes (keyframe*)>
+
+<!ELEMENT keyframe (poseref | (position, normal?))*>
+<!ATTLIST keyframe
+	time	CDATA	#REQUIRED
+>
+
+<!ELEMENT poseref EMPTY>
+<!ATTLIST poseref
+	poseindex	CDATA	#REQUIRED
+	influence	CDATA	"1"
+>
+`,
+	skeleton: `<!ELEMENT skeleton (bones?, bonehierarchy?, animations?)>
+<!ATTLIST skeleton
+	blendmode	CDATA	#IMPLIED
+>
+
+<!ELEMENT bones (bone*)>
+
+<!ELEMENT bone (position?, rotation?, scale?)>
+<!ATTLIST bone
+	id		CDATA	#IMPLIED
+	name	CDATA	#IMPLIED
+>
+
+<!ELEMENT position EMPTY>
+<!ATTLIST position
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+ 
+<!ELEMENT rotation (axis?)>
+<!ATTLIST rotation
+    angle	CDATA	#REQUIRED
+>
+ 
+<!ELEMENT axis EMPTY>
+<!ATTLIST axis
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+
+<!ELEMENT bonehierarchy (boneparent*)>
+
+<!ELEMENT boneparent EMPTY>
+<!ATTLIST boneparent
+    bone	CDATA	#REQUIRED
+    parent	CDATA	#REQUIRED
+>
+
+<!ELEMENT animations (animation*)>
+
+<!ELEMENT animation (tracks?)>
+<!ATTLIST animation
+    name	CDATA	#REQUIRED
+    length	CDATA	"0"
+>
+
+<!ELEMENT tracks (track*)>
+
+<!ELEMENT track (keyframes?)>
+<!ATTLIST track
+    bone	CDATA	#REQUIRED
+>
+
+<!ELEMENT keyframes (keyframe*)>
+
+<!ELEMENT keyframe (translate?, rotate?, scale?)>
+<!ATTLIST keyframe
+    time	CDATA	#REQUIRED
+>
+
+<!ELEMENT translate EMPTY>
+<!ATTLIST translate
+    x	CDATA	#REQUIRED
+    y	CDATA	#REQUIRED
+    z	CDATA	#REQUIRED
+>
+ 
+<!ELEMENT rotate (axis?)>
+<!ATTLIST rotate
+    angle	CDATA	#IMPLIED
+    angleX	CDATA	#IMPLIED
+    axisX	CDATA	#IMPLIED
+    axisY	CDATA	#IMPLIED
+    axisZ	CDATA	#IMPLIED
+    qx		CDATA	#IMPLIED
+    qy		CDATA	#IMPLIED
+    qz		CDATA	#IMPLIED
+    qw		CDATA	#IMPLIED
+>
+ 
+<!ELEMENT scale EMPTY>
+<!ATTLIST scale
+    x		CDATA	#IMPLIED
+    y		CDATA	#IMPLIED
+    z		CDATA	#IMPLIED
+    factor	CDATA	#IMPLIED
+>
+`,
+	scene: `<!ELEMENT scene (environment | nodes)*>
+<!ATTLIST scene
+	formatVersion		CDATA	#REQUIRED
+	id					ID		#IMPLIED
+	upAxis				CDATA	#IMPLIED
+	unitsPerMeter		CDATA	#IMPLIED
+	unitType			CDATA	#IMPLIED
+	minOgreVersion		CDATA	#IMPLIED
+	ogreMaxVersion		CDATA	#IMPLIED
+	author				CDATA	#IMPLIED
+	application			CDATA	#IMPLIED
+>
+
+<!ELEMENT environment (clipping | colourAmbient | colourBackground)*>
+
+<!ELEMENT clipping EMPTY>
+<!ATTLIST clipping
+	near	CDATA #REQUIRED
+	far		CDATA #REQUIRED
+>
+
+<!ELEMENT colourAmbient EMPTY>
+<!ATTLIST colourAmbient
+	r	CDATA	#REQUIRED
+	g	CDATA	#REQUIRED
+	b	CDATA	#REQUIRED
+>
+
+<!ELEMENT colourBackground EMPTY>
+<!ATTLIST colourBackground
+	r	CDATA	#REQUIRED
+	g	CDATA	#REQUIRED
+	b	CDATA	#REQUIRED
+>
+
+<!ELEMENT nodes (node | position | rotation | scale)*>
+
+<!ELEMENT node (position | rotation | scale | entity | node)*>
+<!ATTLIST node
+	name			CDATA			#IMPLIED
+	id				ID				#IMPLIED
+	visibility		(true | false)	"true"
+>
+
+<!ELEMENT position EMPTY>
+<!ATTLIST position
+	x	CDATA	#REQUIRED
+	y	CDATA	#REQUIRED
+	z	CDATA	#REQUIRED
+>
+
+<!ELEMENT rotation EMPTY>
+<!ATTLIST rotation
+	qx		CDATA	#IMPLIED
+	qy		CDATA	#IMPLIED
+	qz		CDATA	#IMPLIED
+	qw		CDATA	#IMPLIED
+	axisX	CDATA	#IMPLIED
+	axisY	CDATA	#IMPLIED
+	axisZ	CDATA	#IMPLIED
+	angle	CDATA	#IMPLIED
+	angleX	CDATA	#IMPLIED
+	angleY	CDATA	#IMPLIED
+	angleZ	CDATA	#IMPLIED
+>
+
+<!ELEMENT scale EMPTY>
+<!ATTLIST scale
+	x	CDATA	#REQUIRED
+	y	CDATA	#REQUIRED
+	z	CDATA	#REQUIRED
+>
+
+<!ELEMENT entity (subentities | boneAttachments)*>
+<!ATTLIST entity
+	name			CDATA			#IMPLIED
+	id				ID				#IMPLIED
+	meshFile		CDATA			#REQUIRED
+	castShadows		(true | false)	"false"
+	receiveShadows	(true | false)	"false"
+>
+
+<!ELEMENT subentities (subentity*)>
+
+<!ELEMENT subentity EMPTY>
+<!ATTLIST subentity
+	index				CDATA	#IMPLIED
+	materialName		CDATA	#IMPLIED
+	renderQueue			CDATA	#IMPLIED
+	renderQueuePriority	CDATA	#IMPLIED
+>
+
+<!ELEMENT boneAttachments (boneAttachment*)>
+
+<!ELEMENT boneAttachment (position | rotation | scale)*>
+<!ATTLIST boneAttachment
+	bone	CDATA	#IMPLIED
+>
+`
+});
+
+/**
+ * Validating checker for Ogre XML documents, driven by a DTD: element
+ * declarations give the allowed children and their order, attribute lists
+ * the allowed, required, enumerated, fixed and ID attributes. Every
+ * violation is reported like a warning – code, file, element path and line –
+ * and no Three.js object is built.
+ */
+export class OgreSchema {
+	/** @type {Map<string,OgreSchema>} compiled bundled DTDs, by root element */
+	static #bundled = new Map();
+
+	/** @type {Map<string,{model:string, content:RegExp|null}>} element name → declaration */
+	#elements = new Map();
+
+	/** @type {Map<string,Map<string,{type:string, values:string[]|null, required:boolean, fixed:string|null}>>} element name → attribute declarations */
+	#attributes = new Map();
+
+	/**
+	 * @param	{string}	dtd	- DTD source (`<!ELEMENT>` and `<!ATTLIST>` declarations)
+	 * @throws	{OgreMaxError}	- `E_FORMAT` on a malformed declaration
+	 */
+	constructor(dtd) {
+		const text = String(dtd).replace(/<!--[\s\S]*?-->/g, '');
+
+		for (const [, kind, name, body] of text.matchAll(/<!(ELEMENT|ATTLIST)\s+([^\s>]+)\s*([^>]*)>/g)) {
+			if (kind === 'ELEMENT') {
+				const model = body.replace(/\s+/g, ' ').trim();
+
+				this.#elements.set(name, { model, content: OgreSchema.#compile(name, model) });
+			}
+			else {
+				const defs = this.#attributes.get(name) ?? new Map();
+				const declRe = /\s*([^\s()]+)\s+(\([^)]*\)|[A-Z]+)\s+(#REQUIRED|#IMPLIED|(?:#FIXED\s+)?(?:"[^"]*"|'[^']*'))/y;
+				let match, end = 0;
+
+				while ((match = declRe.exec(body))) {
+					const [, attr, type, value] = match;
+
+					end = declRe.lastIndex;
+					defs.set(attr, {
+						type: type.startsWith('(') ? 'ENUM' : type,
+						values: type.startsWith('(') ? type.slice(1, -1).split('|').map(v => v.trim()) : null,
+						required: value === '#REQUIRED',
+						fixed: value.startsWith('#FIXED') ? value.replace(/^#FIXED\s+/, '').slice(1, -1) : null
+					});
+				}
+
+				if (body.slice(end).trim()) {
+					throw new OgreMaxError('E_FORMAT', `Malformed <!ATTLIST ${name}> near "${body.slice(end).trim().slice(0, 40)}"`, { element: name });
+				}
+
+				this.#attributes.set(name, defs);
+			}
+		}
+	}
+
+	/**
+	 * The bundled DTD of an Ogre root element.
+	 * @param	{string}			root	- `mesh`, `skeleton` or `scene`
+	 * @returns	{OgreSchema|null}			- the compiled DTD, `null` for any other root
+	 */
+	static bundled(root) {
+		if (!Object.hasOwn(OGRE_DTD, root)) {
+			return null;
+		}
+
+		if (!this.#bundled.has(root)) {
+			this.#bundled.set(root, new OgreSchema(OGRE_DTD[root]));
+		}
+
+		return this.#bundled.get(root);
+	}
+
+	/**
+	 * Validate an Ogre document against the bundled DTD of its root element.
+	 * @param	{string|ArrayBuffer|XMLDocument}	source	- the document or its XML source
+	 * @param	{string}							[file]	- URL reported in the violations
+	 * @returns	{OgreWarning[]}								- the violations, empty when the document is valid
+	 * @throws	{OgreMaxError}								- `E_XML` with `meta.line` if the XML is malformed
+	 */
+	static validate(source, file = '') {
+		return OgreSchema.#run(source, file, root => OgreSchema.bundled(root));
+	}
+
+	/**
+	 * Validate a document against this DTD.
+	 * @param	{string|ArrayBuffer|XMLDocument}	source	- the document or its XML source
+	 * @param	{string}							[file]	- URL reported in the violations
+	 * @returns	{OgreWarning[]}								- the violations, empty when the document is valid
+	 * @throws	{OgreMaxError}								- `E_XML` with `meta.line` if the XML is malformed
+	 */
+	validate(source, file = '') {
+		return OgreSchema.#run(source, file, root => this.#elements.has(root) ? this : null);
+	}
+
+	/**
+	 * Walk the elements of *source* – streamed from the text, or from the
+	 * tree of a document – and check each of them.
+	 * @private
+	 * @param	{string|ArrayBuffer|XMLDocument}	source	- the document or its XML source
+	 * @param	{string}							file	- URL reported in the violations
+	 * @param	{(root:string)=>OgreSchema|null}	pick	- schema of a root element
+	 * @returns	{OgreWarning[]}								- the violations
+	 */
+	static #run(source, file, pick) {
+		const diagnostics = new OgreDiagnostics(null);
+		const ids = new Set();
+		const stack = [];	// open elements with the names of their children
+		let schema = null;
+
+		const open = (element) => {
+			if (!stack.length) {
+				schema = pick(element.nodeName);
+
+				if (!schema) {
+					diagnostics.warn('V_ROOT', `No DTD for the root element <${element.nodeName}>`, file, element);
+				}
+			}
+
+			stack.at(-1)?.children.push(element.nodeName);
+			stack.push({ element, children: [] });
+			schema?.#open(element, ids, diagnostics, file);
+		};
+
+		const close = () => {
+			const { element, children } = stack.pop();
+			schema?.#close(element, children, diagnostics, file);
+		};
+
+		if (source?.documentElement) {
+			const walk = (element) => {
+				open(element);
+				Array.from(element.childNodes).filter(n => n.nodeType === 1).forEach(walk);
+				close();
+			};
+
+			walk(source.documentElement);
+			return diagnostics.warnings;
+		}
+
+		const text = source instanceof ArrayBuffer ? new TextDecoder().decode(source) : source;
+
+		if (typeof text !== 'string') {
+			throw new OgreMaxError('E_XML', `Expected XML text, got ${typeof text}`, { url: file });
+		}
+
+		try {
+			new OgreXMLParser().scan(text, {
+				onOpen: (name, attributes, line) => {
+					const element = new OgreXMLElement(name, attributes, line);
+
+					element.parentNode = stack.at(-1)?.element ?? null;
+					open(element);
+				},
+				onClose: close
+			});
+		}
+		catch (err) {
+			err.meta.url = file;
+			throw err;
+		}
+
+		return diagnostics.warnings;
+	}
+
+	/**
+	 * Check an element and its attributes against their declarations.
+	 * @private
+	 * @param	{Element}			element		- the element
+	 * @param	{Set<string>}		ids			- ID values met so far
+	 * @param	{OgreDiagnostics}	diagnostics	- collects the violations
+	 * @param	{string}			file		- URL reported in the violations
+	 * @returns	{void}
+	 */
+	#open(element, ids, diagnostics, file) {
+		const name = element.nodeName;
+
+		if (!this.#elements.has(name)) {
+			diagnostics.warn('V_UNKNOWN_ELEMENT', `<${name}> is not declared`, file, element);
+			return;
+		}
+
+		const defs = this.#attributes.get(name) ?? new Map();
+
+		for (const { name: attr, value } of Array.from(element.attributes)) {
+			const def = defs.get(attr);
+
+			if (/^xmlns(?::|$)|^xml:/.test(attr)) {
+				continue;
+			}
+
+			if (!def) {
+				diagnostics.warn('V_UNKNOWN_ATTRIBUTE', `Attribute "${attr}" is not declared on <${name}>`, file, element);
+			}
+			else if (def.values && !def.values.includes(value)) {
+				diagnostics.warn('V_ATTRIBUTE_VALUE', `${attr}="${value}" on <${name}> is not one of (${def.values.join(' | ')})`, file, element);
+			}
+			else if (def.fixed !== null && value !== def.fixed) {
+				diagnostics.warn('V_ATTRIBUTE_VALUE', `${attr}="${value}" on <${name}> must be "${def.fixed}"`, file, element);
+			}
+			else if (def.type === 'ID' && ids.has(value)) {
+				diagnostics.warn('V_DUPLICATE_ID', `ID "${value}" is already used`, file, element);
+			}
+			else if (def.type === 'ID') {
+				ids.add(value);
+			}
+		}
+
+		for (const [attr, def] of defs) {
+			if (def.required && !element.hasAttribute(attr)) {
+				diagnostics.warn('V_MISSING_ATTRIBUTE', `<${name}> lacks the required attribute "${attr}"`, file, element);
+			}
+		}
+	}
+
+	/**
+	 * Check the children of a closed element against its content model.
+	 * @private
+	 * @param	{Element}			element		- the element
+	 * @param	{string[]}			children	- names of its child elements, in order
+	 * @param	{OgreDiagnostics}	diagnostics	- collects the violations
+	 * @param	{string}			file		- URL reported in the violations
+	 * @returns	{void}
+	 */
+	#close(element, children, diagnostics, file) {
+		const decl = this.#elements.get(element.nodeName);
+
+		if (decl?.content && !decl.content.test(children.map(c => `${c} `).join(''))) {
+			const found = children.length ? [...new Set(children)].join(', ') : 'nothing';
+			diagnostics.warn('V_CONTENT', `<${element.nodeName}> must contain ${decl.model}, found ${found}`, file, element);
+		}
+	}
+
+	/**
+	 * Turn a content model into a regular expression over the child names,
+	 * each followed by a space.
+	 * @private
+	 * @param	{string}		name	- the declared element
+	 * @param	{string}		model	- `EMPTY`, `ANY`, mixed or children content model
+	 * @returns	{RegExp|null}			- the matcher, `null` for `ANY`
+	 * @throws	{OgreMaxError}			- `E_FORMAT` on a malformed content model
+	 */
+	static #compile(name, model) {
+		if (model === 'ANY') {
+			return null;
+		}
+
+		if (model === 'EMPTY') {
+			return /^$/;
+		}
+
+		const source = (model.match(/[()|,?*+]|[^\s()|,?*+]+/g) ?? []).map(token => {
+			switch (token) {
+				case '(': return '(?:';
+				case ',': return '';
+				case ')': case '|': case '?': case '*': case '+': return token;
+				case '#PCDATA': return '';	// text is not checked, only the elements of mixed content
+				default: return `(?:${token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} )`;
+			}
+		}).join('');
+
+		try {
+			return new RegExp(`^${source}$`);
+		}
+		catch {
+			throw new OgreMaxError('E_FORMAT', `Malformed content model of <!ELEMENT ${name}>`, { element: name, model });
+		}
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Skinned lines – line submeshes with bone assignments               */
+/* ------------------------------------------------------------------ */
+/**
+ * Give a line class the bind state and methods of `THREE.SkinnedMesh`.
+ * three.js has no skinned line, but the renderer skins any object flagged
+ * `isSkinnedMesh` and `LineBasicMaterial` shares the skinning chunks of
+ * `MeshBasicMaterial`.
+ * @param	{typeof THREE.Line}	Base	- `THREE.Line` or `THREE.LineSegments`
+ * @returns	{typeof THREE.Line}			- the skinned subclass, typed `Skinned<type>`
+ */
+function skinnedLine(Base) {
+	const SkinnedLine = class extends Base {
+		/**
+		 * @param	{THREE.BufferGeometry}	[geometry]	- the geometry, with `skinIndex` / `skinWeight`
+		 * @param	{THREE.Material}		[material]	- a `LineBasicMaterial`
+		 */
+		constructor(geometry, material) {
+			super(geometry, material);
+
+			this.isSkinnedMesh = true;
+			this.type = `Skinned${this.type}`;
+			this.bindMode = THREE.AttachedBindMode;
+			this.bindMatrix = new THREE.Matrix4();
+			this.bindMatrixInverse = new THREE.Matrix4();
+		}
+
+		copy(source, recursive) {
+			super.copy(source, recursive);
+
+			this.bindMode = source.bindMode;
+			this.bindMatrix.copy(source.bindMatrix);
+			this.bindMatrixInverse.copy(source.bindMatrixInverse);
+			this.skeleton = source.skeleton;
+			return this;
+		}
+	};
+
+	for (const name of ['bind', 'pose', 'normalizeSkinWeights', 'applyBoneTransform', 'updateMatrixWorld']) {
+		SkinnedLine.prototype[name] = THREE.SkinnedMesh.prototype[name];
+	}
+
+	return SkinnedLine;
+}
+
+/** skinned `line_strip` submesh */
+const OgreSkinnedLine = skinnedLine(THREE.Line);
+
+/** skinned `line_list` submesh */
+const OgreSkinnedLineSegments = skinnedLine(THREE.LineSegments);
+
+
+/* ------------------------------------------------------------------ */
+/* Binary chunks – cursor over OgreSerializer files                   */
+/* ------------------------------------------------------------------ */
+/**
+ * Reads the primitives of binary Ogre files: a header chunk (id + version
+ * string), then chunks made of a 16-bit id and a 32-bit length that counts
+ * the 6 header bytes. The byte order is taken from the header id.
+ */
+class OgreChunkReader {
+	/** @type {Object.<number,[string,number,number?]>} VertexElementType → DataView getter, component count, normalisation divisor */
+	static VERTEX_TYPES = {
+		0: ['getFloat32', 1], 1: ['getFloat32', 2], 2: ['getFloat32', 3], 3: ['getFloat32', 4],
+		4: ['getUint8', 4, 255], 5: ['getInt16', 1], 6: ['getInt16', 2], 7: ['getInt16', 3], 8: ['getInt16', 4],
+		9: ['getUint8', 4], 10: ['getUint8', 4, 255], 11: ['getUint8', 4, 255],
+		12: ['getFloat64', 1], 13: ['getFloat64', 2], 14: ['getFloat64', 3], 15: ['getFloat64', 4],
+		16: ['getUint16', 1], 17: ['getUint16', 2], 18: ['getUint16', 3], 19: ['getUint16', 4],
+		20: ['getInt32', 1], 21: ['getInt32', 2], 22: ['getInt32', 3], 23: ['getInt32', 4],
+		24: ['getUint32', 1], 25: ['getUint32', 2], 26: ['getUint32', 3], 27: ['getUint32', 4],
+		28: ['getInt8', 4], 29: ['getInt8', 4, 127], 30: ['getUint8', 4, 255],
+		31: ['getInt16', 2, 32767], 32: ['getInt16', 4, 32767], 33: ['getUint16', 2, 65535], 34: ['getUint16', 4, 65535]
+	};
+
+	/** @type {Object.<number,number[]>} packed colour VertexElementType → bit shift of r, g, b, a in the 32-bit word (VET_COLOUR is taken as ARGB) */
+	static COLOUR_SHIFTS = { 4: [16, 8, 0, 24], 10: [16, 8, 0, 24], 11: [0, 8, 16, 24] };
+
+	/** @type {Object.<string,number>} DataView getter → bytes per component */
+	static #BYTES = { getInt8: 1, getUint8: 1, getInt16: 2, getUint16: 2, getInt32: 4, getUint32: 4, getFloat32: 4, getFloat64: 8 };
+
+	/**
+	 * @param {ArrayBuffer}	buffer	- the file content
+	 * @param {string}		[url]	- file URL, for error messages
+	 */
+	constructor(buffer, url = '') {
+		this.view = new DataView(buffer);
+		this.url = url;
+		this.offset = 0;
+		this.little = true;
+	}
+
+	/** @returns {boolean} - true once every byte has been read */
+	get eof() {
+		return this.offset >= this.view.byteLength;
+	}
+
+	/**
+	 * Read the header chunk and detect the byte order.
+	 * @returns	{string}			- the serializer version, e.g. `[MeshSerializer_v1.100]`
+	 * @throws	{OgreMaxError}		- if the file does not start with a header chunk
+	 */
+	header() {
+		this.little = this.view.getUint16(0, true) === MESH_CHUNK.HEADER;
+
+		if (this.u16() !== MESH_CHUNK.HEADER) {
+			throw new OgreMaxError('E_FORMAT', 'Not a binary Ogre file', { url: this.url });
+		}
+
+		return this.string();
+	}
+
+	/**
+	 * Read a chunk header.
+	 * @returns	{{id:number, end:number}}	- chunk id and offset of its end
+	 */
+	chunk() {
+		const start = this.offset;
+		const id = this.u16();
+
+		return { id, end: start + this.u32() };
+	}
+
+	/**
+	 * Read the chunks that follow while their id is one of *ids*, like Ogre
+	 * does for nested chunks. Each chunk must be consumed (or skipped) before
+	 * the next iteration.
+	 * @param	{number[]}	ids	- the accepted chunk ids
+	 * @yields	{{id:number, end:number}}
+	 */
+	*chunks(ids) {
+		while (this.offset + 6 <= this.view.byteLength && ids.includes(this.view.getUint16(this.offset, this.little))) {
+			yield this.chunk();
+		}
+	}
+
+	/**
+	 * Move forward to *offset*, e.g. the end of a skipped chunk.
+	 * @param	{number}	offset	- absolute position to move to
+	 * @throws	{OgreMaxError}		- if *offset* is behind the cursor or past the end
+	 */
+	seek(offset) {
+		if (offset < this.offset || offset > this.view.byteLength) {
+			throw new OgreMaxError('E_FORMAT', `Malformed chunk length at offset ${this.offset}`, { url: this.url, offset: this.offset });
+		}
+
+		this.offset = offset;
+	}
+
+	/** @param {number} length - bytes to skip */
+	skip(length) {
+		this.#need(length);
+		this.offset += length;
+	}
+
+	/** @returns {boolean} */
+	bool() {
+		this.#need(1);
+		return this.view.getUint8(this.offset++) !== 0;
+	}
+
+	/** @returns {number} */
+	u16() {
+		this.#need(2);
+		this.offset += 2;
+		return this.view.getUint16(this.offset - 2, this.little);
+	}
+
+	/** @returns {number} */
+	u32() {
+		this.#need(4);
+		this.offset += 4;
+		return this.view.getUint32(this.offset - 4, this.little);
+	}
+
+	/** @returns {number} */
+	f32() {
+		this.#need(4);
+		this.offset += 4;
+		return this.view.getFloat32(this.offset - 4, this.little);
+	}
+
+	/** @returns {string} - a newline-terminated string */
+	string() {
+		const bytes = new Uint8Array(this.view.buffer, this.offset);
+		const end = bytes.indexOf(0x0a);
+
+		if (end < 0) {
+			throw new OgreMaxError('E_FORMAT', 'Unterminated string', { url: this.url, offset: this.offset });
+		}
+
+		this.offset += end + 1;
+		return new TextDecoder().decode(bytes.subarray(0, end));
+	}
+
+	/**
+	 * Read *count* integers into a fresh typed array.
+	 * @param	{Uint16ArrayConstructor|Uint32ArrayConstructor}	Type	- the array type
+	 * @param	{number}										count	- number of values
+	 * @returns	{Uint16Array|Uint32Array}								- the values
+	 */
+	array(Type, count) {
+		const bytes = Type.BYTES_PER_ELEMENT;
+
+		this.#need(count * bytes);
+
+		const array = this.little && this.offset % bytes === 0
+			? new Type(this.view.buffer.slice(this.offset, this.offset + count * bytes))
+			: Type.from({ length: count }, (_, i) => bytes === 2 ? this.view.getUint16(this.offset + i * 2, this.little) : this.view.getUint32(this.offset + i * 4, this.little));
+
+		this.offset += count * bytes;
+		return array;
+	}
+
+	/**
+	 * Decode one element of an interleaved vertex buffer into floats.
+	 * Missing components are left at 0, extra ones are dropped.
+	 * @param	{{type:number, offset:number}}	element		- the vertex element
+	 * @param	{number}						start		- byte offset of the buffer data
+	 * @param	{number}						stride		- bytes per vertex
+	 * @param	{number}						count		- number of vertices
+	 * @param	{number}						size		- components kept per vertex
+	 * @returns	{Float32Array}								- *size* values per vertex
+	 * @throws	{OgreMaxError}								- on an unsupported element type
+	 */
+	vertexElement(element, start, stride, count, size) {
+		const [getter, components, divisor = 1] = OgreChunkReader.VERTEX_TYPES[element.type] ?? [];
+
+		if (!getter) {
+			throw new OgreMaxError('E_FORMAT', `Unsupported vertex element type ${element.type}`, { url: this.url, offset: start });
+		}
+
+		const bytes = OgreChunkReader.#BYTES[getter];
+		const n = Math.min(size, components);
+
+		if (element.offset + components * bytes > stride) {
+			throw new OgreMaxError('E_FORMAT', `Vertex element at offset ${element.offset} overruns its ${stride}-byte vertex`, { url: this.url, offset: start });
+		}
+		const out = new Float32Array(count * size);
+
+		for (let v = 0; v < count; ++v) {
+			const base = start + v * stride + element.offset;
+
+			for (let c = 0; c < n; ++c) {
+				out[v * size + c] = this.view[getter](base + c * bytes, this.little) / divisor;
+			}
+		}
+
+		return out;
+	}
+
+	/**
+	 * Decode a colour element of an interleaved vertex buffer into rgba
+	 * floats. Packed colours are 32-bit words in the file byte order (see
+	 * {@link OgreChunkReader.COLOUR_SHIFTS}); other types are read as plain
+	 * components, with alpha 1 when they have fewer than four.
+	 * @param	{{type:number, offset:number}}	element		- the vertex element
+	 * @param	{number}						start		- byte offset of the buffer data
+	 * @param	{number}						stride		- bytes per vertex
+	 * @param	{number}						count		- number of vertices
+	 * @returns	{Float32Array}								- rgba per vertex
+	 * @throws	{OgreMaxError}								- on an unsupported element type
+	 */
+	vertexColour(element, start, stride, count) {
+		const shifts = OgreChunkReader.COLOUR_SHIFTS[element.type];
+
+		if (!shifts) {
+			const out = this.vertexElement(element, start, stride, count, 4);
+
+			if (OgreChunkReader.VERTEX_TYPES[element.type][1] < 4) {
+				for (let v = 0; v < count; ++v) out[v * 4 + 3] = 1;
+			}
+
+			return out;
+		}
+
+		if (element.offset + 4 > stride) {
+			throw new OgreMaxError('E_FORMAT', `Vertex element at offset ${element.offset} overruns its ${stride}-byte vertex`, { url: this.url, offset: start });
+		}
+
+		const out = new Float32Array(count * 4);
+
+		for (let v = 0; v < count; ++v) {
+			const word = this.view.getUint32(start + v * stride + element.offset, this.little);
+
+			for (let c = 0; c < 4; ++c) {
+				out[v * 4 + c] = ((word >>> shifts[c]) & 255) / 255;
+			}
+		}
+
+		return out;
+	}
+
+	/**
+	 * @private
+	 * @param	{number}	length	- bytes about to be read
+	 * @throws	{OgreMaxError}		- if the file ends before
+	 */
+	#need(length) {
+		if (this.offset + length > this.view.byteLength) {
+			throw new OgreMaxError('E_FORMAT', 'Unexpected end of binary data', { url: this.url, offset: this.offset });
+		}
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Mesh data – decoded vertex attributes                              */
+/* ------------------------------------------------------------------ */
+/**
+ * Vertex attributes of a `<geometry>` / `<sharedgeometry>` block, as
+ * flat typed arrays ready for `THREE.BufferAttribute`.
+ * @typedef {object} OgreVertexData
+ * @property {number}				count		- number of vertices
+ * @property {Float32Array|null}	position	- xyz per vertex
+ * @property {Float32Array|null}	normal		- xyz per vertex
+ * @property {Float32Array|null}	tangent		- xyzw per vertex, w = ±1 handedness
+ * @property {Float32Array|null}	diffuse		- diffuse colour, rgba per vertex
+ * @property {Float32Array|null}	specular	- specular colour, rgba per vertex
+ * @property {OgreTexcoordSet[]}	texcoords	- texture coordinate sets, in set order (→ uv, uv1, uv2…)
+ * @property {OgreBoneAssignments}	[assignments]	- mesh-level bone assignments of the shared geometry
+ */
+
+/**
+ * One texture coordinate set.
+ * @typedef {object} OgreTexcoordSet
+ * @property {Float32Array}	array	- *size* values per vertex
+ * @property {number}		size	- components per vertex (1, 2 or 3)
+ */
+
+/**
+ * Raw bone assignments, in file order.
+ * @typedef {object} OgreBoneAssignments
+ * @property {number}		count	- number of assignments
+ * @property {Uint32Array}	vertex	- vertex index of each assignment
+ * @property {Uint16Array}	bone	- bone index of each assignment
+ * @property {Float32Array}	weight	- weight of each assignment
+ */
+
+/**
+ * A pose: offsets of some vertices of one geometry.
+ * @typedef {object} OgrePoseData
+ * @property {string}				name	- pose name (may be empty)
+ * @property {number}				target	- submesh index, -1 for the shared geometry
+ * @property {number}				count	- number of moved vertices
+ * @property {Uint32Array}			vertex	- index of each moved vertex
+ * @property {Float32Array}			offset	- xyz offset of each moved vertex
+ * @property {Float32Array|null}	normal	- xyz normal offset of each moved vertex, if exported
+ */
+
+/**
+ * A mesh-level (vertex) animation.
+ * @typedef {object} OgreMeshAnimationData
+ * @property {string}	name	- animation name
+ * @property {number}	length	- duration in seconds
+ * @property {{type:'pose'|'morph', target:number, keyframes:{time:number, poses?:[number,number][], position?:Float32Array, normal?:Float32Array|null}[]}[]} tracks - tracks per target (-1 shared geometry); pose keyframes hold (pose index, influence) pairs, morph keyframes the xyz position (and normal) of every vertex
+ */
+
+/**
+ * A manual level of detail: another mesh file, shown from a distance.
+ * @typedef {object} OgreLodLevel
+ * @property {string}	name		- mesh name, resolved as a `mesh` dependency
+ * @property {number}	distance	- camera distance from which the level is shown
+ */
+
+/**
+ * A submesh decoded from XML or from a binary `.mesh`, before it becomes
+ * Three.js objects.
+ * @typedef {object} OgreSubmeshData
+ * @property {string}						name				- submesh name (`''` until named)
+ * @property {string|null}					material			- name of the Ogre material
+ * @property {string}						operationType		- `triangle_list`, `line_list`…
+ * @property {boolean}						usesShared			- true when the vertices are the shared geometry
+ * @property {boolean}						use32bitindexes		- true for 32-bit indices in the source
+ * @property {OgreVertexData|null}			geometry			- own vertices (`null` with shared vertices)
+ * @property {Uint32Array|Uint16Array|null}	indices				- three indices per face
+ * @property {OgreBoneAssignments|null}		assignments			- own bone assignments
+ */
+
+
+/* ------------------------------------------------------------------ */
+/* Resolvers – dependency name → URL                                  */
+/* ------------------------------------------------------------------ */
+/**
+ * @typedef {"mesh"|"skeleton"|"material"|"texture"} OgreResourceKind
+ */
+
+/**
+ * Information handed to a resolver together with the dependency name.
+ * @typedef {object} OgreResolveContext
+ * @property {string}	url			- URL of the file that references the dependency
+ * @property {string}	path		- base path of that file
+ * @property {string}	texturePath	- folder used for textures
+ * @property {string}	defaultURL	- the URL the loader would use without a resolver
+ */
+
+/**
+ * Maps a dependency name (as written in the Ogre file) to the URL to request.
+ * Returning `null` / `undefined` keeps `context.defaultURL`.
+ * @callback OgreResolver
+ * @param	{OgreResourceKind}		kind	- kind of dependency
+ * @param	{string}				name	- name as written in the Ogre file
+ * @param	{OgreResolveContext}	context	- where the reference comes from
+ * @returns	{string|null|undefined}			- the URL to request
+ */
+
+
+/* ------------------------------------------------------------------ */
+/* Load result – everything a load() produced                         */
+/* ------------------------------------------------------------------ */
+/**
+ * What {@link OgreMaxLoader#load} (and `loadFromFiles()` / `parseAsync()`)
+ * resolve with. The collections are gathered once, when the whole
+ * dependency chain is complete; every entry appears once.
+ */
+export class OgreMaxResult {
+	/**
+	 * @param {THREE.Object3D|{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}	object		- the value `load()` used to resolve with
+	 * @param {string[]}																	[files]		- URLs of the documents read
+	 * @param {OgreWarning[]}																[warnings]	- warnings collected during the load
+	 * @param {Map<string,THREE.Material>}													[library]	- materials of the `.material` files read, by Ogre name
+	 */
+	constructor(object, files = [], warnings = [], library = new Map()) {
+		const isObject3D = !!object?.isObject3D;
+
+		/** @type {THREE.Object3D|{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}} historical return value: Scene, SkinnedMesh / Group, or `{skeleton, animations}` */
+		this.object = object;
+
+		/** @type {THREE.Object3D|null} root object to add to a scene (`null` for a `.skeleton` root) */
+		this.scene = isObject3D ? object : null;
+
+		/** @type {Array<THREE.Mesh|THREE.Line|THREE.Points>} renderable objects */
+		this.meshes = [];
+
+		/** @type {THREE.Skeleton[]} */
+		this.skeletons = [];
+
+		/** @type {THREE.AnimationClip[]} */
+		this.animations = [];
+
+		/** @type {THREE.Material[]} */
+		this.materials = [];
+
+		/** @type {THREE.Texture[]} */
+		this.textures = [];
+
+		/** @type {THREE.Camera[]} */
+		this.cameras = [];
+
+		/** @type {THREE.Light[]} */
+		this.lights = [];
+
+		/** @type {string[]} URLs of the documents and textures requested */
+		this.files = [...new Set(files)];
+
+		/** @type {OgreWarning[]} recoverable problems met while parsing */
+		this.warnings = warnings;
+
+		/** @type {Map<string,THREE.Material>} Ogre material name → material, for every `.material` file read and every named material in use */
+		this.materialLibrary = new Map(library);
+
+		const skeletons = new Set(), animations = new Set(), materials = new Set(), textures = new Set();
+
+		if (isObject3D) {
+			object.traverse(o => {
+				if (o.isMesh || o.isLine || o.isPoints) this.meshes.push(o);
+				if (o.isCamera) this.cameras.push(o);
+				if (o.isLight) this.lights.push(o);
+				if (o.skeleton) skeletons.add(o.skeleton);
+				for (const clip of o.animations) animations.add(clip);
+				for (const m of [].concat(o.material ?? [])) materials.add(m);
+			});
+		}
+		else if (object?.skeleton) {
+			skeletons.add(object.skeleton);
+			for (const clip of object.animations ?? []) animations.add(clip);
+		}
+
+		for (const m of materials) {
+			for (const value of Object.values(m)) {
+				if (value?.isTexture) textures.add(value);
+			}
+		}
+
+		this.skeletons = [...skeletons];
+		this.animations = [...animations];
+		this.materials = [...materials];
+		this.textures = [...textures];
+
+		for (const m of this.materials) {
+			if (m.name && !this.materialLibrary.has(m.name)) {
+				this.materialLibrary.set(m.name, m);
+			}
+		}
+
+		for (const texture of this.textures) {
+			if (texture.userData.url && !texture.userData.failed && !this.files.includes(texture.userData.url)) {
+				this.files.push(texture.userData.url);
+			}
+		}
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Asset cache – meshes, skeletons and materials shared between loads */
+/* ------------------------------------------------------------------ */
+/**
+ * Shares parsed dependencies by resolved URL: fifty entities with the same
+ * `meshFile` parse it once and share its `BufferGeometry` and materials,
+ * each instance getting its own skeleton. Every load result holds one
+ * reference on the assets it uses; {@link OgreAssetCache#release} drops
+ * them and disposes the GPU resources nothing references any more.
+ *
+ * Share one cache between loaders with the same texture path and resolver
+ * only – the key is the resolved URL (plus the file provider of the load).
+ */
+export class OgreAssetCache {
+	/** @type {Map<string,OgreCacheEntry>} */
+	#entries = new Map();
+
+	/** @type {WeakMap<object,string[]>} result object → keys it references */
+	#owners = new WeakMap();
+
+	/** @type {WeakMap<object,number>} file provider → key prefix */
+	#scopes = new WeakMap();
+
+	/** @type {number} last key prefix handed out */
+	#lastScope = 0;
+
+	/** @returns {number} number of cached assets (in-flight included) */
+	get size() {
+		return this.#entries.size;
+	}
+
+	/**
+	 * Cache key of a resolved URL. Files served by a custom provider are
+	 * scoped to it, so two drops of `robot.mesh.xml` do not collide, and
+	 * the same file parsed with other load options is another asset.
+	 * @param	{string}				url			- resolved URL of the asset
+	 * @param	{object|null}			[scope]		- file provider the asset comes from (`null` → plain URL)
+	 * @param	{string}				[variant]	- the options the asset is parsed with (`''` → defaults)
+	 * @returns	{string}							- the key
+	 */
+	key(url, scope = null, variant = '') {
+		let id = scope ? this.#scopes.get(scope) : 0;
+
+		if (id === undefined) {
+			id = ++this.#lastScope;
+			this.#scopes.set(scope, id);
+		}
+
+		return `${id ? `${id}|` : ''}${url}${variant ? `|${variant}` : ''}`;
+	}
+
+	/**
+	 * Take one reference on the asset of *key*, loading it on a miss.
+	 * Concurrent requests for the same key share the same load; a failed
+	 * load is forgotten so that the next request retries.
+	 * @param	{string}										key		- from {@link OgreAssetCache#key}
+	 * @param	{()=>Promise<{value:*, deps?:string[]}>}		load	- loads the asset and lists the keys it holds itself
+	 * @returns	{Promise<*>}											- the shared asset (do not mutate, clone it)
+	 */
+	acquire(key, load) {
+		let entry = this.#entries.get(key);
+
+		if (!entry) {
+			entry = { value: undefined, refs: 0, deps: [], promise: null };
+			entry.promise = Promise.resolve().then(load).then(
+				({ value, deps = [] }) => {
+					entry.value = value;
+					entry.deps = deps;
+					return value;
+				},
+				(err) => {
+					if (this.#entries.get(key) === entry) {
+						this.#entries.delete(key);
+					}
+					throw err;
+				}
+			);
+
+			this.#entries.set(key, entry);
+		}
+
+		entry.refs++;
+		return entry.promise;
+	}
+
+	/**
+	 * Record the keys a load result references, for {@link OgreAssetCache#release}.
+	 * @param	{object}	owner	- the object handed to the user
+	 * @param	{string[]}	keys	- keys acquired for it
+	 * @returns	{void}
+	 */
+	track(owner, keys) {
+		if (keys.length) {
+			this.#owners.set(owner, [...(this.#owners.get(owner) ?? []), ...keys]);
+		}
+	}
+
+	/**
+	 * Drop the references of a load result. Assets nothing references any
+	 * more are evicted and their geometries, materials, textures and
+	 * skeletons disposed. The skeletons cloned for *owner* are disposed too.
+	 * @param	{OgreMaxResult|THREE.Object3D|object}	owner	- a load result or its `object`
+	 * @returns	{this}											- the cache, for chaining
+	 */
+	release(owner) {
+		const object = owner instanceof OgreMaxResult ? owner.object : owner;
+		const keys = this.#owners.get(object);
+
+		if (!keys) {
+			return this;
+		}
+
+		this.#owners.delete(object);
+
+		if (object.isObject3D) {
+			object.traverse(o => o.isSkinnedMesh && o.skeleton?.dispose());
+		}
+
+		for (const key of keys) {
+			this.#unref(key);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Dispose every cached asset, referenced or not, and empty the cache.
+	 * @returns	{void}
+	 */
+	dispose() {
+		for (const entry of this.#entries.values()) {
+			OgreAssetCache.#disposeValue(entry.value);
+		}
+
+		this.#entries.clear();
+		this.#owners = new WeakMap();
+	}
+
+	/**
+	 * Clone an object hierarchy sharing geometries and materials, with new
+	 * skeletons bound to the cloned bones (as `SkeletonUtils.clone`).
+	 * Skinned meshes without a skeleton (no `<skeletonlink>`) stay unbound.
+	 * @param	{THREE.Object3D}	source	- the object to clone
+	 * @returns	{THREE.Object3D}			- the clone
+	 */
+	static clone(source) {
+		const sourceOf = new Map();
+		const cloneOf = new Map();
+		const clone = source.clone();
+
+		OgreAssetCache.#parallelTraverse(source, clone, (a, b) => {
+			sourceOf.set(b, a);
+			cloneOf.set(a, b);
+		});
+
+		clone.traverse(node => {
+			if (!node.isSkinnedMesh) {
+				return;
+			}
+
+			const sourceMesh = sourceOf.get(node);
+
+			if (!sourceMesh.skeleton) {
+				return;
+			}
+
+			node.skeleton = sourceMesh.skeleton.clone();
+			node.bindMatrix.copy(sourceMesh.bindMatrix);
+			node.skeleton.bones = sourceMesh.skeleton.bones.map(bone => cloneOf.get(bone) ?? bone);
+			node.bind(node.skeleton, node.bindMatrix);
+		});
+
+		return clone;
+	}
+
+	/**
+	 * Clone a parsed skeleton: new bones and bone inverses, shared clips.
+	 * @param	{{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}	data	- a parsed `.skeleton`
+	 * @returns	{{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}}			- the copy
+	 */
+	static cloneSkeleton({ skeleton, animations }) {
+		const cloneOf = new Map();
+
+		for (const bone of skeleton.bones) {
+			if (bone.parent?.isBone && skeleton.bones.includes(bone.parent)) {
+				continue;                                   // cloned with its root
+			}
+
+			OgreAssetCache.#parallelTraverse(bone, bone.clone(), (a, b) => cloneOf.set(a, b));
+		}
+
+		return {
+			skeleton: new THREE.Skeleton(skeleton.bones.map(b => cloneOf.get(b)), skeleton.boneInverses.map(m => m.clone())),
+			animations
+		};
+	}
+
+	/**
+	 * @private
+	 * @param	{THREE.Object3D}									a			- source hierarchy
+	 * @param	{THREE.Object3D}									b			- its clone
+	 * @param	{(a:THREE.Object3D, b:THREE.Object3D)=>void}		callback	- called on every pair
+	 * @returns	{void}
+	 */
+	static #parallelTraverse(a, b, callback) {
+		callback(a, b);
+
+		for (let i = 0; i < a.children.length; i++) {
+			OgreAssetCache.#parallelTraverse(a.children[i], b.children[i], callback);
+		}
+	}
+
+	/**
+	 * Dispose the GPU resources of a cached value.
+	 * @private
+	 * @param	{*}	value	- mesh template, `{skeleton, animations}` or material array
+	 * @returns	{void}
+	 */
+	static #disposeValue(value) {
+		const disposeMaterial = (m) => {
+			for (const v of Object.values(m)) {
+				if (v?.isTexture) v.dispose();
+			}
+			m.dispose();
+		};
+
+		if (value?.isObject3D) {
+			value.traverse(o => {
+				o.geometry?.dispose();
+				[].concat(o.material ?? []).forEach(disposeMaterial);
+				if (o.isSkinnedMesh) o.skeleton?.dispose();
+			});
+		}
+		else if (value?.skeleton) {
+			value.skeleton.dispose();
+		}
+		else if (Array.isArray(value)) {
+			value.forEach(disposeMaterial);
+		}
+	}
+
+	/**
+	 * Drop one reference, evicting the entry (and its dependencies' refs) at zero.
+	 * @private
+	 * @param	{string}	key	- the asset key
+	 * @returns	{void}
+	 */
+	#unref(key) {
+		const entry = this.#entries.get(key);
+
+		if (!entry || --entry.refs > 0) {
+			return;
+		}
+
+		this.#entries.delete(key);
+		OgreAssetCache.#disposeValue(entry.value);
+
+		for (const dep of entry.deps) {
+			this.#unref(dep);
+		}
+	}
+}
+
+/**
+ * @typedef {object} OgreCacheEntry
+ * @property {*}			value	- the shared asset, `undefined` while loading
+ * @property {number}		refs	- references held by load results and other entries
+ * @property {string[]}		deps	- keys this asset holds a reference on (a mesh on its skeleton)
+ * @property {Promise<*>}	promise	- resolves with *value*
+ */
+
+
+/* ------------------------------------------------------------------ */
+/* Progress – bytes and items of a whole dependency chain             */
+/* ------------------------------------------------------------------ */
+/**
+ * Progress of one requested file.
+ * @typedef {object} OgreFileProgress
+ * @property {string}							url		- URL of the file
+ * @property {"scene"|OgreResourceKind}		kind	- what the file is
+ * @property {number}							loaded	- bytes received
+ * @property {number}							total	- bytes expected (the bytes received while the size is unknown)
+ * @property {boolean}							done	- true once the file is loaded or failed
+ * @property {boolean}							failed	- true when the request failed
+ */
+
+/**
+ * Snapshot handed to the progress callbacks.
+ * @typedef {object} OgreProgressEvent
+ * @property {number}				loaded		- bytes received, over every file
+ * @property {number}				total		- bytes expected, over every file requested so far
+ * @property {number}				itemsLoaded	- files loaded or failed
+ * @property {number}				itemsTotal	- files requested so far
+ * @property {OgreFileProgress[]}	files		- per-file breakdown, in request order
+ */
+
+/**
+ * Byte and item progress of a whole load: the root document and every mesh,
+ * skeleton, material and texture it pulls in. Per file, received bytes never
+ * go backwards; the totals grow as dependencies are discovered, and a file
+ * of unknown size counts the bytes received so far until it completes.
+ */
+export class OgreProgress {
+	/** @type {((event:OgreProgressEvent)=>void)|null} called after every change */
+	onProgress = null;
+
+	/** @type {Map<string,OgreFileProgress>} url → progress of that file, in request order */
+	#files = new Map();
+
+	/**
+	 * @param {((event:OgreProgressEvent)=>void)|null}	[onProgress]	- called after every change
+	 */
+	constructor(onProgress = null) {
+		this.onProgress = onProgress;
+	}
+
+	/** @returns {number} bytes received, over every file */
+	get loaded() {
+		let loaded = 0;
+		for (const file of this.#files.values()) loaded += file.loaded;
+		return loaded;
+	}
+
+	/** @returns {number} bytes expected, over every file requested so far */
+	get total() {
+		let total = 0;
+		for (const file of this.#files.values()) total += file.total;
+		return total;
+	}
+
+	/**
+	 * Record a request. A file requested again (a retry) keeps its bytes.
+	 * @param	{string}					url		- URL of the file
+	 * @param	{"scene"|OgreResourceKind}	kind	- what the file is
+	 * @returns	{void}
+	 */
+	start(url, kind) {
+		const file = this.#files.get(url);
+
+		if (file) {
+			file.done = file.failed = false;
+		}
+		else {
+			this.#files.set(url, { url, kind, loaded: 0, total: 0, done: false, failed: false });
+		}
+
+		this.#emit();
+	}
+
+	/**
+	 * Record the bytes received so far, as reported by the file provider.
+	 * @param	{string}	url			- URL of the file
+	 * @param	{number}	loaded		- bytes received
+	 * @param	{number}	[total]		- size of the file, `0` when unknown
+	 * @returns	{void}
+	 */
+	update(url, loaded, total = 0) {
+		const file = this.#files.get(url);
+
+		if (!file || file.done) {
+			return;
+		}
+
+		file.loaded = Math.max(file.loaded, loaded);
+		file.total = Math.max(file.total, total, file.loaded);
+		this.#emit();
+	}
+
+	/**
+	 * Record the end of a request. Without byte reports from the provider,
+	 * the size is taken from the content.
+	 * @param	{string}					url			- URL of the file
+	 * @param	{string|ArrayBuffer|null}	[content]	- the file content
+	 * @param	{boolean}					[failed]	- true when the request failed
+	 * @returns	{void}
+	 */
+	end(url, content = null, failed = false) {
+		const file = this.#files.get(url);
+
+		if (!file || file.done) {
+			return;
+		}
+
+		if (!failed && !file.loaded && content !== null) {
+			file.loaded = typeof content === 'string' ? new TextEncoder().encode(content).byteLength : content.byteLength ?? 0;
+		}
+
+		file.total = file.loaded;
+		file.done = true;
+		file.failed = failed;
+		this.#emit();
+	}
+
+	/**
+	 * @returns	{OgreProgressEvent}	- the current state, detached from the tracker
+	 */
+	snapshot() {
+		const files = Array.from(this.#files.values(), file => ({ ...file }));
+
+		return {
+			loaded: this.loaded,
+			total: this.total,
+			itemsLoaded: files.filter(file => file.done).length,
+			itemsTotal: files.length,
+			files
+		};
+	}
+
+	/**
+	 * @private
+	 * @returns	{void}
+	 */
+	#emit() {
+		this.onProgress?.(this.snapshot());
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Diagnostics – leveled logging and collected warnings               */
+/* ------------------------------------------------------------------ */
+/**
+ * @typedef {"debug"|"info"|"warn"|"error"|"silent"} OgreLogLevel
+ */
+
+/**
+ * Destination of the log records; `console` fits.
+ * @typedef {object} OgreLogger
+ * @property {(message:string, ...detail:*)=>void}	debug	- loading steps, material summaries
+ * @property {(message:string, ...detail:*)=>void}	info	- general information
+ * @property {(message:string, ...detail:*)=>void}	warn	- recoverable problems (see {@link OgreWarning})
+ * @property {(message:string, ...detail:*)=>void}	error	- failed dependencies
+ */
+
+/**
+ * A recoverable problem met while parsing; the load goes on.
+ * @typedef {object} OgreWarning
+ * @property {string}		code	- stable code, e.g. `W_ROTATION_FORMAT`
+ * @property {string}		message	- human-readable description
+ * @property {string}		file	- URL of the file being parsed
+ * @property {string|null}	element	- path of the offending element, e.g. `scene/nodes/node[Robot]/entity`
+ * @property {number|null}	line	- source line, when the XML parser records it
+ */
+
+/**
+ * Log sink of one load chain: filters records by level before handing them
+ * to the logger and keeps every warning for the load result.
+ */
+export class OgreDiagnostics {
+	/** @type {OgreLogLevel[]} levels, from the most verbose */
+	static LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+	/** @type {OgreWarning[]} warnings collected so far */
+	warnings = [];
+
+	/** @type {OgreLogger|null} */
+	#logger;
+
+	/** @type {number} index of the lowest level logged */
+	#threshold;
+
+	/**
+	 * @param {OgreLogger|null}	[logger]	- destination of the records (`null` → silent)
+	 * @param {OgreLogLevel}	[level]		- lowest level logged
+	 */
+	constructor(logger = console, level = 'warn') {
+		this.#logger = logger;
+		this.#threshold = OgreDiagnostics.LEVELS.indexOf(level);
+	}
+
+	/**
+	 * @param	{string}	message	- the record
+	 * @param	{...*}		detail	- extra values for the logger
+	 * @returns	{void}
+	 */
+	debug(message, ...detail) {
+		this.#log('debug', message, detail);
+	}
+
+	/**
+	 * @param	{string}	message	- the record
+	 * @param	{...*}		detail	- extra values for the logger
+	 * @returns	{void}
+	 */
+	info(message, ...detail) {
+		this.#log('info', message, detail);
+	}
+
+	/**
+	 * @param	{string}	message	- the record
+	 * @param	{...*}		detail	- extra values for the logger
+	 * @returns	{void}
+	 */
+	error(message, ...detail) {
+		this.#log('error', message, detail);
+	}
+
+	/**
+	 * Record a warning and log it.
+	 * @param	{string}		code		- stable warning code
+	 * @param	{string}		message		- human-readable description
+	 * @param	{string}		file		- URL of the file being parsed
+	 * @param	{Element|null}	[element]	- the offending element
+	 * @returns	{OgreWarning}				- the recorded warning
+	 */
+	warn(code, message, file, element = null) {
+		const warning = {
+			code,
+			message,
+			file,
+			element: element ? this.#path(element) : null,
+			line: element?.lineNumber ?? null
+		};
+
+		this.warnings.push(warning);
+		this.#log('warn', `${message} (${code})`, [warning]);
+		return warning;
+	}
+
+	/**
+	 * Take over warnings collected by another instance (e.g. in a worker)
+	 * and log them.
+	 * @param	{OgreWarning[]}	warnings	- the warnings to add
+	 * @returns	{void}
+	 */
+	merge(warnings) {
+		for (const warning of warnings) {
+			this.warnings.push(warning);
+			this.#log('warn', `${warning.message} (${warning.code})`, [warning]);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param	{OgreLogLevel}	level	- level of the record
+	 * @param	{string}		message	- the record
+	 * @param	{Array}			detail	- extra values for the logger
+	 * @returns	{void}
+	 */
+	#log(level, message, detail) {
+		if (!this.#logger || OgreDiagnostics.LEVELS.indexOf(level) < this.#threshold) {
+			return;
+		}
+
+		this.#logger[level](`[OgreMaxLoader] ${message}`, ...detail);
+	}
+
+	/**
+	 * Slash-separated path from the root element; named elements carry their
+	 * name in brackets.
+	 * @private
+	 * @param	{Element}	element	- the element to locate
+	 * @returns	{string}			- e.g. `skeleton/animations/animation[Walk]`
+	 */
+	#path(element) {
+		const steps = [];
+
+		for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+			const name = node.getAttribute('name');
+			steps.unshift(name ? `${node.nodeName}[${name}]` : node.nodeName);
+		}
+
+		return steps.join('/');
+	}
+}
+
+
+/* ------------------------------------------------------------------ */
+/* Load context – per-request state of OgreMaxLoader                  */
+/* ------------------------------------------------------------------ */
+/**
+ * Options accepted by {@link OgreMaxLoader#load} and friends. They apply to
+ * the whole dependency chain of the call.
+ * @typedef {object} OgreMaxLoadOptions
+ * @property {AbortSignal}		[signal]		- cancels every in-flight request and texture load (rejects with `E_ABORT`)
+ * @property {OgreFileProvider}	[fileProvider]	- overrides the loader file provider for this call
+ * @property {boolean}			[strict]		- check every XML document against its bundled DTD first (rejects with `E_SCHEMA`)
+ * @property {boolean}			[mergeSubmeshes]	- merge the triangle submeshes of every mesh into one multi-material `SkinnedMesh`
+ * @property {"prune"|"error"}	[boneInfluences]	- vertices with more than 4 bone influences keep the strongest 4 (`'prune'`, default, reported as `W_BONE_INFLUENCES`) or reject the load with `E_FORMAT` (`'error'`)
+ * @property {string[]|boolean}	[materialFiles]	- `.material` files the submesh materials of a mesh loaded outside a scene are looked up in, resolved as `material` dependencies (`true` → the mesh base name; default: none)
+ */
+
+/**
+ * State owned by a single `load()` call (or by one nested dependency load).
+ * @typedef {object} LoadContext
+ * @property {string}				url				- URL of the file handled by this context
+ * @property {"scene"|"mesh"|"skeleton"}	kind	- what the file is
+ * @property {string}				path			- base path used to resolve dependencies
+ * @property {LoadContext|null}		parent			- context of the requesting file, `null` for the root
+ * @property {OgreMaxLoadOptions}	options			- options of the root `load()` call
+ * @property {OgreFileProvider}		provider		- resolves every file request of this load
+ * @property {Object.<string,*>}	objectRoot		- collects partial results during parsing
+ * @property {THREE.LoadingManager}	internalManager	- tracks the dependencies of this file
+ * @property {OgreDiagnostics}		diagnostics		- logs and collects warnings, shared by the whole chain
+ * @property {OgreProgress}			progress		- bytes and items of every request, shared by the whole chain
+ * @property {string[]}				files			- URLs requested so far, shared by the whole chain
+ * @property {Map<string,THREE.Material>}	materialLibrary	- materials of every `.material` file read, by Ogre name, shared by the whole chain
+ * @property {OgreAssetCache}		cache			- the loader cache, or one for this load only, shared by the whole chain
+ * @property {string[]}				assets			- asset cache keys acquired by this file
+ * @property {boolean}				released		- true once the load failed and its keys were released
+ * @property {Map<string,*>}		errors			- why each failed dependency failed, by URL
+ */
 
 
 /* ------------------------------------------------------------------ */
 /* Custom error type – every fatal issue bubbles as OgreMaxError      */
 /* ------------------------------------------------------------------ */
 /**
- * @typedef {"E_IO"|"E_XML"|"E_FORMAT"|"E_RUNTIME"|"E_RANGE"} LoaderErrorCode 
+ * @typedef {"E_IO"|"E_XML"|"E_FORMAT"|"E_SCHEMA"|"E_RUNTIME"|"E_RANGE"|"E_ABORT"} LoaderErrorCode 
  */
 
 /**
@@ -0,0 +1,52 @@
+// Regenerates OGRE_DTD, the copies of dtd/*.dtd bundled in OgreMaxLoader.js.
+//   node scripts/dtd.js          rewrite OgreMaxLoader.js from dtd/
+//   node scripts/dtd.js --check  exit with 1 when OgreMaxLoader.js is out of date
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const LOADER = new URL('../OgreMaxLoader.js', import.meta.url);
+
+/** root element → bundled file */
+const FILES = { mesh: 'dotmesh', skeleton: 'dotskeleton', scene: 'dotscene' };
+
+const START = 'const OGRE_DTD = Object.freeze({\n';
+const END = '\n});';
+
+/**
+ * The loader source with its OGRE_DTD constant rebuilt from the DTD files.
+ * @param {string} source - content of OgreMaxLoader.js
+ * @returns {string} - the updated source
+ */
+export function bundle(source) {
+	const start = source.indexOf(START) + START.length;
+	const end = source.indexOf(END, start);
+	const entries = Object.entries(FILES).map(([root, name]) => {
+		const text = readFileSync(new URL(`../dtd/OgreMax-${name}.1.0.dtd`, import.meta.url), 'utf8')
+			.replace(/\r\n/g, '\n')
+			.replace(/\n*$/, '\n')
+			.replace(/[\\`]|\$\{/g, match => `\\${match}`);
+
+		return `\t${root}: \`${text}\``;
+	});
+
+	if (start < START.length || end < 0) {
+		throw new Error('OGRE_DTD not found in OgreMaxLoader.js');
+	}
+
+	return source.slice(0, start) + entries.join(',\n') + source.slice(end);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	const source = readFileSync(LOADER, 'utf8');
+	const bundled = bundle(source);
+
+	if (process.argv.includes('--check')) {
+		if (bundled !== source) {
+			console.error('OGRE_DTD is out of date, run `npm run dtd`');
+			process.exitCode = 1;
+		}
+	}
+	else if (bundled !== source) {
+		writeFileSync(LOADER, bundled);
+	}
+}
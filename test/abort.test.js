@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, scene, submesh } from './fixtures.js';
+
+test('an aborted load rejects with E_ABORT without logging errors', async () => {
+	const controller = new AbortController();
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh', 'Ball.mesh']),
+		'Box.mesh.xml': mesh([submesh('a')]),
+		'Ball.mesh.xml': mesh([submesh('b')])
+	});
+	// cancel once the entity meshes are requested
+	const provider = {
+		load(url, ...args) {
+			if (url.endsWith('Ball.mesh.xml')) controller.abort();
+			return files.load(url, ...args);
+		}
+	};
+	const errors = [];
+	const logger = { debug() { }, info() { }, warn() { }, error: (...args) => errors.push(args) };
+	const loader = new OgreMaxLoader().setLogger(logger).setFileProvider(provider);
+
+	await assert.rejects(loader.load('level.scene', { signal: controller.signal }), { code: 'E_ABORT' });
+	await new Promise(resolve => setTimeout(resolve, 10));
+	assert.deepEqual(errors, []);
+});
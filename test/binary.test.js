@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, submesh } from './fixtures.js';
+import { meshFile, skeletonFile } from './ogrebin.js';
+
+const loader = () => new OgreMaxLoader().setLogger(null);
+
+const vertices = (count, normals = true) => Array.from({ length: count }, (_, i) => `<vertex><position x="${i}" y="0" z="0"/>${normals ? '<normal x="0" y="0" z="1"/>' : ''}</vertex>`).join('');
+const keyframe = (time, count, dy, normals) => `<keyframe time="${time}">${Array.from({ length: count }, (_, i) => `<position x="${i}" y="${dy}" z="0"/>${normals ? '<normal x="0" y="1" z="0"/>' : ''}`).join('')}</keyframe>`;
+
+/**
+ * XML counterpart of `binaryMesh()`.
+ * @param {boolean} normals - poses and morph keyframes carry normals
+ * @returns {string} - the `.mesh.xml` document
+ */
+function xmlMesh(normals) {
+	return `<mesh>
+		<sharedgeometry vertexcount="4"><vertexbuffer positions="true" normals="true">${vertices(4)}</vertexbuffer></sharedgeometry>
+		<submeshes>
+			<submesh material="a" usesharedvertices="true"><faces count="1"><face v1="0" v2="1" v3="2"/></faces></submesh>
+			<submesh material="b" usesharedvertices="false"><faces count="1"><face v1="0" v2="2" v3="1"/></faces>
+				<geometry vertexcount="3"><vertexbuffer positions="true" normals="true">${vertices(3)}</vertexbuffer></geometry>
+				<boneassignments><vertexboneassignment vertexindex="0" boneindex="0" weight="1"/><vertexboneassignment vertexindex="1" boneindex="1" weight="0.5"/>
+					<vertexboneassignment vertexindex="1" boneindex="0" weight="0.5"/></boneassignments></submesh>
+		</submeshes>
+		<submeshnames><submeshname name="body" index="0"/><submeshname name="face" index="1"/></submeshnames>
+		<poses><pose target="submesh" index="1" name="smile"><poseoffset index="1" x="0" y="1" z="0"${normals ? ' nx="0" ny="0" nz="-1"' : ''}/></pose></poses>
+		<animations>
+			<animation name="talk" length="1"><tracks><track target="submesh" index="1" type="pose"><keyframes>
+				<keyframe time="0"><poseref poseindex="0" influence="0"/></keyframe><keyframe time="1"><poseref poseindex="0" influence="1"/></keyframe>
+			</keyframes></track></tracks></animation>
+			<animation name="wave" length="2"><tracks><track target="mesh" type="morph"><keyframes>
+				${keyframe(0, 4, 0, normals)}${keyframe(2, 4, 2, normals)}
+			</keyframes></track></tracks></animation>
+		</animations>
+	</mesh>`;
+}
+
+/**
+ * Binary counterpart of `xmlMesh()`.
+ * @param {string} version - serializer version
+ * @param {boolean} normals - poses and morph keyframes carry normals
+ * @param {boolean} [littleEndian] - byte order
+ * @returns {ArrayBuffer} - the `.mesh` file
+ */
+function binaryMesh(version, normals, littleEndian = true) {
+	const row = (count, y) => Array.from({ length: count }, (_, i) => [i, y, 0]);
+
+	return meshFile({
+		version, littleEndian,
+		shared: row(4, 0),
+		submeshes: [{ material: 'a', indices: [0, 1, 2] }, { material: 'b', indices: [0, 2, 1], positions: row(3, 0), assignments: [[0, 0, 1], [1, 1, 0.5], [1, 0, 0.5]] }],
+		names: ['body', 'face'],
+		poses: [{ name: 'smile', target: 1, normals, offsets: [normals ? [1, 0, 1, 0, 0, 0, -1] : [1, 0, 1, 0]] }],
+		animations: [
+			{ name: 'talk', length: 1, tracks: [{ target: 1, poses: [[0, 0, 0], [1, 0, 1]] }] },
+			{ name: 'wave', length: 2, tracks: [{ target: -1, morph: [0, 2].map(time => ({ time, positions: row(4, time), normals: normals ? row(4, 0).map(() => [0, 1, 0]) : null })) }] }
+		]
+	});
+}
+
+/**
+ * Plain description of a parsed mesh, for comparisons.
+ * @param {THREE.Object3D} object - the parsed mesh
+ * @returns {object} - names, materials, attributes, morph targets and clips
+ */
+function describe(object) {
+	const array = attribute => attribute && Array.from(attribute.array);
+
+	return {
+		submeshes: object.children.map(o => ({
+			name: o.name,
+			material: o.userData.materialName,
+			index: array(o.geometry.index),
+			position: array(o.geometry.getAttribute('position')),
+			normal: array(o.geometry.getAttribute('normal')),
+			skinIndex: array(o.geometry.getAttribute('skinIndex')),
+			skinWeight: array(o.geometry.getAttribute('skinWeight')),
+			morphs: o.morphTargetDictionary,
+			morphPosition: o.geometry.morphAttributes.position?.map(array),
+			morphNormal: o.geometry.morphAttributes.normal?.map(array)
+		})),
+		clips: object.animations.map(clip => ({
+			name: clip.name,
+			duration: clip.duration,
+			tracks: clip.tracks.map(t => [t.name, Array.from(t.times), Array.from(t.values)])
+		}))
+	};
+}
+
+for (const version of ['[MeshSerializer_v1.100]', '[MeshSerializer_v1.10]', '[MeshSerializer_v1.8]', '[MeshSerializer_v1.41]']) {
+	test(`binary ${version} mesh matches its XML counterpart`, () => {
+		const normals = version !== '[MeshSerializer_v1.41]';
+		const expected = describe(loader().parse(xmlMesh(normals)).mesh);
+
+		assert.deepEqual(expected.submeshes.map(s => s.name), ['body', 'face']);
+		assert.deepEqual(expected.submeshes[1].morphs, { smile: 0 });
+		assert.deepEqual(expected.submeshes[1].skinWeight.slice(0, 8), [1, 0, 0, 0, 0.5, 0.5, 0, 0]);
+		assert.equal(!!expected.submeshes[1].morphNormal, normals);
+		assert.deepEqual(describe(loader().parse(binaryMesh(version, normals)).mesh), expected);
+	});
+}
+
+test('big endian binary meshes are read', () => {
+	const little = describe(loader().parse(binaryMesh('[MeshSerializer_v1.100]', true)).mesh);
+
+	assert.deepEqual(describe(loader().parse(binaryMesh('[MeshSerializer_v1.100]', true, false)).mesh), little);
+});
+
+test('truncated binary meshes fail with E_FORMAT', () => {
+	const buffer = binaryMesh('[MeshSerializer_v1.100]', true);
+
+	assert.throws(() => loader().parse(buffer.slice(0, buffer.byteLength - 5)), { code: 'E_FORMAT' });
+});
+const QUARTER = Math.PI / 2;
+const ROTATION = [0, 0, Math.SQRT1_2, Math.SQRT1_2];                     // a quarter turn around z
+
+const XML = `<skeleton>
+	<bones>
+		<bone id="0" name="root"><position x="0" y="0" z="0"/><rotation angle="0"><axis x="1" y="0" z="0"/></rotation></bone>
+		<bone id="1" name="arm"><position x="0" y="1" z="0"/><rotation angle="${QUARTER}"><axis x="0" y="0" z="1"/></rotation></bone>
+	</bones>
+	<bonehierarchy><boneparent bone="arm" parent="root"/></bonehierarchy>
+	<animations><animation name="wave" length="1"><tracks><track bone="arm"><keyframes>
+		<keyframe time="0"><translate x="0" y="0" z="0"/><rotate angle="0"><axis x="1" y="0" z="0"/></rotate></keyframe>
+		<keyframe time="1"><translate x="1" y="0" z="0"/><rotate angle="${QUARTER}"><axis x="0" y="0" z="1"/></rotate><scale x="2" y="2" z="2"/></keyframe>
+	</keyframes></track></tracks></animation></animations>
+</skeleton>`;
+
+const SPEC = {
+	bones: [
+		{ name: 'root', handle: 0, position: [0, 0, 0], rotation: [0, 0, 0, 1] },
+		{ name: 'arm', handle: 1, position: [0, 1, 0], rotation: ROTATION, scale: [1, 1, 1] }
+	],
+	parents: [[1, 0]],
+	animations: [{ name: 'wave', length: 1, tracks: [{ handle: 1, keyframes: [
+		{ time: 0, rotation: [0, 0, 0, 1], translate: [0, 0, 0] },
+		{ time: 1, rotation: ROTATION, translate: [1, 0, 0], scale: [2, 2, 2] }
+	] }] }]
+};
+
+/**
+ * Compare two number lists within float precision.
+ * @param {ArrayLike<number>} actual - the values read
+ * @param {ArrayLike<number>} expected - the reference values
+ * @param {string} what - what is compared, for the message
+ */
+function close(actual, expected, what) {
+	assert.equal(actual.length, expected.length, what);
+	Array.from(actual).forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-6, `${what}[${i}]: ${v} != ${expected[i]}`));
+}
+
+/**
+ * Assert that two `{skeleton, animations}` results are the same.
+ * @param {{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}} actual - the binary result
+ * @param {{skeleton:THREE.Skeleton, animations:THREE.AnimationClip[]}} expected - the XML result
+ */
+function sameSkeleton(actual, expected) {
+	assert.deepEqual(actual.skeleton.bones.map(b => [b.name, b.parent?.name]), expected.skeleton.bones.map(b => [b.name, b.parent?.name]));
+	actual.skeleton.bones.forEach((b, i) => {
+		close(b.position.toArray(), expected.skeleton.bones[i].position.toArray(), `${b.name} position`);
+		close(b.quaternion.toArray(), expected.skeleton.bones[i].quaternion.toArray(), `${b.name} quaternion`);
+	});
+	assert.deepEqual(actual.animations.map(c => [c.name, c.duration]), expected.animations.map(c => [c.name, c.duration]));
+	actual.animations.forEach((clip, i) => {
+		assert.deepEqual(clip.tracks.map(t => t.name), expected.animations[i].tracks.map(t => t.name));
+		clip.tracks.forEach((t, j) => {
+			close(t.times, expected.animations[i].tracks[j].times, `${t.name} times`);
+			close(t.values, expected.animations[i].tracks[j].values, `${t.name} values`);
+		});
+	});
+}
+
+for (const littleEndian of [true, false]) {
+	test(`binary skeleton matches its XML counterpart (${littleEndian ? 'little' : 'big'} endian)`, () => {
+		const expected = loader().parse(XML).skeleton;
+
+		assert.equal(expected.skeleton.bones[1].parent, expected.skeleton.bones[0]);
+		assert.equal(expected.animations[0].tracks.length, 3);
+		sameSkeleton(loader().parse(skeletonFile({ ...SPEC, littleEndian })).skeleton, expected);
+	});
+}
+
+test('Serializer_v1.10 skeletons are read', () => {
+	sameSkeleton(loader().parse(skeletonFile({ ...SPEC, version: '[Serializer_v1.10]' })).skeleton, loader().parse(XML).skeleton);
+});
+
+test('an unknown parent handle fails with E_RANGE', () => {
+	assert.throws(() => loader().parse(skeletonFile({ ...SPEC, parents: [[1, 9]] })), { code: 'E_RANGE' });
+});
+
+test('an XML mesh links to a binary skeleton', async () => {
+	const files = {
+		'robot.mesh.xml': mesh([submesh('Robot/Skin', '<boneassignments><vertexboneassignment vertexindex="0" boneindex="1" weight="1"/></boneassignments>')], '<skeletonlink name="robot.skeleton"/>'),
+		'robot.skeleton': skeletonFile(SPEC)
+	};
+	const result = await loader().setFileProvider(new MemoryFileProvider(files)).load('robot.mesh.xml');
+
+	assert.deepEqual(result.files, ['robot.mesh.xml', './robot.skeleton']);
+	assert.deepEqual(result.object.skeleton.bones.map(b => b.name), ['root', 'arm']);
+	assert.deepEqual(result.animations.map(c => c.name), ['wave']);
+});
+
+test('a binary mesh links to an XML skeleton', async () => {
+	const files = {
+		'robot.mesh': meshFile({ skeleton: 'robot.skeleton', submeshes: [{ indices: [0, 1, 2], positions: [[0, 0, 0], [1, 0, 0], [2, 0, 0]], assignments: [[0, 1, 1]] }] }),
+		'robot.skeleton.xml': XML
+	};
+	const result = await loader().setFileProvider(new MemoryFileProvider(files)).load('robot.mesh');
+
+	assert.deepEqual(result.files, ['robot.mesh', './robot.skeleton.xml']);
+	assert.deepEqual(result.object.skeleton.bones.map(b => b.name), ['root', 'arm']);
+	assert.deepEqual(result.animations.map(c => c.name), ['wave']);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, OgreAssetCache, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, scene, submesh, SKELETON } from './fixtures.js';
+
+const loader = () => new OgreMaxLoader().setLogger(null).setCache(new OgreAssetCache());
+
+test('scene entities with an unskinned mesh are instantiated from the cache', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh', 'Box.mesh']),
+		'Box.mesh.xml': mesh([submesh('a'), submesh('b')])
+	});
+	const { scene: root, meshes } = await loader().loadFromFiles(files);
+
+	assert.equal(meshes.length, 4);
+	assert.notEqual(meshes[0], meshes[2]);
+	assert.equal(meshes[0].geometry, meshes[2].geometry);
+	assert.equal(meshes[0].skeleton, undefined);
+	assert.equal(root.getObjectByName('nodes').children.length, 2);
+});
+
+test('skinned entities get their own skeleton', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Guy.mesh', 'Guy.mesh']),
+		'Guy.mesh.xml': mesh([submesh('a', '<boneassignments><vertexboneassignment vertexindex="0" boneindex="0" weight="1"/></boneassignments>')], '<skeletonlink name="Guy.skeleton"/>'),
+		'Guy.skeleton.xml': SKELETON
+	});
+	const { meshes } = await loader().loadFromFiles(files);
+	const [a, b] = meshes;
+
+	assert.ok(a.skeleton && b.skeleton);
+	assert.notEqual(a.skeleton, b.skeleton);
+	assert.notEqual(a.skeleton.bones[0], b.skeleton.bones[0]);
+	assert.equal(a.geometry, b.geometry);
+});
+
+test('keys are scoped by file provider and parse options', () => {
+	const cache = new OgreAssetCache();
+	const provider = new MemoryFileProvider();
+
+	assert.equal(cache.key('a.mesh.xml'), 'a.mesh.xml');
+	assert.equal(cache.key('a.mesh.xml', provider), cache.key('a.mesh.xml', provider));
+	assert.notEqual(cache.key('a.mesh.xml', provider), cache.key('a.mesh.xml', new MemoryFileProvider()));
+	assert.notEqual(cache.key('a.mesh.xml', provider, '[true]'), cache.key('a.mesh.xml', provider));
+});
+
+test('a mesh parsed with other options is not taken from the cache', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh']),
+		'Box.mesh.xml': mesh([submesh('a'), submesh('b')])
+	});
+	const ogre = loader();
+	const plain = await ogre.loadFromFiles(files);
+	const merged = await ogre.loadFromFiles(files, null, undefined, undefined, undefined, { mergeSubmeshes: true });
+
+	assert.equal(plain.meshes.length, 2);
+	assert.equal(merged.meshes.length, 1);
+	assert.equal(merged.meshes[0].geometry.groups.length, 2);
+	assert.equal(ogre.cache.size, 2);
+});
+
+test('release() evicts the assets no result references', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh']),
+		'Box.mesh.xml': mesh([submesh('a')])
+	});
+	const ogre = loader();
+	const first = await ogre.loadFromFiles(files);
+	const second = await ogre.loadFromFiles(files);
+
+	assert.equal(ogre.cache.size, 1);
+	ogre.cache.release(first);
+	assert.equal(ogre.cache.size, 1);
+	ogre.cache.release(second);
+	assert.equal(ogre.cache.size, 0);
+});
+
+test('a failed load releases the assets it acquired', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh', 'Missing.mesh']),
+		'Box.mesh.xml': mesh([submesh('a')])
+	});
+	const ogre = loader();
+
+	await assert.rejects(ogre.loadFromFiles(files));
+	await new Promise(resolve => setTimeout(resolve, 10));
+	assert.equal(ogre.cache.size, 0);
+});
+
+test('without a cache the entities of one load still share their mesh', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Box.mesh', 'Box.mesh']),
+		'Box.mesh.xml': mesh([submesh('a')])
+	});
+	const ogre = new OgreMaxLoader().setLogger(null);
+	const { meshes, files: requested } = await ogre.loadFromFiles(files);
+
+	assert.equal(ogre.cache, null);
+	assert.equal(meshes[0].geometry, meshes[1].geometry);
+	assert.equal(requested.filter(url => url.endsWith('Box.mesh.xml')).length, 1);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, scene, submesh } from './fixtures.js';
+
+test('a dependency error keeps its cause', async () => {
+	const files = new MemoryFileProvider({
+		'level.scene': scene(['Broken.mesh']),
+		'Broken.mesh.xml': mesh([submesh('a')]).replace('v3="2"', 'v3="9"')
+	});
+
+	await assert.rejects(new OgreMaxLoader().setLogger(null).loadFromFiles(files), err => {
+		assert.equal(err.code, 'E_RUNTIME');
+		assert.equal(err.meta.cause.code, 'E_RANGE');
+		assert.match(err.message, /Broken\.mesh\.xml: \[E_RANGE\]/);
+		return true;
+	});
+});
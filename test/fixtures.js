@@ -0,0 +1,51 @@
+// Small Ogre documents built in code, served through a MemoryFileProvider.
+
+/**
+ * `<vertexbuffer>` of *count* vertices along x.
+ * @param {number} count - vertex count
+ * @returns {string} - the XML
+ */
+export function vertexbuffer(count) {
+	const vertices = Array.from({ length: count }, (_, i) => `<vertex><position x="${i}" y="${i % 2}" z="0"/><normal x="0" y="0" z="1"/></vertex>`);
+
+	return `<vertexbuffer positions="true" normals="true">${vertices.join('')}</vertexbuffer>`;
+}
+
+/**
+ * One triangle submesh on its own three vertices.
+ * @param {string} material - material name
+ * @param {string} [extra] - more children (bone assignments…)
+ * @returns {string} - the XML
+ */
+export function submesh(material, extra = '') {
+	return `<submesh material="${material}" usesharedvertices="false"><faces count="1"><face v1="0" v2="1" v3="2"/></faces>`
+		+ `<geometry vertexcount="3">${vertexbuffer(3)}</geometry>${extra}</submesh>`;
+}
+
+/**
+ * `.mesh.xml` document.
+ * @param {string[]} submeshes - `<submesh>` elements
+ * @param {string} [extra] - more `<mesh>` children
+ * @returns {string} - the XML
+ */
+export function mesh(submeshes, extra = '') {
+	return `<mesh><submeshes>${submeshes.join('')}</submeshes>${extra}</mesh>`;
+}
+
+/**
+ * `.scene` document with one entity per mesh file.
+ * @param {string[]} meshFiles - `meshFile` of every entity
+ * @returns {string} - the XML
+ */
+export function scene(meshFiles) {
+	const nodes = meshFiles.map((meshFile, i) => `<node name="n${i}"><position x="${i}" y="0" z="0"/>`
+		+ `<entity name="e${i}" meshFile="${meshFile}"/></node>`);
+
+	return `<scene formatVersion="1.0"><nodes>${nodes.join('')}</nodes></scene>`;
+}
+
+/** One-bone `.skeleton.xml`, with one clip. */
+export const SKELETON = `<skeleton><bones><bone id="0" name="root"><position x="0" y="0" z="0"/><rotation angle="0"><axis x="1" y="0" z="0"/></rotation></bone></bones>`
+	+ `<bonehierarchy/><animations><animation name="idle" length="1"><tracks><track bone="root"><keyframes>`
+	+ `<keyframe time="0"><translate x="0" y="0" z="0"/><rotate angle="0"><axis x="1" y="0" z="0"/></rotate></keyframe>`
+	+ `</keyframes></track></tracks></animation></animations></skeleton>`;
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader } from '../OgreMaxLoader.js';
+import { mesh, submesh } from './fixtures.js';
+
+/**
+ * One-submesh `.mesh.xml` with the given bone assignments.
+ * @param {number[][]} assignments - `[vertex, bone, weight]`
+ * @returns {string} - the XML
+ */
+function weighted(assignments) {
+	const nodes = assignments.map(([v, b, w]) => `<vertexboneassignment vertexindex="${v}" boneindex="${b}" weight="${w}"/>`);
+
+	return mesh([submesh('a', `<boneassignments>${nodes.join('')}</boneassignments>`)]);
+}
+
+/**
+ * `[bone, weight]` pairs of a vertex, strongest first.
+ * @param {THREE.BufferGeometry} geometry - the skinned geometry
+ * @param {number} vertex - the vertex
+ * @returns {number[][]} - the influences
+ */
+function influences(geometry, vertex) {
+	const index = geometry.getAttribute('skinIndex').array.slice(vertex * 4, vertex * 4 + 4);
+	const weight = geometry.getAttribute('skinWeight').array.slice(vertex * 4, vertex * 4 + 4);
+
+	return Array.from(index, (bone, k) => [bone, Math.round(weight[k] * 1e6) / 1e6]).sort((a, b) => b[1] - a[1]);
+}
+
+const SIX = [[0, 0, 0.1], [0, 1, 0.3], [0, 2, 0.05], [0, 3, 0.2], [0, 4, 0.25], [0, 5, 0.15]];
+
+test('vertices keep their four strongest influences, renormalized', () => {
+	const { mesh: object, warnings } = new OgreMaxLoader().setLogger(null).parse(weighted([...SIX, [1, 0, 2], [1, 1, 2]]));
+
+	assert.deepEqual(influences(object.geometry, 0), [[1, 0.333333], [4, 0.277778], [3, 0.222222], [5, 0.166667]]);
+	assert.deepEqual(influences(object.geometry, 1), [[0, 0.5], [1, 0.5], [0, 0], [0, 0]]);
+	assert.deepEqual(warnings.map(w => w.code), ['W_BONE_INFLUENCES']);
+	assert.match(warnings[0].message, /1 of 3 vertices .* \(up to 6\); their 2 weakest weights were dropped/);
+});
+
+test('a zero weight still holds a slot', () => {
+	const { mesh: object } = new OgreMaxLoader().setLogger(null).parse(weighted([[0, 7, 0], [0, 1, 1]]));
+
+	assert.deepEqual(Array.from(object.geometry.getAttribute('skinIndex').array.slice(0, 2)), [7, 1]);
+	assert.deepEqual(Array.from(object.geometry.getAttribute('skinWeight').array.slice(0, 2)), [0, 1]);
+});
+
+test("boneInfluences: 'error' rejects a fifth influence", () => {
+	assert.throws(() => new OgreMaxLoader().setLogger(null).parse(weighted(SIX), '', { boneInfluences: 'error' }), { code: 'E_FORMAT' });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, submesh } from './fixtures.js';
+
+const MATERIAL = 'material Robot/Skin\n{\n\ttechnique\n\t{\n\t\tpass\n\t\t{\n\t\t\tdiffuse 1 0 0 1\n\t\t}\n\t}\n}\n';
+const loader = files => new OgreMaxLoader().setLogger(null).setFileProvider(new MemoryFileProvider(files));
+
+test('a standalone mesh requests no material file by default', async () => {
+	const result = await loader({ 'robot.mesh.xml': mesh([submesh('Robot/Skin')]) }).load('robot.mesh.xml');
+
+	assert.deepEqual(result.files, ['robot.mesh.xml']);
+	assert.deepEqual(result.warnings, []);
+	assert.equal(result.object.userData.materialName, 'Robot/Skin');
+});
+
+test('materialFiles: true reads the mesh base name file', async () => {
+	const result = await loader({ 'robot.mesh.xml': mesh([submesh('Robot/Skin')]), 'robot.material': MATERIAL })
+		.load('robot.mesh.xml', { materialFiles: true });
+
+	assert.deepEqual(result.files, ['robot.mesh.xml', './robot.material']);
+	assert.equal(result.object.material.name, 'Robot/Skin');
+	assert.equal(result.materialLibrary.get('Robot/Skin'), result.object.material);
+});
+
+test('a missing material file is not listed in the result files', async () => {
+	const result = await loader({ 'robot.mesh.xml': mesh([submesh('Robot/Skin')]) })
+		.load('robot.mesh.xml', { materialFiles: ['common'] });
+
+	assert.deepEqual(result.files, ['robot.mesh.xml']);
+	assert.deepEqual(result.warnings.map(w => w.code), ['W_MATERIAL_FILE']);
+});
+
+test('coloured meshes get a vertex-coloured copy of their material', async () => {
+	const coloured = submesh('Robot/Skin').replace('<vertexbuffer positions="true" normals="true">', '<vertexbuffer positions="true" normals="true" colours_diffuse="true">')
+		.replace(/<normal [^>]*\/>/g, m => `${m}<colour_diffuse value="1 0 0 1"/>`);
+	const result = await loader({ 'robot.mesh.xml': mesh([coloured, submesh('Robot/Skin')]), 'robot.material': MATERIAL })
+		.load('robot.mesh.xml', { materialFiles: true });
+	const [painted, plain] = result.object.children;
+	const library = result.materialLibrary.get('Robot/Skin');
+
+	assert.ok(painted.geometry.getAttribute('color'));
+	assert.equal(painted.material.vertexColors, true);
+	assert.equal(painted.material.name, 'Robot/Skin');
+	assert.equal(plain.material, library);
+	assert.equal(library.vertexColors, false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OgreMaxLoader, MemoryFileProvider } from '../OgreMaxLoader.js';
+import { mesh, submesh, vertexbuffer, SKELETON } from './fixtures.js';
+
+const loader = () => new OgreMaxLoader().setLogger(null);
+const shared = (material, face) => `<submesh material="${material}" usesharedvertices="true"><faces count="1"><face v1="${face[0]}" v2="${face[1]}" v3="${face[2]}"/></faces></submesh>`;
+const SHARED = `<sharedgeometry vertexcount="4">${vertexbuffer(4)}</sharedgeometry>`;
+
+test('mergeSubmeshes builds one geometry with a group per submesh', () => {
+	const xml = mesh([shared('a', [0, 1, 2]), submesh('b'), shared('c', [1, 2, 3])]).replace('<mesh>', `<mesh>${SHARED}`);
+	const { mesh: merged, warnings } = loader().parse(xml, '', { mergeSubmeshes: true });
+
+	assert.deepEqual(warnings, []);
+	assert.equal(merged.isSkinnedMesh, true);
+	assert.equal(merged.geometry.getAttribute('position').count, 7);         // the shared vertices once
+	assert.deepEqual(Array.from(merged.geometry.index.array), [0, 1, 2, 4, 5, 6, 1, 2, 3]);
+	assert.deepEqual(merged.geometry.groups, [
+		{ start: 0, count: 3, materialIndex: 0 },
+		{ start: 3, count: 3, materialIndex: 1 },
+		{ start: 6, count: 3, materialIndex: 2 }
+	]);
+	assert.equal(merged.material.length, 3);
+	assert.deepEqual(merged.userData.submeshes.map(s => [s.name, s.materialName, s.start, s.count, s.vertexStart, s.vertexCount]), [
+		['submesh0', 'a', 0, 3, 0, 4],
+		['submesh1', 'b', 3, 3, 4, 3],
+		['submesh2', 'c', 6, 3, 0, 4]
+	]);
+});
+
+test('a merged mesh is bound to its skeleton once', async () => {
+	const weights = '<boneassignments><vertexboneassignment vertexindex="0" boneindex="0" weight="1"/></boneassignments>';
+	const files = {
+		'robot.mesh.xml': mesh([submesh('a', weights), submesh('b', weights)], '<skeletonlink name="robot.skeleton"/>'),
+		'robot.skeleton.xml': SKELETON
+	};
+	const result = await loader().setFileProvider(new MemoryFileProvider(files)).load('robot.mesh.xml', { mergeSubmeshes: true });
+
+	assert.equal(result.object.isSkinnedMesh, true);
+	assert.equal(result.object.children.filter(o => o.isBone).length, 1);
+	assert.deepEqual(result.object.skeleton.bones.map(b => b.name), ['root']);
+	assert.deepEqual(result.animations.map(c => c.name), ['idle']);
+});
+
+test('submeshes with morph targets are not merged', () => {
+	const poses = '<poses><pose target="submesh" index="1" name="smile"><poseoffset index="1" x="0" y="1" z="0"/></pose></poses>';
+	const { mesh: group, warnings } = loader().parse(mesh([submesh('a'), submesh('b')], poses), '', { mergeSubmeshes: true });
+
+	assert.equal(group.isGroup, true);
+	assert.equal(group.children.length, 2);
+	assert.deepEqual(warnings.map(w => w.code), ['W_MERGE_SUBMESHES']);
+});
@@ -0,0 +1,210 @@
+// Small binary Ogre files written in code, in the OgreSerializer chunk layout.
+
+/** Growable little or big endian byte writer with nested, self-sized chunks. */
+export class ChunkWriter {
+	/**
+	 * @param {boolean} [littleEndian] - byte order of the file
+	 */
+	constructor(littleEndian = true) {
+		this.little = littleEndian;
+		this.bytes = [];
+	}
+
+	/**
+	 * Append *size* bytes written by a DataView setter.
+	 * @param {string} setter - DataView setter name
+	 * @param {number} size - bytes written
+	 * @param {number} value - the value
+	 * @returns {ChunkWriter} - this
+	 */
+	#put(setter, size, value) {
+		const view = new DataView(new ArrayBuffer(size));
+
+		view[setter](0, value, this.little);
+		this.bytes.push(...new Uint8Array(view.buffer));
+
+		return this;
+	}
+
+	u8(value) { return this.#put('setUint8', 1, value); }
+	u16(value) { return this.#put('setUint16', 2, value); }
+	u32(value) { return this.#put('setUint32', 4, value); }
+	f32(value) { return this.#put('setFloat32', 4, value); }
+
+	/**
+	 * @param {number[]} values - floats
+	 * @returns {ChunkWriter} - this
+	 */
+	floats(values) {
+		for (const value of values) this.f32(value);
+
+		return this;
+	}
+
+	/**
+	 * @param {string} value - written newline terminated
+	 * @returns {ChunkWriter} - this
+	 */
+	string(value) {
+		this.bytes.push(...new TextEncoder().encode(value), 10);
+
+		return this;
+	}
+
+	/**
+	 * Write a chunk header, then *body*, then patch the chunk length.
+	 * @param {number} id - chunk id
+	 * @param {() => void} [body] - writes the chunk content
+	 * @returns {ChunkWriter} - this
+	 */
+	chunk(id, body = () => {}) {
+		const start = this.bytes.length;
+
+		this.u16(id).u32(0);
+		body();
+
+		const length = new ChunkWriter(this.little).u32(this.bytes.length - start).bytes;
+
+		this.bytes.splice(start + 2, 4, ...length);
+
+		return this;
+	}
+
+	/** @returns {ArrayBuffer} - the written bytes */
+	buffer() {
+		return new Uint8Array(this.bytes).buffer;
+	}
+}
+
+/** @type {Set<string>} mesh versions whose poses and morph keyframes carry a normals flag */
+const NORMALS_FLAG = new Set(['[MeshSerializer_v1.100]', '[MeshSerializer_v1.10]', '[MeshSerializer_v1.8]']);
+
+/**
+ * Geometry chunk with positions and normals interleaved in buffer 0.
+ * @param {ChunkWriter} w - the writer
+ * @param {number[][]} positions - one `[x, y, z]` per vertex
+ */
+function geometry(w, positions) {
+	w.chunk(0x5000, () => {
+		w.u32(positions.length);
+		w.chunk(0x5100, () => {
+			w.chunk(0x5110, () => [0, 2, 1, 0, 0].forEach(v => w.u16(v)));    // source, VET_FLOAT3, VES_POSITION, offset, index
+			w.chunk(0x5110, () => [0, 2, 4, 12, 0].forEach(v => w.u16(v)));   // VES_NORMAL
+		});
+		w.chunk(0x5200, () => {
+			w.u16(0).u16(24);
+			w.chunk(0x5210, () => positions.forEach(p => w.floats([...p, 0, 0, 1])));
+		});
+	});
+}
+
+/**
+ * Binary `.mesh` file.
+ * @param {object} spec - the mesh
+ * @param {string} [spec.version] - serializer version
+ * @param {boolean} [spec.littleEndian] - byte order
+ * @param {number[][]} [spec.shared] - shared vertex positions
+ * @param {{material?:string, indices:number[], positions?:number[][], assignments?:number[][]}[]} spec.submeshes - submeshes, on the shared vertices without `positions`; assignments are `[vertex, bone, weight]`
+ * @param {string[]} [spec.names] - submesh name table
+ * @param {string} [spec.skeleton] - skeleton link
+ * @param {{name:string, target:number, offsets:number[][], normals?:boolean}[]} [spec.poses] - poses on a submesh (-1 for shared), offsets are `[vertex, x, y, z(, nx, ny, nz)]`
+ * @param {{name:string, length:number, tracks:object[]}[]} [spec.animations] - animations; a track is `{target, poses:[time, index, influence][]}` or `{target, morph:{time, positions, normals?}[]}`
+ * @returns {ArrayBuffer} - the file
+ */
+export function meshFile({ version = '[MeshSerializer_v1.100]', littleEndian = true, shared, submeshes, names = [], skeleton, poses = [], animations = [] }) {
+	const w = new ChunkWriter(littleEndian);
+	const flag = NORMALS_FLAG.has(version);
+
+	w.u16(0x1000).string(version);
+	w.chunk(0x3000, () => {
+		w.u8(skeleton ? 1 : 0);
+		if (shared) geometry(w, shared);
+
+		for (const s of submeshes) {
+			w.chunk(0x4000, () => {
+				w.string(s.material ?? 'mat').u8(s.positions ? 0 : 1).u32(s.indices.length).u8(0);
+				s.indices.forEach(i => w.u16(i));
+				if (s.positions) geometry(w, s.positions);
+				w.chunk(0x4010, () => w.u16(4));                                   // OT_TRIANGLE_LIST
+				for (const [vertex, bone, weight] of s.assignments ?? []) {
+					w.chunk(0x4100, () => w.u32(vertex).u16(bone).f32(weight));
+				}
+			});
+		}
+
+		if (skeleton) w.chunk(0x6000, () => w.string(skeleton));
+
+		if (poses.length) {
+			w.chunk(0xC000, () => poses.forEach(p => w.chunk(0xC100, () => {
+				w.string(p.name).u16(p.target + 1);
+				if (flag) w.u8(p.normals ? 1 : 0);
+				p.offsets.forEach(([vertex, ...offset]) => w.chunk(0xC111, () => w.u32(vertex).floats(offset)));
+			})));
+		}
+
+		if (animations.length) {
+			w.chunk(0xD000, () => animations.forEach(a => w.chunk(0xD100, () => {
+				w.string(a.name).f32(a.length);
+				a.tracks.forEach(t => w.chunk(0xD110, () => {
+					w.u16(t.morph ? 1 : 2).u16(t.target + 1);
+					for (const k of t.morph ?? []) {
+						w.chunk(0xD111, () => {
+							w.f32(k.time);
+							if (flag) w.u8(k.normals ? 1 : 0);
+							k.positions.forEach((p, v) => w.floats(k.normals ? [...p, ...k.normals[v]] : p));
+						});
+					}
+					for (const [time, index, influence] of t.poses ?? []) {
+						w.chunk(0xD112, () => w.f32(time).chunk(0xD113, () => w.u16(index).f32(influence)));
+					}
+				}));
+			})));
+		}
+
+		if (names.length) {
+			w.chunk(0xA000, () => names.forEach((name, i) => w.chunk(0xA100, () => w.u16(i).string(name))));
+		}
+	});
+
+	return w.buffer();
+}
+
+/**
+ * Binary `.skeleton` file, with a blend mode and an animation link chunk
+ * the reader skips.
+ * @param {object} spec - the skeleton
+ * @param {string} [spec.version] - serializer version
+ * @param {boolean} [spec.littleEndian] - byte order
+ * @param {{name:string, handle:number, position:number[], rotation:number[], scale?:number[]}[]} spec.bones - bones, rotation as `[x, y, z, w]`
+ * @param {number[][]} [spec.parents] - `[child, parent]` handles
+ * @param {{name:string, length:number, tracks:{handle:number, keyframes:{time:number, rotation:number[], translate:number[], scale?:number[]}[]}[]}[]} [spec.animations] - animations
+ * @returns {ArrayBuffer} - the file
+ */
+export function skeletonFile({ version = '[Serializer_v1.80]', littleEndian = true, bones, parents = [], animations = [] }) {
+	const w = new ChunkWriter(littleEndian);
+
+	w.u16(0x1000).string(version);
+	w.chunk(0x1010, () => w.u16(0));                                           // ANIMBLEND_AVERAGE
+
+	for (const b of bones) {
+		w.chunk(0x2000, () => w.string(b.name).u16(b.handle).floats([...b.position, ...b.rotation, ...b.scale ?? []]));
+	}
+
+	for (const [child, parent] of parents) {
+		w.chunk(0x3000, () => w.u16(child).u16(parent));
+	}
+
+	for (const a of animations) {
+		w.chunk(0x4000, () => {
+			w.string(a.name).f32(a.length);
+			a.tracks.forEach(t => w.chunk(0x4100, () => {
+				w.u16(t.handle);
+				t.keyframes.forEach(k => w.chunk(0x4110, () => w.f32(k.time).floats([...k.rotation, ...k.translate, ...k.scale ?? []])));
+			}));
+		});
+	}
+
+	w.chunk(0x5000, () => w.string('other').f32(1));
+
+	return w.buffer();
+}
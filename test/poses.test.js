@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { OgreMaxLoader } from '../OgreMaxLoader.js';
+import { mesh, submesh } from './fixtures.js';
+
+const POSES = '<poses><pose target="submesh" index="1" name="smile"><poseoffset index="1" x="0" y="1" z="0"/></pose></poses>'
+	+ '<animations><animation name="talk" length="1"><tracks><track target="submesh" index="1" type="pose"><keyframes>'
+	+ '<keyframe time="0"><poseref poseindex="0" influence="0"/></keyframe><keyframe time="1"><poseref poseindex="0" influence="1"/></keyframe>'
+	+ '</keyframes></track></tracks></animation></animations>';
+
+/**
+ * Play the first clip of *object* at *time*.
+ * @param {THREE.Object3D} object - the parsed mesh
+ * @param {number} time - clip time
+ */
+function pose(object, time) {
+	const mixer = new THREE.AnimationMixer(object);
+
+	mixer.clipAction(object.animations[0]).play();
+	mixer.setTime(time);
+}
+
+test('pose tracks drive the submesh they target', () => {
+	const object = new OgreMaxLoader().setLogger(null).parse(mesh([submesh('a'), submesh('b')], POSES)).mesh;
+	const [first, second] = object.children;
+
+	assert.deepEqual(object.children.map(o => o.name), ['submesh0', 'submesh1']);
+	assert.deepEqual(second.morphTargetDictionary, { smile: 0 });
+	assert.deepEqual(object.animations[0].tracks.map(t => t.name), ['submesh1.morphTargetInfluences[smile]']);
+
+	pose(object, 0.5);
+
+	assert.equal(second.morphTargetInfluences[0], 0.5);
+	assert.equal(first.morphTargetInfluences, undefined);
+});
+
+test('submesh names are sanitized into track node names', () => {
+	const names = '<submeshnames><submeshname name="Body" index="0"/><submeshname name="Head.001 [lod]" index="1"/></submeshnames>';
+	const object = new OgreMaxLoader().setLogger(null).parse(mesh([submesh('a'), submesh('b')], names + POSES)).mesh;
+	const head = object.children[1];
+
+	assert.equal(head.userData.submeshName, 'Head.001 [lod]');
+	assert.equal(THREE.PropertyBinding.sanitizeNodeName(head.name), head.name);
+
+	pose(object, 0.75);
+
+	assert.equal(head.morphTargetInfluences[0], 0.75);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { OgreMaxLoader } from '../OgreMaxLoader.js';
+import { bundle } from '../scripts/dtd.js';
+import { mesh, submesh } from './fixtures.js';
+
+test('the bundled DTDs match dtd/', () => {
+	const source = readFileSync(new URL('../OgreMaxLoader.js', import.meta.url), 'utf8');
+
+	assert.ok(bundle(source) === source, 'OGRE_DTD is out of date, run `npm run dtd`');
+});
+
+test('validate() reports undeclared elements', () => {
+	const loader = new OgreMaxLoader();
+
+	assert.deepEqual(loader.validate(mesh([submesh('a')])), []);
+	assert.deepEqual(loader.validate(mesh([submesh('a')], '<bogus/>')).map(v => v.code), ['V_UNKNOWN_ELEMENT', 'V_CONTENT']);
+});